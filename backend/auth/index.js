@@ -0,0 +1,76 @@
+// Request authentication.
+//
+// createAuthMiddleware({ db, jwtSecret }) returns the middleware routes put in front of their handlers:
+//   authenticateToken          Require a valid access token (Authorization: Bearer ...) and set req.user
+//   optionalAuthenticateToken  Set req.user when a valid token is sent, let anonymous requests through
+//   requireAdmin               Only admins; after authenticateToken
+//   requireVerifiedEmail       Only users who confirmed their email address; after authenticateToken
+// Access tokens are issued by POST /api/login and /api/token/refresh (routes/auth.js).
+const jwt = require('jsonwebtoken');
+const { AppError, AuthenticationError, ForbiddenError } = require('../errors');
+
+function createAuthMiddleware({ db, jwtSecret }) {
+    // Helper function to check an access token and its session.
+    // Resolves with the token's user, or rejects with an AuthenticationError/ForbiddenError saying why it was refused.
+    const verifyAccessToken = async (token) => {
+        let user;
+        try {
+            user = jwt.verify(token, jwtSecret);
+        } catch (err) {
+            // 401 tells the client to try /api/token/refresh; 403 means the token itself is bad
+            if (err.name === 'TokenExpiredError') throw new AuthenticationError('Token expired');
+            throw new ForbiddenError('Invalid or expired token');
+        }
+        if (!user.sid) throw new AuthenticationError('Please log in again'); // Issued before sessions existed
+
+        // Access tokens die with their session, so logging out (or being suspended) takes effect immediately
+        const [rows] = await db.execute('SELECT revoked_at FROM sessions WHERE id = ?', [user.sid]);
+        if (!rows[0] || rows[0].revoked_at) throw new AuthenticationError('Session has been revoked');
+
+        return user;
+    };
+
+    const authenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        if (!token) throw new AuthenticationError('Authentication token required');
+
+        req.user = await verifyAccessToken(token);
+        next();
+    };
+
+    // Like authenticateToken, but lets anonymous requests through (req.user stays undefined).
+    // Used by public routes that show a little more to a product's owner or an admin.
+    const optionalAuthenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        if (!token) return next();
+
+        try {
+            req.user = await verifyAccessToken(token);
+        } catch (error) {
+            if (!(error instanceof AppError)) req.log.error('Session lookup error', { error }); // A refused token just means anonymous
+        }
+        next();
+    };
+
+    // Only let admins through; must run after authenticateToken
+    const requireAdmin = (req, res, next) => {
+        if (req.user.role !== 'admin') throw new ForbiddenError('Admin access required');
+        next();
+    };
+
+    // Only let users who have confirmed their email address through; must run after authenticateToken
+    const requireVerifiedEmail = async (req, res, next) => {
+        const [rows] = await db.execute('SELECT email_verified_at FROM users WHERE id = ?', [req.user.id]);
+        if (!rows[0] || !rows[0].email_verified_at) {
+            throw new ForbiddenError('Please verify your email address before listing items.');
+        }
+        next();
+    };
+
+    return { authenticateToken, optionalAuthenticateToken, requireAdmin, requireVerifiedEmail };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,77 @@
+// API server settings.
+//
+// loadConfig(env) reads every setting createApp() and the entrypoint need from environment variables (process.env
+// by default), applying the defaults below. Tests build their own with loadConfig({ JWT_SECRET: '...', ... }).
+// Database connection settings live in db/config.js, shared with the migration and seed scripts.
+
+// Rate limits as "<max> per <window>" pairs, each overridable with <NAME>_MAX and <NAME>_WINDOW_MINUTES,
+// e.g. RATE_LIMIT_LOGIN_IP_MAX=50. IP limits slow down scripted abuse; account limits cap a single user.
+const rateLimitFromEnv = (env, name, defaultMax, defaultWindowMinutes) => ({
+    max: parseInt(env[`${name}_MAX`], 10) || defaultMax,
+    windowMs: (parseInt(env[`${name}_WINDOW_MINUTES`], 10) || defaultWindowMinutes) * 60 * 1000
+});
+
+// TRUST_PROXY is a hop count ("1") or anything else Express' "trust proxy" setting accepts
+const parseTrustProxy = (value) => {
+    if (!value) return null;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+function loadConfig(env = process.env) {
+    const port = env.EXPRESS_PORT || 5000;
+
+    return {
+        port,
+        baseUrl: env.BASE_URL || `http://localhost:${port}`,
+        jwtSecret: env.JWT_SECRET,
+
+        // Behind a reverse proxy (e.g. Render), set TRUST_PROXY to the number of proxies in front of the app so
+        // req.ip - used for rate limiting and session records - is the client's address rather than the proxy's
+        trustProxy: parseTrustProxy(env.TRUST_PROXY),
+
+        // Access tokens are short-lived JWTs; refresh tokens are opaque, stored hashed in the sessions table and rotated on every use
+        accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+        refreshTokenTtlDays: parseInt(env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+
+        // Password reset links point at the frontend and stay valid for PASSWORD_RESET_TTL_MINUTES
+        frontendUrl: env.FRONTEND_URL || 'http://localhost:5173',
+        passwordResetTtlMinutes: parseInt(env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+
+        // Email verification links stay valid for EMAIL_VERIFICATION_TTL_HOURS.
+        // ALLOWED_EMAIL_DOMAINS (comma-separated, e.g. "chuka.ac.ke") restricts signup to those domains and
+        // their subdomains; leave it empty to accept any address.
+        emailVerificationTtlHours: parseInt(env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48,
+        allowedEmailDomains: (env.ALLOWED_EMAIL_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+
+        // Active listings the seller hasn't touched (edited, renewed or changed status) for LISTING_EXPIRY_DAYS are
+        // expired; the check runs every LISTING_EXPIRY_CHECK_MINUTES
+        listingExpiryDays: parseInt(env.LISTING_EXPIRY_DAYS, 10) || 60,
+        listingExpiryCheckMinutes: parseInt(env.LISTING_EXPIRY_CHECK_MINUTES, 10) || 60,
+
+        rateLimits: {
+            loginIp: rateLimitFromEnv(env, 'RATE_LIMIT_LOGIN_IP', 20, 15),
+            signupIp: rateLimitFromEnv(env, 'RATE_LIMIT_SIGNUP_IP', 5, 60),
+            passwordResetIp: rateLimitFromEnv(env, 'RATE_LIMIT_PASSWORD_RESET_IP', 5, 60),
+            listingIp: rateLimitFromEnv(env, 'RATE_LIMIT_LISTING_IP', 30, 60),
+            listingAccount: rateLimitFromEnv(env, 'RATE_LIMIT_LISTING_ACCOUNT', 5, 10),
+            analyticsIp: rateLimitFromEnv(env, 'RATE_LIMIT_ANALYTICS_IP', 300, 15)
+        },
+
+        // LOGIN_MAX_FAILED_ATTEMPTS wrong passwords in a row lock an account for LOGIN_LOCKOUT_MINUTES
+        loginMaxFailedAttempts: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+        loginLockoutMinutes: parseInt(env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+
+        // How many listings one user can create in any 24 hours
+        listingDailyQuota: parseInt(env.LISTING_DAILY_QUOTA, 10) || 10,
+
+        // Startup tries the database DB_CONNECT_ATTEMPTS times before giving up; shutdown waits up to
+        // SHUTDOWN_TIMEOUT_SECONDS for in-flight requests before exiting anyway
+        dbConnectAttempts: parseInt(env.DB_CONNECT_ATTEMPTS, 10) || 10,
+        shutdownTimeoutSeconds: parseInt(env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 10
+    };
+}
+
+module.exports = { loadConfig };
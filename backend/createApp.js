@@ -0,0 +1,220 @@
+// The API as an Express app, without starting it.
+//
+// createApp({ db, storage, config, mailer, events }) wires every route and middleware to the dependencies it is
+// given and returns the app; app.js creates the real ones (MySQL pool, Cloudinary or local-disk storage) and
+// listens, while the integration tests pass a test database and local storage. Only db and storage are required:
+// config defaults to loadConfig() (config/index.js), mailer to createMailer() and events to createEventHub().
+//
+// The app also carries what the entrypoint needs to run and stop it, in app.locals:
+//   lifecycle  { databaseReady, shuttingDown }, reported by /healthz and /readyz; set by the entrypoint
+//   events     The real-time event hub, whose streams must be closed on shutdown
+//   expiryJob  The scheduled listing expiry (start() once the database is reachable, stop() on shutdown)
+//
+// Each feature's routes live in routes/, as a factory that takes the dependencies it needs and returns an Express
+// router; createApp() builds the shared pieces (auth middleware, listing store, saved search alerts) and mounts them.
+const express = require('express');
+const cors = require('cors');
+const { loadConfig } = require('./config');
+const { createMailer } = require('./mailer'); // Console or SMTP outgoing email
+const { createEventHub } = require('./realtime'); // Server-Sent Events to the browser
+const { createExpiryJob } = require('./jobs/expireListings'); // Scheduled expiry of stale listings
+const { logger, requestLogger } = require('./logging'); // Structured JSON logs and request IDs
+const { notFoundHandler, errorHandler } = require('./errors'); // Typed errors, answered by errorHandler
+const { createAuthMiddleware } = require('./auth'); // Access token checks for protected routes
+const { createProductStore } = require('./products'); // Listing lifecycle and photos
+const { createAuthRouter } = require('./routes/auth');
+const { createProductsRouter } = require('./routes/products');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createFavoritesRouter } = require('./routes/favorites');
+const { createOffersRouter } = require('./routes/offers');
+const { createSalesRouter } = require('./routes/sales');
+const { createModerationRouter } = require('./routes/moderation');
+const { createConversationsRouter } = require('./routes/conversations');
+const { createSavedSearchesRouter } = require('./routes/savedSearches');
+const { createEventsRouter } = require('./routes/events');
+
+const READINESS_CHECK_TIMEOUT_MS = 3000; // Per dependency, so a hung database can't hang the probe
+
+function createApp({ db, storage, config = loadConfig(), mailer = createMailer(), events = createEventHub() }) {
+    const app = express();
+
+    if (config.trustProxy !== null) {
+        app.set('trust proxy', config.trustProxy);
+    }
+
+    // Lifecycle state reported by the probes below
+    const lifecycle = {
+        databaseReady: false, // Set once the startup connection to MySQL succeeds
+        shuttingDown: false // Set when SIGTERM/SIGINT arrives
+    };
+
+    // Helper function to run one readiness check with a timeout, resolving with { status, latency_ms } rather than rejecting
+    const runReadinessCheck = async (name, check) => {
+        const startedAt = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                check(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Timed out after ${READINESS_CHECK_TIMEOUT_MS} ms`)), READINESS_CHECK_TIMEOUT_MS);
+                })
+            ]);
+            return { status: 'ok', latency_ms: Date.now() - startedAt };
+        } catch (error) {
+            logger.warn('Readiness check failed', { check: name, error }); // The reason stays in the logs, not the response
+            return { status: 'error', latency_ms: Date.now() - startedAt };
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    // GET /healthz
+    // Liveness probe: 200 for as long as the process can answer, with the last known database state. Registered
+    // before the request logger so frequent probes don't flood the logs.
+    app.get('/healthz', (req, res) => {
+        res.status(200).json({
+            status: 'ok',
+            uptime_seconds: Math.round(process.uptime()),
+            database: lifecycle.databaseReady ? 'connected' : 'connecting',
+            shutting_down: lifecycle.shuttingDown
+        });
+    });
+
+    // GET /readyz
+    // Readiness probe: checks the database and image storage now. 503 unless both work, and also while still
+    // connecting at startup or once shutdown has begun, so the host only sends traffic that can be served.
+    app.get('/readyz', async (req, res) => {
+        const [database, imageStorage] = await Promise.all([
+            runReadinessCheck('database', () => db.query('SELECT 1')),
+            runReadinessCheck('storage', () => storage.check())
+        ]);
+        const ready = lifecycle.databaseReady && !lifecycle.shuttingDown && database.status === 'ok' && imageStorage.status === 'ok';
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'not_ready',
+            shutting_down: lifecycle.shuttingDown,
+            checks: { database, storage: imageStorage }
+        });
+    });
+
+    // Middleware
+    app.use(requestLogger(logger)); // First, so every response carries an X-Request-Id and is logged
+    // Lets the frontend read how long a 429 asks it to wait, quote request IDs and name downloads (CSV export)
+    app.use(cors({ exposedHeaders: ['Retry-After', 'X-Request-Id', 'Content-Disposition'] }));
+    app.use((req, res, next) => {
+        if (lifecycle.shuttingDown) res.set('Connection', 'close'); // Don't let clients reuse a connection that is about to go away
+        next();
+    });
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
+
+    // Local-disk storage serves uploaded images itself
+    if (storage.directory) {
+        app.use(storage.publicPath, express.static(storage.directory));
+    }
+
+    // Access token checks (see auth/index.js) and listing helpers (see products/index.js)
+    const auth = createAuthMiddleware({ db, jwtSecret: config.jwtSecret });
+    const { authenticateToken } = auth;
+    const products = createProductStore({ db, storage, events });
+
+    // Expire stale listings in the background and tell their sellers how to bring them back
+    const expiryJob = createExpiryJob({
+        pool: db,
+        expireAfterDays: config.listingExpiryDays,
+        intervalMs: config.listingExpiryCheckMinutes * 60 * 1000,
+        onExpired: (product) => {
+            events.broadcast('product.deleted', { id: product.id });
+            events.notifyUser(product.seller_id, 'notification', {
+                type: 'listing_expired',
+                product_id: product.id,
+                title: product.title
+            });
+            mailer.send({
+                to: product.seller_email,
+                subject: `Your listing "${product.title}" has expired`,
+                text: [
+                    `Hi ${product.seller_name},`,
+                    '',
+                    `Your listing "${product.title}" hasn't been updated in ${config.listingExpiryDays} days, so it has been taken off Chuka Black Market.`,
+                    '',
+                    `Still selling it? Renew it with one click from Your Listings: ${config.frontendUrl}`
+                ].join('\n')
+            }).catch(error => logger.error('Error sending expiry email', { product_id: product.id, error }));
+        }
+    });
+
+    // Helper function to raise alerts for the saved searches a newly listed product matches.
+    // Fire-and-forget from POST /api/products: uses the same matching as the filters of GET /api/products.
+    const alertSavedSearches = (productId) => {
+        (async () => {
+            const [matches] = await db.execute(
+                `SELECT s.id, s.name, s.user_id, s.email_alerts, u.name AS user_name, u.email AS user_email,
+                        p.id AS product_id, p.title, p.price, p.image_url
+                 FROM products p
+                 JOIN saved_searches s ON s.user_id <> p.seller_id
+                 JOIN users u ON s.user_id = u.id
+                 WHERE p.id = ?
+                   AND u.suspended_at IS NULL
+                   AND (s.query IS NULL OR p.title LIKE CONCAT('%', s.query, '%') OR p.description LIKE CONCAT('%', s.query, '%') OR p.location LIKE CONCAT('%', s.query, '%'))
+                   AND (s.category IS NULL OR p.category = s.category)
+                   AND (s.min_price IS NULL OR p.price >= s.min_price)
+                   AND (s.max_price IS NULL OR p.price <= s.max_price)
+                   AND (s.location IS NULL OR p.location LIKE CONCAT('%', s.location, '%'))`,
+                [productId]
+            );
+
+            for (const match of matches) {
+                await db.execute('INSERT IGNORE INTO saved_search_alerts (saved_search_id, product_id) VALUES (?, ?)', [match.id, match.product_id]);
+
+                events.notifyUser(match.user_id, 'notification', {
+                    type: 'saved_search_match',
+                    saved_search_id: match.id,
+                    saved_search_name: match.name,
+                    product: { id: match.product_id, title: match.title, price: match.price, image_url: match.image_url }
+                });
+
+                if (match.email_alerts) {
+                    mailer.send({
+                        to: match.user_email,
+                        subject: `New on Chuka Black Market: ${match.title}`,
+                        text: [
+                            `Hi ${match.user_name},`,
+                            '',
+                            `A new listing matches your saved search "${match.name}":`,
+                            '',
+                            `${match.title} - KSh ${match.price}`,
+                            '',
+                            `Have a look before it's gone: ${config.frontendUrl}`,
+                            '',
+                            'You can turn off email alerts for this search under Saved Searches.'
+                        ].join('\n')
+                    }).catch(error => logger.error('Error sending saved search email', { saved_search_id: match.id, error }));
+                }
+            }
+        })().catch(error => logger.error('Error raising saved search alerts', { product_id: productId, error }));
+    };
+
+    // Every feature's routes (see routes/)
+    app.use(createAuthRouter({ db, mailer, config, authenticateToken }));
+    app.use(createProductsRouter({ db, events, config, products, auth, alertSavedSearches }));
+    app.use(createAnalyticsRouter({ db, config, auth }));
+    app.use(createFavoritesRouter({ db, products, auth }));
+    app.use(createOffersRouter({ db, events, products, auth }));
+    app.use(createSalesRouter({ db, events, products, auth }));
+    app.use(createModerationRouter({ db, events, products, auth }));
+    app.use(createConversationsRouter({ db, events, auth }));
+    app.use(createSavedSearchesRouter({ db, auth }));
+    app.use(createEventsRouter({ events, auth }));
+
+    // Anything that wasn't handled above: unknown API paths get a JSON 404, and every error gets a consistent body
+    app.use('/api', notFoundHandler);
+    app.use(errorHandler);
+
+    app.locals.lifecycle = lifecycle;
+    app.locals.events = events;
+    app.locals.expiryJob = expiryJob;
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,67 @@
+// CSV reading and writing for spreadsheet import and export (RFC 4180: comma-separated, fields with commas, quotes
+// or line breaks wrapped in double quotes, quotes inside doubled).
+//
+// toCsv(rows) turns an array of rows (arrays of values) into CSV text with CRLF line endings. Text starting with
+// =, +, - or @ gets a leading apostrophe so spreadsheet apps show it instead of running it as a formula.
+// parseCsv(text) returns { rows } (arrays of strings, blank lines skipped) or { error } for malformed input. It
+// accepts LF or CRLF line endings and a leading byte order mark, and drops the apostrophe toCsv() added.
+const FORMULA_START = /^[=+\-@]/;
+
+// Helper function to write one value as a CSV field
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false; // Inside a quoted field
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel starts UTF-8 files with a byte order mark
+
+    const endField = () => {
+        row.push(/^'[=+\-@]/.test(field) ? field.slice(1) : field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    for (; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) return { error: 'The file has a quoted field that is never closed.' };
+    if (field !== '' || row.length > 0) endRow();
+
+    return { rows };
+}
+
+module.exports = { toCsv, parseCsv };
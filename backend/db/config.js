@@ -0,0 +1,11 @@
+// Shared MySQL connection settings for the API server and the migration/seed scripts.
+// Callers are expected to have loaded .env (require('dotenv').config()) before requiring this file.
+const dbConfig = {
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 14342
+};
+
+module.exports = { dbConfig };
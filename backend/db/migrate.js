@@ -0,0 +1,116 @@
+// Database migration runner.
+//
+// Usage (from the backend directory):
+//   node db/migrate.js up          Apply every pending migration (default)
+//   node db/migrate.js down [n]    Roll back the last n applied migrations (default 1)
+//   node db/migrate.js status      List applied and pending migrations
+//
+// Migrations live in backend/migrations as NNN_description.js files exporting
+// async up(db) and down(db) functions. Applied migrations are recorded in the
+// schema_migrations table so each one only ever runs once.
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Helper function to list migration files in the order they must be applied
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .sort()
+        .map(file => ({ name: path.basename(file, '.js'), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function getAppliedMigrations(db) {
+    await ensureMigrationsTable(db);
+    const [rows] = await db.query(`SELECT name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY name`);
+    return rows;
+}
+
+// Apply all pending migrations in order. Returns the names of the migrations that ran.
+async function migrateUp(db, log = console.log) {
+    const applied = new Set((await getAppliedMigrations(db)).map(row => row.name));
+    const pending = listMigrations().filter(migration => !applied.has(migration.name));
+
+    for (const migration of pending) {
+        log(`Applying ${migration.name}...`);
+        await require(migration.file).up(db);
+        await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`, [migration.name]);
+    }
+
+    return pending.map(migration => migration.name);
+}
+
+// Roll back the most recently applied migrations. Returns the names of the migrations that were reverted.
+async function migrateDown(db, steps = 1, log = console.log) {
+    const available = new Map(listMigrations().map(migration => [migration.name, migration]));
+    const toRevert = (await getAppliedMigrations(db)).map(row => row.name).reverse().slice(0, steps);
+
+    for (const name of toRevert) {
+        const migration = available.get(name);
+        if (!migration) throw new Error(`Cannot roll back ${name}: migration file not found in ${MIGRATIONS_DIR}`);
+        log(`Reverting ${name}...`);
+        await require(migration.file).down(db);
+        await db.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = ?`, [name]);
+    }
+
+    return toRevert;
+}
+
+async function migrationStatus(db) {
+    const applied = new Map((await getAppliedMigrations(db)).map(row => [row.name, row.applied_at]));
+    return listMigrations().map(migration => ({
+        name: migration.name,
+        applied_at: applied.get(migration.name) || null
+    }));
+}
+
+async function main() {
+    require('dotenv').config();
+    const mysql = require('mysql2/promise');
+    const { dbConfig } = require('./config');
+
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = await mysql.createConnection(dbConfig);
+
+    try {
+        if (command === 'up') {
+            const ran = await migrateUp(db);
+            console.log(ran.length ? `Applied ${ran.length} migration(s).` : 'Database is already up to date.');
+        } else if (command === 'down') {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (isNaN(steps) || steps < 1) throw new Error('down expects a positive number of migrations to roll back');
+            const reverted = await migrateDown(db, steps);
+            console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : 'No migrations to roll back.');
+        } else if (command === 'status') {
+            for (const migration of await migrationStatus(db)) {
+                const state = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+                console.log(`${migration.name.padEnd(50)} ${state}`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+        }
+    } finally {
+        await db.end();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
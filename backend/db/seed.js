@@ -0,0 +1,98 @@
+// Fills a local development database with Chuka campus users and listings.
+//
+// Usage (from the backend directory, after `npm run migrate`):
+//   node db/seed.js
+//
+// Re-running is safe: the seed users (and, through ON DELETE CASCADE, their
+// listings) are removed and recreated each time. Never run this against production.
+require('dotenv').config();
+
+const mysql = require('mysql2/promise');
+const bcrypt = require('bcryptjs');
+const { dbConfig } = require('./config');
+
+const SEED_PASSWORD = 'password123';
+
+const users = [
+    { name: 'Brian Kiprotich', email: 'brian.kiprotich@chuka.ac.ke' },
+    { name: 'Faith Wanjiku', email: 'faith.wanjiku@chuka.ac.ke' },
+    { name: 'Kevin Otieno', email: 'kevin.otieno@chuka.ac.ke' },
+    { name: 'Mercy Mwende', email: 'mercy.mwende@chuka.ac.ke' },
+    { name: 'Dennis Mutua', email: 'dennis.mutua@chuka.ac.ke' }
+];
+
+// seller is an index into users; days_ago spreads created_at so "newest" sorting is meaningful
+const products = [
+    { seller: 0, title: 'HP EliteBook 840 G3', price: 23500, category: 'Electronics', location: 'Main Campus', days_ago: 1, description: 'Core i5, 8GB RAM, 256GB SSD. Battery holds about 3 hours. Comes with charger.' },
+    { seller: 0, title: 'Casio fx-991ES Plus Calculator', price: 1200, category: 'Electronics', location: 'Library Area', days_ago: 3, description: 'Scientific calculator, allowed in exams. Barely used, with cover.' },
+    { seller: 1, title: '3x6 Mattress (Orthopaedic)', price: 2500, category: 'Furniture', location: 'Ndagani', days_ago: 2, description: 'Clean 6-inch mattress, used for one semester. Pick up at Ndagani.' },
+    { seller: 1, title: 'Plastic Study Table and Chair', price: 1800, category: 'Furniture', location: 'Mwangaza Hostels', days_ago: 9, description: 'Sturdy table with matching chair. Perfect for a hostel room.' },
+    { seller: 1, title: 'Electric Kettle 1.7L', price: 900, category: 'Electronics', location: 'Mwangaza Hostels', days_ago: 14, description: 'Ramtons kettle, boils fast. Moving out so letting it go cheap.' },
+    { seller: 2, title: 'Campbell Biology (11th Edition)', price: 1500, category: 'Books', location: 'Main Campus', days_ago: 4, description: 'Hardcover, a few highlighted pages. Great for first-year biology units.' },
+    { seller: 2, title: 'Engineering Mathematics by K.A. Stroud', price: 1300, category: 'Books', location: 'Main Campus', days_ago: 20, description: 'Seventh edition. Covers most of the first and second year maths units.' },
+    { seller: 2, title: 'Samsung Galaxy A12', price: 8500, category: 'Electronics', location: 'Chuka Town', days_ago: 6, description: '64GB, screen has no cracks. Selling because I upgraded.' },
+    { seller: 3, title: 'Ladies Denim Jacket (Size M)', price: 700, category: 'Clothing', location: 'Hostel Block B', days_ago: 5, description: 'Worn twice, still looks new. Can meet at the hostel.' },
+    { seller: 3, title: 'Graduation Gown Hire Set', price: 1000, category: 'Clothing', location: 'Main Campus', days_ago: 30, description: 'Gown and hood for the upcoming graduation. Price is for outright sale.' },
+    { seller: 3, title: 'Gas Cooker with 6kg Cylinder', price: 4200, category: 'Other', location: 'Ndagani', days_ago: 7, description: 'Two-burner cooker, cylinder is half full. Regulator included.' },
+    { seller: 4, title: 'Wooden Bookshelf', price: 2200, category: 'Furniture', location: 'Chuka Town', days_ago: 11, description: 'Four shelves, fits a lot of books. You will need to arrange transport.' },
+    { seller: 4, title: 'Oraimo Bluetooth Earbuds', price: 1600, category: 'Electronics', location: 'Library Area', days_ago: 0, description: 'FreePods, good battery life. Charging case included.' },
+    { seller: 4, title: 'Football Boots (Size 42)', price: 1100, category: 'Other', location: 'Sports Ground', days_ago: 16, description: 'Used for one season on the campus pitch. Studs in good condition.' },
+    { seller: 4, title: 'Introduction to Accounting Notes', price: 300, category: 'Books', location: 'Main Campus', days_ago: 25, description: 'Printed and bound lecture notes for first-year accounting.', sold: true }
+];
+
+const contactNumbers = ['254712345678', '254723456789', '254734567890', '254745678901', '254756789012'];
+
+async function seed() {
+    const db = await mysql.createConnection(dbConfig);
+
+    try {
+        await db.beginTransaction();
+
+        const emails = users.map(user => user.email);
+        await db.query('DELETE FROM users WHERE email IN (?)', [emails]);
+
+        const hashedPassword = await bcrypt.hash(SEED_PASSWORD, 10);
+        const userIds = [];
+        for (const user of users) {
+            const [result] = await db.execute(
+                'INSERT INTO users (name, email, password, email_verified_at) VALUES (?, ?, ?, NOW())',
+                [user.name, user.email, hashedPassword]
+            );
+            userIds.push(result.insertId);
+        }
+
+        for (const product of products) {
+            await db.execute(
+                `INSERT INTO products (title, price, category, description, image_url, contact_number, location, seller_id, sold, status, created_at, last_activity_at)
+                 VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, NOW() - INTERVAL ? DAY, NOW() - INTERVAL ? DAY)`,
+                [
+                    product.title,
+                    product.price,
+                    product.category,
+                    product.description,
+                    contactNumbers[product.seller],
+                    product.location,
+                    userIds[product.seller],
+                    product.sold ? 1 : 0,
+                    product.sold ? 'sold' : 'active',
+                    product.days_ago,
+                    product.days_ago
+                ]
+            );
+        }
+
+        await db.commit();
+        console.log(`Seeded ${users.length} users and ${products.length} products.`);
+        console.log(`All seed users share the password "${SEED_PASSWORD}", e.g. ${users[0].email}`);
+    } catch (error) {
+        await db.rollback();
+        throw error;
+    } finally {
+        await db.end();
+    }
+}
+
+seed().catch(err => {
+    console.error('Seeding failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,32 @@
+// Grants or removes admin rights.
+//
+// Usage (from the backend directory):
+//   node db/set-role.js <email> <user|admin>
+//
+// The new role is picked up the next time the user logs in or their access token is refreshed.
+require('dotenv').config();
+
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('./config');
+
+const ROLES = ['user', 'admin'];
+
+async function setRole(email, role) {
+    if (!email || !ROLES.includes(role)) {
+        throw new Error(`Usage: node db/set-role.js <email> <${ROLES.join('|')}>`);
+    }
+
+    const db = await mysql.createConnection(dbConfig);
+    try {
+        const [result] = await db.execute('UPDATE users SET role = ? WHERE email = ?', [role, email]);
+        if (result.affectedRows === 0) throw new Error(`No user found with email ${email}`);
+        console.log(`${email} now has the "${role}" role.`);
+    } finally {
+        await db.end();
+    }
+}
+
+setRole(process.argv[2], process.argv[3]).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Wait for MySQL to accept connections, retrying with exponential backoff.
+//
+// The host may start the API while the database is still starting or restarting, so a failed first connection
+// shouldn't kill the process. waitForDatabase(pool, { attempts, initialDelayMs, maxDelayMs }) tries up to
+// `attempts` times, doubling the pause between tries up to maxDelayMs, and rejects with the last error if
+// every attempt fails.
+const { logger } = require('../logging');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForDatabase(pool, { attempts = 10, initialDelayMs = 1000, maxDelayMs = 30 * 1000 } = {}) {
+    let delayMs = initialDelayMs;
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            const connection = await pool.getConnection();
+            connection.release();
+            return;
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+            logger.warn('Database not reachable yet, retrying', { attempt, attempts, retry_in_ms: delayMs, error });
+            await sleep(delayMs);
+            delayMs = Math.min(delayMs * 2, maxDelayMs);
+        }
+    }
+}
+
+module.exports = { waitForDatabase };
@@ -0,0 +1,126 @@
+// Typed application errors and the error-handling middleware.
+//
+// Routes throw an AppError subclass for anything the client can fix (bad input, missing records, no access).
+// Express 5 passes thrown errors and rejected promises from async handlers to errorHandler, which answers with
+// the error's status and { message, code, ...details, request_id }. Any other error is a bug or an outage: it is
+// logged with its stack and the client gets a generic 500 that still carries the request ID to quote.
+const { logger } = require('../logging');
+
+class AppError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code; // Stable, machine-readable reason, e.g. 'not_found'
+        this.details = details; // Extra fields for the response body
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message) {
+        super(400, 'bad_request', message);
+    }
+}
+
+// errors maps each invalid field to its message (see validation/index.mjs); the first one becomes the message
+class ValidationError extends AppError {
+    constructor(errors) {
+        super(400, 'validation_failed', Object.values(errors)[0], { errors });
+    }
+}
+
+class AuthenticationError extends AppError {
+    constructor(message = 'Authentication token required') {
+        super(401, 'unauthenticated', message);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(403, 'forbidden', message);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(404, 'not_found', message);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message) {
+        super(409, 'conflict', message);
+    }
+}
+
+// A bulk action that failed for some listings and was rolled back for all of them.
+// results has one { id, ok, error } entry per listing, so the client can point out the ones that failed.
+class BulkActionError extends AppError {
+    constructor(results) {
+        const failed = results.filter(result => !result.ok).length;
+        const message = `${failed} of ${results.length} listing${results.length === 1 ? '' : 's'} could not be changed, so none were.`;
+        super(409, 'bulk_action_failed', message, { results });
+    }
+}
+
+// A spreadsheet import with invalid rows, of which nothing was saved.
+// rows has one { row, values, errors } entry per row, like the dry-run preview of POST /api/products/import.
+class ImportError extends AppError {
+    constructor(rows) {
+        const invalid = rows.filter(row => Object.keys(row.errors).length > 0).length;
+        const message = `${invalid} of ${rows.length} row${rows.length === 1 ? '' : 's'} ${invalid === 1 ? 'has' : 'have'} errors, so nothing was imported.`;
+        super(400, 'import_failed', message, { rows });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    constructor(message, retryAfterSeconds) {
+        const seconds = Math.max(1, Math.ceil(retryAfterSeconds));
+        super(429, 'rate_limited', message, { retry_after: seconds });
+        this.retryAfter = seconds; // Sent as the Retry-After header
+    }
+}
+
+// Catch-all for /api paths no route matched
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`No such endpoint: ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+// Helper function to turn errors raised by Express itself (e.g. a malformed JSON body) into AppErrors
+const fromExpressError = (error) => {
+    if (error.type === 'entity.parse.failed') return new BadRequestError('The request body is not valid JSON.');
+    if (error.expose && error.status >= 400 && error.status < 500) return new AppError(error.status, error.type || 'bad_request', error.message);
+    return null;
+};
+
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) return next(error); // Too late for an error body; let Express close the connection
+
+    const appError = error instanceof AppError ? error : fromExpressError(error);
+    if (!appError) {
+        (req.log || logger).error('Unhandled error', { error });
+        return res.status(500).json({
+            message: 'Something went wrong on our side. Please try again.',
+            code: 'internal_error',
+            request_id: req.id
+        });
+    }
+
+    if (appError.retryAfter) res.set('Retry-After', String(appError.retryAfter));
+    res.status(appError.status).json({ message: appError.message, code: appError.code, ...appError.details, request_id: req.id });
+};
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    BulkActionError,
+    ImportError,
+    TooManyRequestsError,
+    notFoundHandler,
+    errorHandler
+};
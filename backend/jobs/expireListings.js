@@ -0,0 +1,85 @@
+// Scheduled expiry of stale listings.
+//
+// Every intervalMs the job moves active listings whose last_activity_at is more than expireAfterDays old to
+// 'expired', then calls onExpired(product) for each one (id, title, seller_id, seller_name, seller_email) so the
+// app can notify the seller. Sellers bring a listing back with POST /api/products/:id/renew.
+const { logger } = require('../logging');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200; // Listings expired per query; the job keeps going until none are left
+
+function createExpiryJob({ pool, expireAfterDays, intervalMs = CHECK_INTERVAL_MS, onExpired = () => {} }) {
+    let timer = null;
+    let running = null; // The run in progress, so a slow run never overlaps the next tick
+
+    const expireBatch = async () => {
+        // pool.query rather than execute: prepared statements reject numeric LIMIT placeholders
+        const [products] = await pool.query(
+            `SELECT p.id, p.title, p.seller_id, u.name AS seller_name, u.email AS seller_email
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             WHERE p.status = 'active' AND p.last_activity_at < NOW() - INTERVAL ? DAY
+             ORDER BY p.last_activity_at
+             LIMIT ?`,
+            [expireAfterDays, BATCH_SIZE]
+        );
+        if (products.length === 0) return [];
+
+        // Re-check the status so a listing renewed or sold in the meantime is left alone
+        await pool.query(
+            "UPDATE products SET status = 'expired', status_changed_at = NOW() WHERE id IN (?) AND status = 'active'",
+            [products.map(product => product.id)]
+        );
+        const [stillExpired] = await pool.query(
+            "SELECT id FROM products WHERE id IN (?) AND status = 'expired'",
+            [products.map(product => product.id)]
+        );
+        const expiredIds = new Set(stillExpired.map(row => row.id));
+        return products.filter(product => expiredIds.has(product.id));
+    };
+
+    // Expire every stale listing now; resolves with how many were expired
+    const runOnce = () => {
+        if (!running) {
+            running = (async () => {
+                let total = 0;
+                let batch;
+                do {
+                    batch = await expireBatch();
+                    batch.forEach(product => onExpired(product));
+                    total += batch.length;
+                } while (batch.length === BATCH_SIZE);
+                return total;
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    };
+
+    const tick = () => {
+        runOnce()
+            .then(count => {
+                if (count > 0) logger.info('Expired stale listings', { count });
+            })
+            .catch(error => logger.error('Error expiring listings', { error }));
+    };
+
+    return {
+        runOnce,
+
+        start() {
+            if (timer) return;
+            tick();
+            timer = setInterval(tick, intervalMs);
+            timer.unref(); // Don't keep the process alive just for this job
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = { createExpiryJob };
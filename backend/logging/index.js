@@ -0,0 +1,65 @@
+// Structured logging.
+//
+// logger.debug/info/warn/error(message, fields) writes one JSON object per line to stdout:
+//   { "time": "...", "level": "info", "message": "...", ...fields }
+// logger.child(fields) returns a logger that adds those fields to every entry. Errors found in fields are
+// written with their name, message, code and stack. LOG_LEVEL sets the quietest level written (default info).
+//
+// requestLogger gives every request an ID (the caller's X-Request-Id if it looks sane, otherwise a new UUID),
+// returns it in the X-Request-Id response header, exposes req.id and a request-scoped req.log, and logs each
+// finished request with its route, status, user id and latency.
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const serializeError = (error) => ({ name: error.name, message: error.message, code: error.code, stack: error.stack });
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    const log = (entryLevel, message, entryFields = {}) => {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, message, ...fields };
+        Object.entries(entryFields).forEach(([key, value]) => {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        });
+        write(JSON.stringify(entry));
+    };
+
+    return {
+        debug: (message, entryFields) => log('debug', message, entryFields),
+        info: (message, entryFields) => log('info', message, entryFields),
+        warn: (message, entryFields) => log('warn', message, entryFields),
+        error: (message, entryFields) => log('error', message, entryFields),
+        child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+    };
+}
+
+// The process-wide logger; modules log through it (or through req.log inside a request)
+const logger = createLogger();
+
+function requestLogger(baseLogger = logger) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = baseLogger.child({ request_id: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            req.log[level]('Request completed', {
+                method: req.method,
+                route: req.route ? `${req.baseUrl}${req.route.path}` : null, // The pattern, e.g. /api/products/:id
+                path: req.path, // Without the query string, which can carry tokens
+                status: res.statusCode,
+                user_id: req.user ? req.user.id : null,
+                latency_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+            });
+        });
+        next();
+    };
+}
+
+module.exports = { createLogger, logger, requestLogger };
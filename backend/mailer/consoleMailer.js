@@ -0,0 +1,14 @@
+// Mailer that writes messages to the server log instead of sending them (the development default)
+const { logger } = require('../logging');
+
+function createConsoleMailer({ from }) {
+    return {
+        name: 'console',
+
+        send: async ({ to, subject, text }) => {
+            logger.info('Outgoing email', { mailer: 'console', from, to, subject, text });
+        }
+    };
+}
+
+module.exports = { createConsoleMailer };
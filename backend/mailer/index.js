@@ -0,0 +1,34 @@
+// Outgoing email selection.
+//
+// Every mailer exposes send({ to, subject, text, html? }), resolving once the message is handed off.
+//
+// MAIL_DRIVER picks the backend: "console" (default, logs messages) or "smtp" (configured with
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD). MAIL_FROM sets the sender.
+const { createConsoleMailer } = require('./consoleMailer');
+const { createSmtpMailer } = require('./smtpMailer');
+
+const DEFAULT_FROM = 'Chuka Black Market <no-reply@chukablackmarket.local>';
+
+function createMailer(env = process.env) {
+    const driver = env.MAIL_DRIVER || 'console';
+    const from = env.MAIL_FROM || DEFAULT_FROM;
+
+    if (driver === 'console') {
+        return createConsoleMailer({ from });
+    }
+
+    if (driver === 'smtp') {
+        return createSmtpMailer({
+            host: env.SMTP_HOST || 'localhost',
+            port: parseInt(env.SMTP_PORT, 10) || 1025,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            password: env.SMTP_PASSWORD,
+            from
+        });
+    }
+
+    throw new Error(`Unknown MAIL_DRIVER "${driver}". Use "console" or "smtp".`);
+}
+
+module.exports = { createMailer };
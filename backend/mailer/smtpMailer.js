@@ -0,0 +1,22 @@
+// Mailer that delivers over SMTP: a real provider in production, or a local catch-all
+// such as Mailpit or MailHog (localhost:1025) in development
+const nodemailer = require('nodemailer');
+
+function createSmtpMailer({ host, port, secure, user, password, from }) {
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        send: async ({ to, subject, text, html }) => {
+            await transport.sendMail({ from, to, subject, text, html });
+        }
+    };
+}
+
+module.exports = { createSmtpMailer };
@@ -0,0 +1,20 @@
+// Creates the users table used by /api/signup and /api/login
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE users (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                name VARCHAR(100) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                password VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_users_email (email)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE users');
+    }
+};
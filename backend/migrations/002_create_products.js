@@ -0,0 +1,30 @@
+// Creates the products table, indexed for the filters and sort orders of GET /api/products
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE products (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                title VARCHAR(255) NOT NULL,
+                price DECIMAL(10, 2) NOT NULL,
+                category VARCHAR(50) NOT NULL,
+                description TEXT NOT NULL,
+                image_url VARCHAR(512) NULL,
+                contact_number VARCHAR(20) NOT NULL,
+                location VARCHAR(255) NOT NULL,
+                seller_id INT UNSIGNED NOT NULL,
+                sold TINYINT(1) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_products_category (category),
+                KEY idx_products_price (price),
+                KEY idx_products_created_at (created_at),
+                KEY idx_products_sold (sold),
+                CONSTRAINT fk_products_seller FOREIGN KEY (seller_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE products');
+    }
+};
@@ -0,0 +1,28 @@
+// Creates product_images so a listing can have several ordered photos.
+// products.image_url is kept as a copy of the cover (position 0) so list queries stay a single join.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE product_images (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NOT NULL,
+                url VARCHAR(512) NOT NULL,
+                position INT UNSIGNED NOT NULL DEFAULT 0,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_product_images_product_position (product_id, position),
+                CONSTRAINT fk_product_images_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        // Existing single images become the cover photo of their listing
+        await db.query(`
+            INSERT INTO product_images (product_id, url, position)
+            SELECT id, image_url, 0 FROM products WHERE image_url IS NOT NULL
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE product_images');
+    }
+};
@@ -0,0 +1,29 @@
+// Creates sessions: one row per logged-in device, holding the hash of its current refresh token.
+// previous_token_hash lets /api/token/refresh spot a rotated-out token being replayed.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE sessions (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                user_id INT UNSIGNED NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                previous_token_hash CHAR(64) NULL,
+                user_agent VARCHAR(255) NULL,
+                ip_address VARCHAR(45) NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_sessions_token_hash (token_hash),
+                KEY idx_sessions_previous_token_hash (previous_token_hash),
+                KEY idx_sessions_user (user_id),
+                CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE sessions');
+    }
+};
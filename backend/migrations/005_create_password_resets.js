@@ -0,0 +1,22 @@
+// Creates password_resets: single-use, expiring tokens (stored hashed) for /api/password/reset
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE password_resets (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                user_id INT UNSIGNED NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_password_resets_token_hash (token_hash),
+                CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE password_resets');
+    }
+};
@@ -0,0 +1,27 @@
+// Adds email verification: users.email_verified_at plus single-use, expiring verification tokens (stored hashed).
+// Accounts that existed before verification was introduced are treated as already verified.
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL AFTER password');
+        await db.query('UPDATE users SET email_verified_at = created_at');
+
+        await db.query(`
+            CREATE TABLE email_verifications (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                user_id INT UNSIGNED NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_email_verifications_token_hash (token_hash),
+                CONSTRAINT fk_email_verifications_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE email_verifications');
+        await db.query('ALTER TABLE users DROP COLUMN email_verified_at');
+    }
+};
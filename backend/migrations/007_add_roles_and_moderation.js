@@ -0,0 +1,52 @@
+// Adds user roles and suspensions, admin-hidden products, and user reports ("flags") on listings
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN role ENUM('user', 'admin') NOT NULL DEFAULT 'user' AFTER password,
+                ADD COLUMN suspended_at DATETIME NULL,
+                ADD COLUMN suspension_reason VARCHAR(255) NULL
+        `);
+
+        await db.query(`
+            ALTER TABLE products
+                ADD COLUMN hidden_at DATETIME NULL,
+                ADD COLUMN hidden_reason VARCHAR(255) NULL,
+                ADD KEY idx_products_hidden_at (hidden_at)
+        `);
+
+        await db.query(`
+            CREATE TABLE product_reports (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NOT NULL,
+                reporter_id INT UNSIGNED NOT NULL,
+                reason VARCHAR(500) NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME NULL,
+                resolved_by INT UNSIGNED NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_product_reports_product_reporter (product_id, reporter_id),
+                KEY idx_product_reports_resolved_at (resolved_at),
+                CONSTRAINT fk_product_reports_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT fk_product_reports_reporter FOREIGN KEY (reporter_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_product_reports_resolved_by FOREIGN KEY (resolved_by) REFERENCES users (id) ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE product_reports');
+        await db.query(`
+            ALTER TABLE products
+                DROP KEY idx_products_hidden_at,
+                DROP COLUMN hidden_at,
+                DROP COLUMN hidden_reason
+        `);
+        await db.query(`
+            ALTER TABLE users
+                DROP COLUMN role,
+                DROP COLUMN suspended_at,
+                DROP COLUMN suspension_reason
+        `);
+    }
+};
@@ -0,0 +1,48 @@
+// Creates in-app messaging: one conversation per (product, buyer) pair, and the messages within it.
+// Also makes products.contact_number optional, so sellers can list without publishing a phone number.
+module.exports = {
+    up: async (db) => {
+        await db.query('ALTER TABLE products MODIFY contact_number VARCHAR(20) NULL');
+
+        await db.query(`
+            CREATE TABLE conversations (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NOT NULL,
+                buyer_id INT UNSIGNED NOT NULL,
+                seller_id INT UNSIGNED NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                last_message_at DATETIME NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_conversations_product_buyer (product_id, buyer_id),
+                KEY idx_conversations_buyer (buyer_id, last_message_at),
+                KEY idx_conversations_seller (seller_id, last_message_at),
+                CONSTRAINT fk_conversations_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT fk_conversations_buyer FOREIGN KEY (buyer_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_conversations_seller FOREIGN KEY (seller_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.query(`
+            CREATE TABLE messages (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                conversation_id INT UNSIGNED NOT NULL,
+                sender_id INT UNSIGNED NOT NULL,
+                body TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                read_at DATETIME NULL,
+                PRIMARY KEY (id),
+                KEY idx_messages_conversation (conversation_id, id),
+                KEY idx_messages_unread (conversation_id, sender_id, read_at),
+                CONSTRAINT fk_messages_conversation FOREIGN KEY (conversation_id) REFERENCES conversations (id) ON DELETE CASCADE,
+                CONSTRAINT fk_messages_sender FOREIGN KEY (sender_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE messages');
+        await db.query('DROP TABLE conversations');
+        await db.query("UPDATE products SET contact_number = '' WHERE contact_number IS NULL");
+        await db.query('ALTER TABLE products MODIFY contact_number VARCHAR(20) NOT NULL');
+    }
+};
@@ -0,0 +1,43 @@
+// Creates saved searches (the filters of GET /api/products, stored per user) and the alerts raised
+// when a newly listed product matches one of them.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE saved_searches (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                user_id INT UNSIGNED NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                query VARCHAR(255) NULL,
+                category VARCHAR(50) NULL,
+                min_price DECIMAL(10, 2) NULL,
+                max_price DECIMAL(10, 2) NULL,
+                location VARCHAR(255) NULL,
+                email_alerts TINYINT(1) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_saved_searches_user (user_id),
+                KEY idx_saved_searches_category (category),
+                CONSTRAINT fk_saved_searches_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.query(`
+            CREATE TABLE saved_search_alerts (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                saved_search_id INT UNSIGNED NOT NULL,
+                product_id INT UNSIGNED NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                read_at DATETIME NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_saved_search_alerts_search_product (saved_search_id, product_id),
+                CONSTRAINT fk_saved_search_alerts_search FOREIGN KEY (saved_search_id) REFERENCES saved_searches (id) ON DELETE CASCADE,
+                CONSTRAINT fk_saved_search_alerts_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE saved_search_alerts');
+        await db.query('DROP TABLE saved_searches');
+    }
+};
@@ -0,0 +1,22 @@
+// Creates favorites: a user's watchlist of products. price_at_save remembers the price when the item was
+// saved, so the watchlist can point out price changes.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE favorites (
+                user_id INT UNSIGNED NOT NULL,
+                product_id INT UNSIGNED NOT NULL,
+                price_at_save DECIMAL(10, 2) NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, product_id),
+                KEY idx_favorites_product (product_id),
+                CONSTRAINT fk_favorites_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_favorites_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE favorites');
+    }
+};
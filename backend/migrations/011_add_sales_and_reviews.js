@@ -0,0 +1,42 @@
+// Records who bought a sold listing (products.buyer_id) and lets that buyer review the seller: one review
+// per sale, with an optional reply from the seller. Reviews outlive the listing, so the product title is
+// copied onto the review and product_id is cleared if the listing is deleted.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            ALTER TABLE products
+                ADD COLUMN buyer_id INT UNSIGNED NULL AFTER seller_id,
+                ADD CONSTRAINT fk_products_buyer FOREIGN KEY (buyer_id) REFERENCES users (id) ON DELETE SET NULL
+        `);
+
+        await db.query(`
+            CREATE TABLE reviews (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NULL,
+                product_title VARCHAR(255) NOT NULL,
+                seller_id INT UNSIGNED NOT NULL,
+                reviewer_id INT UNSIGNED NOT NULL,
+                rating TINYINT UNSIGNED NOT NULL,
+                comment TEXT NULL,
+                seller_reply TEXT NULL,
+                replied_at DATETIME NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_reviews_product (product_id),
+                KEY idx_reviews_seller (seller_id, created_at),
+                CONSTRAINT fk_reviews_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE SET NULL,
+                CONSTRAINT fk_reviews_seller FOREIGN KEY (seller_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_reviews_reviewer FOREIGN KEY (reviewer_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE reviews');
+        await db.query(`
+            ALTER TABLE products
+                DROP FOREIGN KEY fk_products_buyer,
+                DROP COLUMN buyer_id
+        `);
+    }
+};
@@ -0,0 +1,44 @@
+// Creates offers: price negotiation between a buyer and the seller of a product. Each row is one proposal;
+// a counter-offer closes the pending row as 'countered' and adds a new one from the other party, so the rows
+// for a (product, buyer) pair are the negotiation's history. Also lets an accepted offer reserve the product
+// for its buyer (products.reserved_by).
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            ALTER TABLE products
+                ADD COLUMN reserved_by INT UNSIGNED NULL AFTER buyer_id,
+                ADD COLUMN reserved_at DATETIME NULL AFTER reserved_by,
+                ADD CONSTRAINT fk_products_reserved_by FOREIGN KEY (reserved_by) REFERENCES users (id) ON DELETE SET NULL
+        `);
+
+        await db.query(`
+            CREATE TABLE offers (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NOT NULL,
+                buyer_id INT UNSIGNED NOT NULL,
+                sender_id INT UNSIGNED NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                status ENUM('pending', 'accepted', 'rejected', 'countered') NOT NULL DEFAULT 'pending',
+                reserve_on_accept TINYINT(1) NOT NULL DEFAULT 0,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                responded_at DATETIME NULL,
+                PRIMARY KEY (id),
+                KEY idx_offers_product_buyer (product_id, buyer_id, created_at),
+                KEY idx_offers_buyer_status (buyer_id, status),
+                CONSTRAINT fk_offers_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT fk_offers_buyer FOREIGN KEY (buyer_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_offers_sender FOREIGN KEY (sender_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE offers');
+        await db.query(`
+            ALTER TABLE products
+                DROP FOREIGN KEY fk_products_reserved_by,
+                DROP COLUMN reserved_at,
+                DROP COLUMN reserved_by
+        `);
+    }
+};
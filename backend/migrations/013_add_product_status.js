@@ -0,0 +1,35 @@
+// Replaces the sold flag with a listing lifecycle: draft, active, reserved, sold, expired and removed.
+// sold stays as a column kept in step with status (sold = status 'sold') so existing filters and clients
+// keep working. last_activity_at is when the seller last touched the listing; active listings left alone
+// for too long are expired by the scheduled job in jobs/expireListings.js.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            ALTER TABLE products
+                ADD COLUMN status ENUM('draft', 'active', 'reserved', 'sold', 'expired', 'removed') NOT NULL DEFAULT 'active' AFTER sold,
+                ADD COLUMN status_changed_at DATETIME NULL AFTER status,
+                ADD COLUMN last_activity_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP AFTER status_changed_at,
+                ADD KEY idx_products_status_activity (status, last_activity_at)
+        `);
+
+        await db.query(`
+            UPDATE products
+            SET status = CASE
+                    WHEN sold = 1 THEN 'sold'
+                    WHEN reserved_by IS NOT NULL THEN 'reserved'
+                    ELSE 'active'
+                END,
+                last_activity_at = created_at
+        `);
+    },
+
+    down: async (db) => {
+        await db.query(`
+            ALTER TABLE products
+                DROP KEY idx_products_status_activity,
+                DROP COLUMN last_activity_at,
+                DROP COLUMN status_changed_at,
+                DROP COLUMN status
+        `);
+    }
+};
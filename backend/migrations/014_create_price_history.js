@@ -0,0 +1,36 @@
+// Creates price_history: one row per price change of a listing. products.previous_price and
+// products.price_changed_at copy the latest change so the grid can show and sort by price drops
+// without joining the history.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE price_history (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NOT NULL,
+                old_price DECIMAL(10, 2) NOT NULL,
+                new_price DECIMAL(10, 2) NOT NULL,
+                changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_price_history_product (product_id, changed_at),
+                CONSTRAINT fk_price_history_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.query(`
+            ALTER TABLE products
+                ADD COLUMN previous_price DECIMAL(10, 2) NULL AFTER price,
+                ADD COLUMN price_changed_at DATETIME NULL AFTER previous_price,
+                ADD KEY idx_products_price_changed_at (price_changed_at)
+        `);
+    },
+
+    down: async (db) => {
+        await db.query(`
+            ALTER TABLE products
+                DROP KEY idx_products_price_changed_at,
+                DROP COLUMN price_changed_at,
+                DROP COLUMN previous_price
+        `);
+        await db.query('DROP TABLE price_history');
+    }
+};
@@ -0,0 +1,19 @@
+// Tracks failed logins per account: after LOGIN_MAX_FAILED_ATTEMPTS in a row the account is locked
+// until locked_until. A successful login or a password reset clears both.
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            ALTER TABLE users
+                ADD COLUMN failed_login_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+                ADD COLUMN locked_until DATETIME NULL
+        `);
+    },
+
+    down: async (db) => {
+        await db.query(`
+            ALTER TABLE users
+                DROP COLUMN locked_until,
+                DROP COLUMN failed_login_attempts
+        `);
+    }
+};
@@ -0,0 +1,23 @@
+// Creates listing_events: who looked at a listing ('view') or tapped its WhatsApp button ('contact'), for the
+// seller's analytics. The primary key keeps one row per listing, event type, visitor and day, so inserting with
+// INSERT IGNORE counts each visitor at most once a day. visitor is a SHA-256 hash (see routes/analytics.js).
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE listing_events (
+                product_id INT UNSIGNED NOT NULL,
+                type ENUM('view', 'contact') NOT NULL,
+                visitor CHAR(64) NOT NULL,
+                event_date DATE NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (product_id, type, visitor, event_date),
+                KEY idx_listing_events_product_date (product_id, event_date),
+                CONSTRAINT fk_listing_events_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    down: async (db) => {
+        await db.query('DROP TABLE listing_events');
+    }
+};
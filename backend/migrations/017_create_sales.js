@@ -0,0 +1,74 @@
+// Creates sales: one row per time a listing was sold to a recorded buyer, so a listing that is relisted and
+// sold again keeps its earlier buyers. Reviews move from one per listing to one per sale (reviews.sale_id).
+// products.buyer_id stays as the listing's current buyer.
+//
+// Existing data: every sold listing with a buyer gets a sale, and so does every review that no longer matches
+// one (its listing was relisted or deleted since).
+module.exports = {
+    up: async (db) => {
+        await db.query(`
+            CREATE TABLE sales (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                product_id INT UNSIGNED NULL,
+                product_title VARCHAR(255) NOT NULL,
+                seller_id INT UNSIGNED NOT NULL,
+                buyer_id INT UNSIGNED NOT NULL,
+                sold_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_sales_buyer (buyer_id, sold_at),
+                KEY idx_sales_product (product_id),
+                CONSTRAINT fk_sales_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE SET NULL,
+                CONSTRAINT fk_sales_seller FOREIGN KEY (seller_id) REFERENCES users (id) ON DELETE CASCADE,
+                CONSTRAINT fk_sales_buyer FOREIGN KEY (buyer_id) REFERENCES users (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.query(`
+            INSERT INTO sales (product_id, product_title, seller_id, buyer_id, sold_at)
+            SELECT id, title, seller_id, buyer_id, COALESCE(status_changed_at, created_at)
+            FROM products
+            WHERE status = 'sold' AND buyer_id IS NOT NULL
+        `);
+
+        await db.query(`
+            ALTER TABLE reviews
+                ADD COLUMN sale_id INT UNSIGNED NULL AFTER id,
+                ADD KEY idx_reviews_product (product_id),
+                DROP KEY uq_reviews_product
+        `);
+        await db.query(`
+            UPDATE reviews r
+            JOIN sales s ON s.product_id = r.product_id AND s.buyer_id = r.reviewer_id
+            SET r.sale_id = s.id
+        `);
+
+        const [unmatched] = await db.query('SELECT id, product_id, product_title, seller_id, reviewer_id, created_at FROM reviews WHERE sale_id IS NULL');
+        for (const review of unmatched) {
+            const [result] = await db.query(
+                'INSERT INTO sales (product_id, product_title, seller_id, buyer_id, sold_at) VALUES (?, ?, ?, ?, ?)',
+                [review.product_id, review.product_title, review.seller_id, review.reviewer_id, review.created_at]
+            );
+            await db.query('UPDATE reviews SET sale_id = ? WHERE id = ?', [result.insertId, review.id]);
+        }
+
+        await db.query(`
+            ALTER TABLE reviews
+                MODIFY COLUMN sale_id INT UNSIGNED NOT NULL,
+                ADD UNIQUE KEY uq_reviews_sale (sale_id),
+                ADD CONSTRAINT fk_reviews_sale FOREIGN KEY (sale_id) REFERENCES sales (id) ON DELETE CASCADE
+        `);
+    },
+
+    // Fails if a listing has been reviewed more than once, which the old one-review-per-listing key can't hold
+    down: async (db) => {
+        await db.query(`
+            ALTER TABLE reviews
+                DROP FOREIGN KEY fk_reviews_sale,
+                DROP KEY uq_reviews_sale,
+                ADD UNIQUE KEY uq_reviews_product (product_id),
+                DROP KEY idx_reviews_product,
+                DROP COLUMN sale_id
+        `);
+        await db.query('DROP TABLE sales');
+    }
+};
@@ -0,0 +1,242 @@
+// Listings: their lifecycle and the data helpers shared by the product routes and the rest of the API.
+//
+// createProductStore({ db, storage, events }) returns helpers to load, change and publish listings and manage their
+// photos, and inTransaction() to change several listings at once. PRODUCT_STATUS_TRANSITIONS, PUBLIC_STATUS_CONDITION
+// and stripBuyer don't need any of those and are exported on their own.
+const { logger } = require('../logging');
+
+// Listing lifecycle: the statuses a listing in each status can move to.
+// Drafts, expired and removed listings are only visible to their seller (PUBLIC_STATUS_CONDITION).
+const PRODUCT_STATUS_TRANSITIONS = {
+    draft: ['active', 'removed'],
+    active: ['reserved', 'sold', 'expired', 'removed'],
+    reserved: ['active', 'sold', 'removed'],
+    sold: ['active', 'removed'],
+    expired: ['active', 'removed'],
+    removed: ['active']
+};
+const PUBLIC_STATUS_CONDITION = "p.status IN ('active', 'reserved', 'sold')";
+
+// Helper function to drop who bought or reserved a listing from product rows; only the seller gets to see it.
+// reserved_at stays, so everyone can still tell that the item is reserved.
+const stripBuyer = (products, viewer = null) => {
+    products.forEach(product => {
+        if (!viewer || viewer.id !== product.seller_id) {
+            delete product.buyer_id;
+            delete product.reserved_by;
+            delete product.reserved_by_name;
+        }
+    });
+    return products;
+};
+
+function createProductStore({ db, storage, events }) {
+    // Helper function to delete a stored image without failing the request that replaced or removed it
+    const deleteImage = (imageUrl) => {
+        storage.delete(imageUrl).catch(error => {
+            logger.error('Error deleting image', { storage: storage.name, image_url: imageUrl, error });
+        });
+    };
+
+    // Helper function to store several uploads, cleaning up the ones already saved if a later one fails
+    const saveImages = async (files = []) => {
+        const urls = [];
+        try {
+            for (const file of files) {
+                urls.push(await storage.save(file));
+            }
+        } catch (error) {
+            urls.forEach(deleteImage);
+            throw error;
+        }
+        return urls;
+    };
+
+    // Helper function to load a product only if it belongs to the given seller
+    const findOwnedProduct = async (productId, sellerId) => {
+        const [rows] = await db.execute('SELECT * FROM products WHERE id = ? AND seller_id = ?', [productId, sellerId]);
+        return rows[0];
+    };
+
+    // Helper function to load and lock the listings among productIds that belong to the given seller.
+    // Only useful inside inTransaction(), where the row locks last until the transaction ends.
+    const lockOwnedProducts = async (productIds, sellerId) => {
+        const [rows] = await db.query('SELECT * FROM products WHERE id IN (?) AND seller_id = ? FOR UPDATE', [productIds, sellerId]);
+        return rows;
+    };
+
+    // Helper function to move a listing to another status, enforcing PRODUCT_STATUS_TRANSITIONS. Returns an error
+    // message if the move isn't allowed. Keeps sold in step with status, records the buyer (and the sale, see
+    // migration 017) when selling, clears the reservation when leaving 'reserved' and resets the expiry clock.
+    const changeProductStatus = async (product, status, { buyerId = null, reservedBy = null } = {}) => {
+        if (!PRODUCT_STATUS_TRANSITIONS[product.status].includes(status)) {
+            return `A listing that is ${product.status} cannot be made ${status}.`;
+        }
+
+        let nextBuyerId = product.buyer_id;
+        if (status === 'sold') nextBuyerId = buyerId;
+        else if (status === 'active') nextBuyerId = null; // Relisted: whoever bought it before no longer has it
+
+        const [result] = await db.execute(
+            `UPDATE products
+             SET status = ?, sold = ?, buyer_id = ?, reserved_by = ?, reserved_at = ?, status_changed_at = NOW(), last_activity_at = NOW()
+             WHERE id = ? AND status = ?`,
+            [
+                status,
+                status === 'sold',
+                nextBuyerId,
+                status === 'reserved' ? reservedBy : null,
+                status === 'reserved' ? new Date() : null,
+                product.id,
+                product.status
+            ]
+        );
+        if (result.affectedRows === 0) return 'This listing was changed in the meantime. Please refresh and try again.';
+
+        if (status === 'sold' && buyerId) {
+            await db.execute(
+                'INSERT INTO sales (product_id, product_title, seller_id, buyer_id) VALUES (?, ?, ?, ?)',
+                [product.id, product.title, product.seller_id, buyerId]
+            );
+        }
+        return null;
+    };
+
+    // Helper function to record a price change in price_history and on the listing itself (previous_price, price_changed_at).
+    // Call it after the new price has been saved; it does nothing if the price didn't actually change.
+    const recordPriceChange = async (productId, oldPrice, newPrice) => {
+        if (Number(oldPrice) === Number(newPrice)) return;
+        await db.execute(
+            'INSERT INTO price_history (product_id, old_price, new_price) VALUES (?, ?, ?)',
+            [productId, oldPrice, newPrice]
+        );
+        await db.execute(
+            'UPDATE products SET previous_price = ?, price_changed_at = NOW() WHERE id = ?',
+            [oldPrice, productId]
+        );
+    };
+
+    // Helper function to fetch the ordered photos of a product
+    const getProductImages = async (productId) => {
+        const [images] = await db.execute(
+            'SELECT id, url, position FROM product_images WHERE product_id = ? ORDER BY position, id',
+            [productId]
+        );
+        return images;
+    };
+
+    // Helper function to attach each product's ordered photos as an "images" array
+    const attachProductImages = async (products) => {
+        if (products.length === 0) return products;
+        const [images] = await db.query(
+            'SELECT id, product_id, url, position FROM product_images WHERE product_id IN (?) ORDER BY position, id',
+            [products.map(product => product.id)]
+        );
+        for (const product of products) {
+            product.images = images
+                .filter(image => image.product_id === product.id)
+                .map(({ id, url, position }) => ({ id, url, position }));
+        }
+        return products;
+    };
+
+    // Helper function to append newly stored photos after a product's existing ones
+    const addProductImages = async (productId, urls) => {
+        const [[{ next_position }]] = await db.execute(
+            'SELECT COALESCE(MAX(position) + 1, 0) AS next_position FROM product_images WHERE product_id = ?',
+            [productId]
+        );
+        for (const [index, url] of urls.entries()) {
+            await db.execute(
+                'INSERT INTO product_images (product_id, url, position) VALUES (?, ?, ?)',
+                [productId, url, next_position + index]
+            );
+        }
+    };
+
+    // Helper function to renumber a product's photos in the given order and refresh its cover image_url
+    const saveImageOrder = async (productId, orderedImageIds) => {
+        for (const [position, imageId] of orderedImageIds.entries()) {
+            await db.execute('UPDATE product_images SET position = ? WHERE id = ? AND product_id = ?', [position, imageId, productId]);
+        }
+        await syncCoverImage(productId);
+    };
+
+    // Helper function to copy the first photo's URL into products.image_url (the cover shown in lists)
+    const syncCoverImage = async (productId) => {
+        await db.execute(
+            `UPDATE products SET image_url = (
+                 SELECT url FROM product_images WHERE product_id = ? ORDER BY position, id LIMIT 1
+             ) WHERE id = ?`,
+            [productId, productId]
+        );
+    };
+
+    // Helper function to load a listing as the public sees it, with its photos (null if hidden, moderated or gone)
+    const getPublicProduct = async (productId) => {
+        const [rows] = await db.execute(
+            `SELECT p.*, u.name AS seller_name
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             WHERE p.id = ? AND p.hidden_at IS NULL AND u.suspended_at IS NULL AND ${PUBLIC_STATUS_CONDITION}`,
+            [productId]
+        );
+        const product = rows[0];
+        if (!product) return null;
+        stripBuyer([product]);
+        product.images = await getProductImages(product.id);
+        return product;
+    };
+
+    // Helper function to push a listing change to every connected client. Fire-and-forget, like deleteImage.
+    // An update that marks the item sold goes out as product.sold; listings that are no longer public as product.deleted.
+    const publishProduct = (event, productId, wasSold = false) => {
+        getPublicProduct(productId)
+            .then(product => {
+                if (!product) {
+                    events.broadcast('product.deleted', { id: Number(productId) });
+                    return;
+                }
+                const type = event === 'product.updated' && product.sold && !wasSold ? 'product.sold' : event;
+                events.broadcast(type, { product });
+            })
+            .catch(error => logger.error('Error publishing product event', { event, product_id: Number(productId), error }));
+    };
+
+    // Helper function to run work(connection, store) in a database transaction: connection is the transaction's
+    // connection and store a product store whose helpers run on it. Commits when work resolves (with its result)
+    // and rolls back when it throws. Publish events only after it resolves, so clients never see rolled-back changes.
+    const inTransaction = async (work) => {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(connection, createProductStore({ db: connection, storage, events }));
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    };
+
+    return {
+        saveImages,
+        deleteImage,
+        findOwnedProduct,
+        lockOwnedProducts,
+        changeProductStatus,
+        recordPriceChange,
+        getProductImages,
+        attachProductImages,
+        addProductImages,
+        saveImageOrder,
+        syncCoverImage,
+        getPublicProduct,
+        publishProduct,
+        inTransaction
+    };
+}
+
+module.exports = { PRODUCT_STATUS_TRANSITIONS, PUBLIC_STATUS_CONDITION, stripBuyer, createProductStore };
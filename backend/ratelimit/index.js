@@ -0,0 +1,58 @@
+// Request rate limiting.
+//
+// createRateLimiter({ name, windowMs, max, key, message }) returns Express middleware that lets each key
+// (by default the client IP) make at most `max` requests per `windowMs`, failing the rest with a
+// TooManyRequestsError (429 with a Retry-After header and retry_after in the body, see errors/index.js).
+// `key(req)` can return null to skip limiting a request, e.g. an account-keyed limiter for anonymous callers.
+//
+// Counters live in memory, so they are per process and reset on restart; account lockouts that must
+// survive a restart are kept in the database instead (see POST /api/login).
+const { TooManyRequestsError } = require('../errors');
+const { logger } = require('../logging');
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Helper function to describe a wait in words for error messages, e.g. "3 minutes"
+function describeWait(seconds) {
+    if (seconds < 60) return `${Math.ceil(seconds)} seconds`;
+    if (seconds < 60 * 60) {
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const hours = Math.ceil(seconds / (60 * 60));
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function createRateLimiter({ name, windowMs, max, key = (req) => req.ip, message = 'Too many requests.' }) {
+    const counters = new Map(); // key -> { count, resetAt }
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        counters.forEach((counter, counterKey) => {
+            if (counter.resetAt <= now) counters.delete(counterKey);
+        });
+    }, CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const requestKey = key(req);
+        if (requestKey === null || requestKey === undefined) return next();
+
+        const now = Date.now();
+        let counter = counters.get(requestKey);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(requestKey, counter);
+        }
+
+        counter.count += 1;
+        if (counter.count > max) {
+            const retryAfterSeconds = (counter.resetAt - now) / 1000;
+            (req.log || logger).warn('Rate limit hit', { limiter: name, key: requestKey });
+            return next(new TooManyRequestsError(`${message} Please try again in ${describeWait(retryAfterSeconds)}.`, retryAfterSeconds));
+        }
+        next();
+    };
+}
+
+module.exports = { createRateLimiter, describeWait };
@@ -0,0 +1,100 @@
+// Real-time events over Server-Sent Events (SSE).
+//
+// The hub keeps every open GET /api/events response and writes events to them:
+//   broadcast(event, data)          Send to every connected client (public marketplace activity)
+//   notifyUser(userId, event, data) Send to the connections of one logged-in user
+//
+// EventSource can't send an Authorization header, so logged-in clients first trade their access token
+// for a short-lived, single-use ticket (issueTicket) and pass that in the stream URL (redeemTicket).
+const crypto = require('crypto');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const TICKET_TTL_MS = 60 * 1000;
+
+function createEventHub({ heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS, ticketTtlMs = TICKET_TTL_MS } = {}) {
+    const clients = new Set();
+    const clientsByUser = new Map(); // userId -> Set of responses
+    const tickets = new Map(); // ticket -> { userId, expiresAt }
+
+    const write = (res, event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => {
+        clients.forEach(res => res.write(': ping\n\n'));
+
+        const now = Date.now();
+        tickets.forEach((ticket, key) => {
+            if (ticket.expiresAt <= now) tickets.delete(key);
+        });
+    }, heartbeatIntervalMs);
+    heartbeat.unref();
+
+    const removeClient = (res, userId) => {
+        clients.delete(res);
+        if (!userId) return;
+        const userClients = clientsByUser.get(userId);
+        if (!userClients) return;
+        userClients.delete(res);
+        if (userClients.size === 0) clientsByUser.delete(userId);
+    };
+
+    return {
+        // Turn an Express request/response into an event stream. userId is null for anonymous visitors.
+        subscribe: (req, res, userId = null) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+            });
+            write(res, 'ready', { authenticated: Boolean(userId) });
+
+            clients.add(res);
+            if (userId) {
+                if (!clientsByUser.has(userId)) clientsByUser.set(userId, new Set());
+                clientsByUser.get(userId).add(res);
+            }
+
+            req.on('close', () => removeClient(res, userId));
+        },
+
+        broadcast: (event, data) => {
+            clients.forEach(res => write(res, event, data));
+        },
+
+        notifyUser: (userId, event, data) => {
+            const userClients = clientsByUser.get(userId);
+            if (userClients) userClients.forEach(res => write(res, event, data));
+        },
+
+        issueTicket: (userId) => {
+            const ticket = crypto.randomBytes(24).toString('hex');
+            tickets.set(ticket, { userId, expiresAt: Date.now() + ticketTtlMs });
+            return ticket;
+        },
+
+        // Resolve a ticket to its user id, or null if it is unknown or expired. Tickets work once.
+        redeemTicket: (ticket) => {
+            const entry = tickets.get(ticket);
+            if (!entry) return null;
+            tickets.delete(ticket);
+            return entry.expiresAt > Date.now() ? entry.userId : null;
+        },
+
+        // End every open stream, e.g. on shutdown
+        close: () => {
+            clearInterval(heartbeat);
+            clients.forEach(res => res.end());
+            clients.clear();
+            clientsByUser.clear();
+            tickets.clear();
+        },
+
+        get connectionCount() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,156 @@
+// Listing analytics: views and "Contact Seller" (WhatsApp) clicks, and the numbers sellers see about them.
+//
+// createAnalyticsRouter({ db, config, auth }) returns an Express router for createApp() to mount.
+// Each visitor counts at most once per listing, kind of event and day: logged-in users by account, everyone else
+// by the random visitor_id the frontend keeps in localStorage (or, without one, their IP address and browser).
+// Only a hash of that key is stored. Sellers looking at their own listings, and listings the public can't see,
+// don't count.
+const express = require('express');
+const crypto = require('crypto');
+const { createRateLimiter } = require('../ratelimit');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { PUBLIC_STATUS_CONDITION } = require('../products');
+
+// Most listings one POST /api/analytics/views can report, e.g. a full page of the grid
+const MAX_VIEWS_PER_REQUEST = 100;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+const VISITOR_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Per-listing totals for the stats (on products p). days_listed runs from creation until now, or until the listing was sold.
+const LISTING_TOTALS_COLUMNS = `
+    p.id, p.title, p.status,
+    DATEDIFF(IF(p.status = 'sold', COALESCE(p.status_changed_at, NOW()), NOW()), p.created_at) AS days_listed,
+    (SELECT COUNT(*) FROM listing_events e WHERE e.product_id = p.id AND e.type = 'view') AS views,
+    (SELECT COUNT(*) FROM listing_events e WHERE e.product_id = p.id AND e.type = 'contact') AS contacts`;
+
+// Helper function to read the product_ids of POST /api/analytics/views, returned without duplicates
+const parseProductIds = (ids) => {
+    const parsed = Array.isArray(ids) ? ids.map(id => Number(id)) : [];
+    if (parsed.length === 0 || parsed.length > MAX_VIEWS_PER_REQUEST || !parsed.every(id => Number.isInteger(id) && id > 0)) {
+        throw new BadRequestError(`product_ids must be an array of 1 to ${MAX_VIEWS_PER_REQUEST} listing IDs.`);
+    }
+    return [...new Set(parsed)];
+};
+
+// Helper function to read ?days, the length of the daily series in the stats
+const parseDays = (days) => {
+    if (days === undefined || days === '') return DEFAULT_STATS_DAYS;
+    const parsed = Number(days);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_STATS_DAYS) {
+        throw new BadRequestError(`days must be a whole number from 1 to ${MAX_STATS_DAYS}.`);
+    }
+    return parsed;
+};
+
+// Helper function to build the de-duplication key of whoever sent a request (see the top of this file)
+const visitorKey = (req) => {
+    let key;
+    if (req.user) key = `user:${req.user.id}`;
+    else if (typeof req.body.visitor_id === 'string' && VISITOR_ID_PATTERN.test(req.body.visitor_id)) key = `visitor:${req.body.visitor_id}`;
+    else key = `ip:${req.ip}:${req.headers['user-agent'] || ''}`;
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+function createAnalyticsRouter({ db, config, auth }) {
+    const router = express.Router();
+    const { authenticateToken, optionalAuthenticateToken } = auth;
+
+    // The grid reports views in batches, so this is generous; it only stops scripts from inflating the numbers
+    const analyticsIpLimiter = createRateLimiter({
+        name: 'analytics-ip',
+        ...config.rateLimits.analyticsIp,
+        message: 'Too many analytics events from your network.'
+    });
+
+    // Helper function to record one kind of event for the listings among productIds that count (see the top of
+    // this file). Resolves with how many were new for this visitor today.
+    const recordEvents = async (req, type, productIds) => {
+        const [result] = await db.query(
+            `INSERT IGNORE INTO listing_events (product_id, type, visitor, event_date)
+             SELECT p.id, ?, ?, CURRENT_DATE
+             FROM products p
+             WHERE p.id IN (?) AND p.seller_id <> ? AND p.hidden_at IS NULL AND ${PUBLIC_STATUS_CONDITION}`,
+            [type, visitorKey(req), productIds, req.user ? req.user.id : 0]
+        );
+        return result.affectedRows;
+    };
+
+    // Helper function to count views and contacts per day over the last `days` days (today included) for the
+    // listings matching condition (on products p). Days without events are filled in with zeros.
+    const getDailyCounts = async (condition, params, days) => {
+        const [rows] = await db.execute(
+            `SELECT DATE_FORMAT(e.event_date, '%Y-%m-%d') AS date,
+                    COUNT(CASE WHEN e.type = 'view' THEN 1 END) AS views,
+                    COUNT(CASE WHEN e.type = 'contact' THEN 1 END) AS contacts
+             FROM listing_events e
+             JOIN products p ON p.id = e.product_id
+             WHERE ${condition} AND e.event_date > CURRENT_DATE - INTERVAL ? DAY
+             GROUP BY e.event_date`,
+            [...params, days]
+        );
+        const [[{ today }]] = await db.execute("SELECT DATE_FORMAT(CURRENT_DATE, '%Y-%m-%d') AS today");
+
+        const byDate = new Map(rows.map(row => [row.date, row]));
+        const end = new Date(`${today}T00:00:00Z`);
+        return Array.from({ length: days }, (_, index) => {
+            const date = new Date(end.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const row = byDate.get(date);
+            return { date, views: row ? row.views : 0, contacts: row ? row.contacts : 0 };
+        });
+    };
+
+    // POST /api/analytics/views
+    // Body: { product_ids, visitor_id }. Listings that have been on a visitor's screen.
+    router.post('/api/analytics/views', analyticsIpLimiter, optionalAuthenticateToken, async (req, res) => {
+        const productIds = parseProductIds((req.body || {}).product_ids);
+        res.status(200).json({ recorded: await recordEvents(req, 'view', productIds) });
+    });
+
+    // POST /api/analytics/contacts
+    // Body: { product_id, visitor_id }. A visitor tapped the listing's WhatsApp button.
+    router.post('/api/analytics/contacts', analyticsIpLimiter, optionalAuthenticateToken, async (req, res) => {
+        const productId = Number((req.body || {}).product_id);
+        if (!Number.isInteger(productId) || productId <= 0) throw new BadRequestError('product_id must be a listing ID.');
+        res.status(200).json({ recorded: await recordEvents(req, 'contact', [productId]) });
+    });
+
+    // GET /api/analytics/listings
+    // The current user's numbers as a seller: all-time views, contacts and days listed for each of their listings
+    // (products, newest first) and in total, plus daily views and contacts over the last ?days (default 30).
+    router.get('/api/analytics/listings', authenticateToken, async (req, res) => {
+        const days = parseDays(req.query.days);
+        const [products] = await db.execute(
+            `SELECT ${LISTING_TOTALS_COLUMNS} FROM products p WHERE p.seller_id = ? ORDER BY p.created_at DESC, p.id DESC`,
+            [req.user.id]
+        );
+
+        res.status(200).json({
+            days,
+            totals: {
+                views: products.reduce((sum, product) => sum + product.views, 0),
+                contacts: products.reduce((sum, product) => sum + product.contacts, 0)
+            },
+            daily: await getDailyCounts('p.seller_id = ?', [req.user.id], days),
+            products
+        });
+    });
+
+    // GET /api/analytics/listings/:id
+    // The same numbers for one of the current user's listings
+    router.get('/api/analytics/listings/:id', authenticateToken, async (req, res) => {
+        const days = parseDays(req.query.days);
+        const [rows] = await db.execute(
+            `SELECT ${LISTING_TOTALS_COLUMNS} FROM products p WHERE p.id = ? AND p.seller_id = ?`,
+            [req.params.id, req.user.id]
+        );
+        const product = rows[0];
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        res.status(200).json({ ...product, days, daily: await getDailyCounts('p.id = ?', [product.id], days) });
+    });
+
+    return router;
+}
+
+module.exports = { createAnalyticsRouter };
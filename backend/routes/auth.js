@@ -0,0 +1,395 @@
+// Account routes: signup, login, email verification, password reset, token refresh and sessions.
+//
+// createAuthRouter({ db, mailer, config, authenticateToken }) returns an Express router for createApp() to mount.
+// Logins get a short-lived access token (checked by auth/index.js) and an opaque refresh token that is stored
+// hashed in the sessions table and rotated on every use.
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto'); // Refresh token generation and hashing
+const { createRateLimiter, describeWait } = require('../ratelimit');
+const {
+    BadRequestError, ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError
+} = require('../errors');
+const { signupRules, validate, hasErrors } = require('../validation');
+
+// Helper function to hash a refresh token; only the hash is ever stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Helper function to shape a users row for API responses (never includes the password hash)
+const toPublicUser = (row) => ({
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    email_verified: Boolean(row.email_verified_at)
+});
+
+function createAuthRouter({ db, mailer, config, authenticateToken }) {
+    const router = express.Router();
+
+    const refreshTokenExpiry = () => new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    // Helper function to sign an access token for a user within a session
+    const signAccessToken = (user, sessionId) => jwt.sign(
+        { id: user.id, name: user.name, email: user.email, role: user.role, sid: sessionId },
+        config.jwtSecret,
+        { expiresIn: config.accessTokenTtl }
+    );
+
+    // Helper function to open a session for a freshly authenticated user and issue its token pair
+    const createSession = async (user, req) => {
+        const refreshToken = generateRefreshToken();
+        const [result] = await db.execute(
+            'INSERT INTO sessions (user_id, token_hash, user_agent, ip_address, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [user.id, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null, refreshTokenExpiry()]
+        );
+        return { token: signAccessToken(user, result.insertId), refresh_token: refreshToken };
+    };
+
+    // Helper function to check an email address against ALLOWED_EMAIL_DOMAINS
+    const isAllowedEmailDomain = (email) => {
+        if (config.allowedEmailDomains.length === 0) return true;
+        const domain = email.split('@').pop().toLowerCase();
+        return config.allowedEmailDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+    };
+
+    // Helper function to issue a verification token for a user and email them the link
+    const sendVerificationEmail = async (user) => {
+        // Only the newest link works: retire any earlier unused ones
+        await db.execute('UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [user.id]);
+
+        const verificationToken = crypto.randomBytes(32).toString('hex');
+        await db.execute(
+            'INSERT INTO email_verifications (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+            [user.id, hashToken(verificationToken), new Date(Date.now() + config.emailVerificationTtlHours * 60 * 60 * 1000)]
+        );
+
+        const verifyUrl = `${config.frontendUrl}/?verify_token=${verificationToken}`;
+        await mailer.send({
+            to: user.email,
+            subject: 'Verify your Chuka Black Market email address',
+            text: [
+                `Hi ${user.name},`,
+                '',
+                'Welcome to Chuka Black Market! Please confirm your email address so you can start listing items:',
+                '',
+                verifyUrl,
+                '',
+                `The link expires in ${config.emailVerificationTtlHours} hours. If you didn't create an account, you can ignore this email.`
+            ].join('\n')
+        });
+    };
+
+    // Per-IP request limits (see ratelimit/index.js)
+    const loginIpLimiter = createRateLimiter({ name: 'login-ip', ...config.rateLimits.loginIp, message: 'Too many login attempts from your network.' });
+    const signupIpLimiter = createRateLimiter({ name: 'signup-ip', ...config.rateLimits.signupIp, message: 'Too many accounts created from your network.' });
+    const passwordResetIpLimiter = createRateLimiter({
+        name: 'password-reset-ip', ...config.rateLimits.passwordResetIp, message: 'Too many password reset requests from your network.'
+    });
+
+    // POST /api/signup
+    router.post('/api/signup', signupIpLimiter, async (req, res) => {
+        const { values, errors } = validate(signupRules, req.body);
+        if (!errors.email && values.email && !isAllowedEmailDomain(values.email)) {
+            errors.email = `Please sign up with your university email address (${config.allowedEmailDomains.join(', ')}).`;
+        }
+        if (hasErrors(errors)) throw new ValidationError(errors);
+        const { name, email, password } = values;
+
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            const [result] = await db.execute(
+                'INSERT INTO users (name, email, password) VALUES (?, ?, ?)',
+                [name, email, hashedPassword]
+            );
+
+            const user = { id: result.insertId, name, email, role: 'user', email_verified: false };
+            const { token, refresh_token } = await createSession(user, req);
+
+            // A mail failure shouldn't undo the signup; the user can ask for a new link
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                req.log.error('Error sending verification email', { user_id: user.id, error: mailError });
+            }
+
+            res.status(201).json({
+                message: 'User registered successfully. Check your email for a link to verify your account.',
+                user,
+                token,
+                refresh_token
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new ConflictError('Email already registered');
+            }
+            throw error;
+        }
+    });
+
+    // Helper function to count a wrong password against an account; returns true if that locked the account
+    const registerFailedLogin = async (user) => {
+        if (user.failed_login_attempts + 1 < config.loginMaxFailedAttempts) {
+            await db.execute('UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?', [user.id]);
+            return false;
+        }
+        await db.execute(
+            'UPDATE users SET failed_login_attempts = 0, locked_until = NOW() + INTERVAL ? MINUTE WHERE id = ?',
+            [config.loginLockoutMinutes, user.id]
+        );
+        return true;
+    };
+
+    // POST /api/login
+    router.post('/api/login', loginIpLimiter, async (req, res) => {
+        const { email, password } = req.body;
+        if (!email || !password)
+            throw new BadRequestError('Please provide email and password');
+
+        const [rows] = await db.execute(
+            'SELECT *, TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lockout_seconds FROM users WHERE email = ?',
+            [email]
+        );
+        const user = rows[0];
+
+        // Locked accounts are refused before the password is checked, so guessing can't continue during the lockout
+        if (user && user.lockout_seconds > 0) {
+            throw new TooManyRequestsError(`This account is temporarily locked after too many failed logins. Please try again in ${describeWait(user.lockout_seconds)} or reset your password.`, user.lockout_seconds);
+        }
+
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            if (user && (await registerFailedLogin(user))) {
+                const lockoutSeconds = config.loginLockoutMinutes * 60;
+                throw new TooManyRequestsError(`Too many failed logins. This account is locked for ${describeWait(lockoutSeconds)}; you can also reset your password.`, lockoutSeconds);
+            }
+            throw new AuthenticationError('Invalid credentials');
+        }
+
+        if (user.failed_login_attempts > 0 || user.locked_until) {
+            await db.execute('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [user.id]);
+        }
+
+        if (user.suspended_at) {
+            throw new ForbiddenError('Your account has been suspended. Please contact the marketplace admins.');
+        }
+
+        const payload = toPublicUser(user);
+        const { token, refresh_token } = await createSession(payload, req);
+
+        res.status(200).json({ message: 'Logged in successfully', user: payload, token, refresh_token });
+    });
+
+    // GET /api/me
+    // The logged-in user's current account details (lets the frontend notice e.g. a newly verified email)
+    router.get('/api/me', authenticateToken, async (req, res) => {
+        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        if (!rows[0]) throw new NotFoundError('User not found');
+        res.status(200).json(toPublicUser(rows[0]));
+    });
+
+    // POST /api/email/verify
+    // Body: { token } from the link in the verification email
+    router.post('/api/email/verify', async (req, res) => {
+        const { token } = req.body;
+        if (!token) throw new BadRequestError('Please provide the verification token');
+
+        const [rows] = await db.execute(
+            'SELECT id, user_id FROM email_verifications WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+            [hashToken(token)]
+        );
+        const verification = rows[0];
+        if (!verification) throw new BadRequestError('This verification link is invalid or has expired. Please request a new one.');
+
+        await db.execute('UPDATE email_verifications SET used_at = NOW() WHERE id = ?', [verification.id]);
+        await db.execute('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?', [verification.user_id]);
+
+        res.status(200).json({ message: 'Email verified successfully. You can now list items.' });
+    });
+
+    // POST /api/email/verify/resend
+    router.post('/api/email/verify/resend', authenticateToken, async (req, res) => {
+        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        const user = rows[0];
+        if (!user) throw new NotFoundError('User not found');
+        if (user.email_verified_at) throw new BadRequestError('Your email address is already verified.');
+
+        await sendVerificationEmail(user);
+        res.status(200).json({ message: `A new verification link has been sent to ${user.email}.` });
+    });
+
+    // POST /api/password/forgot
+    // Body: { email }. Always answers the same way so the endpoint can't be used to discover accounts, and is rate
+    // limited per IP (RATE_LIMIT_PASSWORD_RESET_IP) so it can't be used to flood an inbox.
+    router.post('/api/password/forgot', passwordResetIpLimiter, async (req, res) => {
+        const { email } = req.body;
+        if (!email) throw new BadRequestError('Please provide your email address');
+
+        const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
+
+        const [rows] = await db.execute('SELECT id, name, email FROM users WHERE email = ?', [email]);
+        const user = rows[0];
+        if (!user) return res.status(200).json(genericResponse);
+
+        // Only the newest link works: retire any earlier unused ones
+        await db.execute('UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [user.id]);
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        await db.execute(
+            'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+            [user.id, hashToken(resetToken), new Date(Date.now() + config.passwordResetTtlMinutes * 60 * 1000)]
+        );
+
+        // A mail failure must not change the answer either, or it would give away that the account exists
+        const resetUrl = `${config.frontendUrl}/?reset_token=${resetToken}`;
+        try {
+            await mailer.send({
+                to: user.email,
+                subject: 'Reset your Chuka Black Market password',
+                text: [
+                    `Hi ${user.name},`,
+                    '',
+                    'We received a request to reset your Chuka Black Market password. Open the link below to choose a new one:',
+                    '',
+                    resetUrl,
+                    '',
+                    `The link expires in ${config.passwordResetTtlMinutes} minutes and can only be used once.`,
+                    'If you did not ask for this, you can ignore this email and your password will stay the same.'
+                ].join('\n')
+            });
+        } catch (mailError) {
+            req.log.error('Error sending password reset email', { user_id: user.id, error: mailError });
+        }
+
+        res.status(200).json(genericResponse);
+    });
+
+    // POST /api/password/reset
+    // Body: { token, password }. Consumes the reset token and logs the account out everywhere.
+    router.post('/api/password/reset', async (req, res) => {
+        const { token, password } = req.body;
+        if (!token || !password)
+            throw new BadRequestError('Please provide the reset token and a new password');
+        // The same password rules as signup
+        const { errors } = validate({ password: signupRules.password }, { password });
+        if (hasErrors(errors)) throw new ValidationError(errors);
+
+        const [rows] = await db.execute(
+            'SELECT id, user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+            [hashToken(token)]
+        );
+        const reset = rows[0];
+        if (!reset) throw new BadRequestError('This reset link is invalid or has expired. Please request a new one.');
+
+        // Mark the token used first so a concurrent request with the same token can't also succeed
+        const [claimed] = await db.execute('UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [reset.id]);
+        if (claimed.affectedRows === 0) throw new BadRequestError('This reset link has already been used.');
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await db.execute(
+            'UPDATE users SET password = ?, failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+            [hashedPassword, reset.user_id]
+        );
+        await db.execute('UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [reset.user_id]);
+
+        res.status(200).json({ message: 'Password updated successfully. Please log in with your new password.' });
+    });
+
+    // POST /api/token/refresh
+    // Body: { refresh_token }. Rotates the refresh token and returns a new token pair.
+    router.post('/api/token/refresh', async (req, res) => {
+        const { refresh_token } = req.body;
+        if (!refresh_token) throw new BadRequestError('Please provide a refresh token');
+
+        const tokenHash = hashToken(refresh_token);
+
+        const [rows] = await db.execute(
+            `SELECT s.id, s.expires_at, s.revoked_at, u.id AS user_id, u.name, u.email, u.role, u.suspended_at
+             FROM sessions s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.token_hash = ?`,
+            [tokenHash]
+        );
+        const session = rows[0];
+
+        if (!session) {
+            // A rotated-out token coming back means it was copied: end that session on every device holding it
+            const [reused] = await db.execute('SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL', [tokenHash]);
+            if (reused[0]) {
+                await db.execute('UPDATE sessions SET revoked_at = NOW() WHERE id = ?', [reused[0].id]);
+                req.log.warn('Refresh token reuse detected, session revoked', { session_id: reused[0].id });
+            }
+            throw new AuthenticationError('Invalid refresh token');
+        }
+
+        if (session.revoked_at || session.suspended_at || new Date(session.expires_at) <= new Date()) {
+            throw new AuthenticationError('Session has expired, please log in again');
+        }
+
+        // Only rotate if the token is still the current one: of two refreshes racing with the same token, the
+        // second finds it already rotated and fails instead of overwriting previous_token_hash
+        const newRefreshToken = generateRefreshToken();
+        const [rotated] = await db.execute(
+            `UPDATE sessions
+             SET previous_token_hash = token_hash, token_hash = ?, last_used_at = NOW(), expires_at = ?
+             WHERE id = ? AND token_hash = ?`,
+            [hashToken(newRefreshToken), refreshTokenExpiry(), session.id, tokenHash]
+        );
+        if (rotated.affectedRows === 0) throw new AuthenticationError('Invalid refresh token');
+
+        const user = { id: session.user_id, name: session.name, email: session.email, role: session.role };
+        res.status(200).json({ token: signAccessToken(user, session.id), refresh_token: newRefreshToken });
+    });
+
+    // POST /api/logout
+    // Body: { refresh_token }. Works with an expired access token, since holding the refresh token proves ownership.
+    router.post('/api/logout', async (req, res) => {
+        const { refresh_token } = req.body;
+        if (!refresh_token) throw new BadRequestError('Please provide a refresh token');
+
+        await db.execute(
+            'UPDATE sessions SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+            [hashToken(refresh_token)]
+        );
+        res.status(200).json({ message: 'Logged out successfully' });
+    });
+
+    // GET /api/sessions
+    // Lists the current user's active sessions (devices), flagging the one making the request
+    router.get('/api/sessions', authenticateToken, async (req, res) => {
+        const [sessions] = await db.execute(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+             FROM sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY last_used_at DESC`,
+            [req.user.id]
+        );
+        res.status(200).json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+    });
+
+    // DELETE /api/sessions
+    // Revokes every session of the current user except the one making the request
+    router.delete('/api/sessions', authenticateToken, async (req, res) => {
+        const [result] = await db.execute(
+            'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND id <> ? AND revoked_at IS NULL',
+            [req.user.id, req.user.sid]
+        );
+        res.status(200).json({ message: 'Other sessions revoked successfully', revoked: result.affectedRows });
+    });
+
+    // DELETE /api/sessions/:id
+    router.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
+        const [result] = await db.execute(
+            'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('Session not found');
+        res.status(200).json({ message: 'Session revoked successfully' });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,208 @@
+// In-app messaging: one conversation per buyer and listing, with read receipts and real-time notifications.
+//
+// createConversationsRouter({ db, events, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { PUBLIC_STATUS_CONDITION } = require('../products');
+
+// Limits for in-app messages
+const MAX_MESSAGE_LENGTH = 2000;
+const MESSAGES_PAGE_SIZE = 50;
+
+// Helper function to validate a message body, returning an error message or null
+const validateMessageBody = (body) => {
+    if (!body) return 'Please write a message.';
+    if (body.length > MAX_MESSAGE_LENGTH) return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`;
+    return null;
+};
+
+function createConversationsRouter({ db, events, auth }) {
+    const router = express.Router();
+    const { authenticateToken, requireVerifiedEmail } = auth;
+
+    // Helper function to find a conversation the given user takes part in (as buyer or seller)
+    const findConversation = async (conversationId, userId) => {
+        const [rows] = await db.execute(
+            `SELECT c.*, p.title AS product_title, p.image_url AS product_image_url, p.price AS product_price, p.sold AS product_sold,
+                    other.id AS other_user_id, other.name AS other_user_name
+             FROM conversations c
+             JOIN products p ON c.product_id = p.id
+             JOIN users other ON other.id = IF(c.buyer_id = ?, c.seller_id, c.buyer_id)
+             WHERE c.id = ? AND (c.buyer_id = ? OR c.seller_id = ?)`,
+            [userId, conversationId, userId, userId]
+        );
+        return rows[0];
+    };
+
+    // Helper function to store a message and bump its conversation to the top of both inboxes
+    const addMessage = async (conversationId, senderId, body) => {
+        const [result] = await db.execute(
+            'INSERT INTO messages (conversation_id, sender_id, body) VALUES (?, ?, ?)',
+            [conversationId, senderId, body]
+        );
+        await db.execute('UPDATE conversations SET last_message_at = NOW() WHERE id = ?', [conversationId]);
+
+        const [rows] = await db.execute('SELECT * FROM messages WHERE id = ?', [result.insertId]);
+        return rows[0];
+    };
+
+    // Helper function to tell the other participant about a new message in real time
+    const notifyNewMessage = (conversation, message, sender) => {
+        const recipientId = conversation.buyer_id === sender.id ? conversation.seller_id : conversation.buyer_id;
+        events.notifyUser(recipientId, 'notification', {
+            type: 'message',
+            conversation_id: conversation.id,
+            product_title: conversation.product_title,
+            sender_name: sender.name,
+            message
+        });
+    };
+
+    // POST /api/conversations
+    // Body: { product_id, message? }. Opens (or reuses) the current user's conversation with the seller of a listing.
+    router.post('/api/conversations', authenticateToken, requireVerifiedEmail, async (req, res) => {
+        const { product_id } = req.body;
+        const message = (req.body.message || '').trim();
+        if (!product_id) throw new BadRequestError('Please provide a product_id.');
+        if (message) {
+            const messageError = validateMessageBody(message);
+            if (messageError) throw new BadRequestError(messageError);
+        }
+
+        const [rows] = await db.execute(
+            `SELECT p.id, p.seller_id, p.sold
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             WHERE p.id = ? AND p.hidden_at IS NULL AND u.suspended_at IS NULL AND ${PUBLIC_STATUS_CONDITION}`,
+            [product_id]
+        );
+        const product = rows[0];
+        if (!product) throw new NotFoundError('Product not found');
+        if (product.seller_id === req.user.id) throw new BadRequestError('You cannot message yourself about your own listing.');
+
+        const [existing] = await db.execute(
+            'SELECT id FROM conversations WHERE product_id = ? AND buyer_id = ?',
+            [product.id, req.user.id]
+        );
+        let conversationId = existing.length ? existing[0].id : null;
+
+        if (!conversationId) {
+            // Existing conversations can carry on after the sale, but there is no point starting a new one
+            if (product.sold) throw new BadRequestError('This item has already been sold.');
+
+            // LAST_INSERT_ID(id) makes insertId point at the existing row if a concurrent request created it first
+            const [result] = await db.execute(
+                `INSERT INTO conversations (product_id, buyer_id, seller_id) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+                [product.id, req.user.id, product.seller_id]
+            );
+            conversationId = result.insertId;
+        }
+
+        const sent = message ? await addMessage(conversationId, req.user.id, message) : null;
+        const conversation = await findConversation(conversationId, req.user.id);
+        if (sent) notifyNewMessage(conversation, sent, req.user);
+
+        res.status(201).json({ conversation });
+    });
+
+    // GET /api/conversations
+    // The current user's inbox, most recent first, with the last message and unread count of each conversation.
+    // Sellers only see a conversation once the buyer has actually sent something.
+    router.get('/api/conversations', authenticateToken, async (req, res) => {
+        const userId = req.user.id;
+        const [conversations] = await db.execute(
+            `SELECT c.id, c.product_id, c.buyer_id, c.seller_id, c.created_at, c.last_message_at,
+                    p.title AS product_title, p.image_url AS product_image_url, p.price AS product_price, p.sold AS product_sold,
+                    other.id AS other_user_id, other.name AS other_user_name,
+                    (SELECT m.body FROM messages m WHERE m.conversation_id = c.id ORDER BY m.id DESC LIMIT 1) AS last_message,
+                    (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id AND m.sender_id <> ? AND m.read_at IS NULL) AS unread_count
+             FROM conversations c
+             JOIN products p ON c.product_id = p.id
+             JOIN users other ON other.id = IF(c.buyer_id = ?, c.seller_id, c.buyer_id)
+             WHERE c.buyer_id = ? OR (c.seller_id = ? AND c.last_message_at IS NOT NULL)
+             ORDER BY COALESCE(c.last_message_at, c.created_at) DESC`,
+            [userId, userId, userId, userId]
+        );
+
+        const unread_total = conversations.reduce((sum, conversation) => sum + conversation.unread_count, 0);
+        res.status(200).json({ conversations, unread_total });
+    });
+
+    // GET /api/conversations/unread
+    // Total number of unread messages across the current user's conversations, for the header badge
+    router.get('/api/conversations/unread', authenticateToken, async (req, res) => {
+        const [[{ unread }]] = await db.execute(
+            `SELECT COUNT(*) AS unread
+             FROM messages m
+             JOIN conversations c ON m.conversation_id = c.id
+             WHERE (c.buyer_id = ? OR c.seller_id = ?) AND m.sender_id <> ? AND m.read_at IS NULL`,
+            [req.user.id, req.user.id, req.user.id]
+        );
+        res.status(200).json({ unread });
+    });
+
+    // GET /api/conversations/:id/messages
+    // Oldest first. Pass ?before=<message id> to load the page of older messages.
+    router.get('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
+        const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+        if (before !== null && isNaN(before)) throw new BadRequestError('before must be a valid message ID.');
+
+        const conversation = await findConversation(req.params.id, req.user.id);
+        if (!conversation) throw new NotFoundError('Conversation not found');
+
+        // One extra row tells us whether there are older messages left to load
+        const [rows] = await db.query(
+            `SELECT * FROM messages
+             WHERE conversation_id = ? ${before !== null ? 'AND id < ?' : ''}
+             ORDER BY id DESC
+             LIMIT ?`,
+            before !== null
+                ? [conversation.id, before, MESSAGES_PAGE_SIZE + 1]
+                : [conversation.id, MESSAGES_PAGE_SIZE + 1]
+        );
+
+        res.status(200).json({
+            conversation,
+            messages: rows.slice(0, MESSAGES_PAGE_SIZE).reverse(),
+            has_more: rows.length > MESSAGES_PAGE_SIZE
+        });
+    });
+
+    // POST /api/conversations/:id/messages
+    // Body: { body }
+    router.post('/api/conversations/:id/messages', authenticateToken, requireVerifiedEmail, async (req, res) => {
+        const body = (req.body.body || '').trim();
+        const messageError = validateMessageBody(body);
+        if (messageError) throw new BadRequestError(messageError);
+
+        const conversation = await findConversation(req.params.id, req.user.id);
+        if (!conversation) throw new NotFoundError('Conversation not found');
+
+        const message = await addMessage(conversation.id, req.user.id, body);
+        notifyNewMessage(conversation, message, req.user);
+        res.status(201).json({ message: 'Message sent successfully', sent: message });
+    });
+
+    // POST /api/conversations/:id/read
+    // Marks every message from the other participant as read
+    router.post('/api/conversations/:id/read', authenticateToken, async (req, res) => {
+        const conversation = await findConversation(req.params.id, req.user.id);
+        if (!conversation) throw new NotFoundError('Conversation not found');
+
+        const [result] = await db.execute(
+            'UPDATE messages SET read_at = NOW() WHERE conversation_id = ? AND sender_id <> ? AND read_at IS NULL',
+            [conversation.id, req.user.id]
+        );
+
+        // Lets the other participant's open thread show its messages as read
+        if (result.affectedRows > 0) {
+            events.notifyUser(conversation.other_user_id, 'notification', { type: 'messages_read', conversation_id: conversation.id });
+        }
+        res.status(200).json({ message: 'Conversation marked as read', marked: result.affectedRows });
+    });
+
+    return router;
+}
+
+module.exports = { createConversationsRouter };
@@ -0,0 +1,32 @@
+// The Server-Sent Events stream of live listing changes and personal notifications (see realtime/).
+//
+// createEventsRouter({ events, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { AuthenticationError } = require('../errors');
+
+function createEventsRouter({ events, auth }) {
+    const router = express.Router();
+    const { authenticateToken } = auth;
+
+    // POST /api/events/ticket
+    // Trades the access token for a short-lived, single-use ticket to open a personal event stream
+    router.post('/api/events/ticket', authenticateToken, (req, res) => {
+        res.status(200).json({ ticket: events.issueTicket(req.user.id) });
+    });
+
+    // GET /api/events
+    // Server-Sent Events stream of product.created/updated/sold/deleted. With ?ticket= (see above) the stream
+    // also carries the user's "notification" events, e.g. new messages.
+    router.get('/api/events', (req, res) => {
+        let userId = null;
+        if (req.query.ticket) {
+            userId = events.redeemTicket(req.query.ticket);
+            if (!userId) throw new AuthenticationError('Invalid or expired event ticket');
+        }
+        events.subscribe(req, res, userId);
+    });
+
+    return router;
+}
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,62 @@
+// Favorites: the listings a user has saved to watch, flagged when they sell or change price.
+//
+// createFavoritesRouter({ db, products, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { NotFoundError } = require('../errors');
+const { PUBLIC_STATUS_CONDITION, stripBuyer } = require('../products');
+
+function createFavoritesRouter({ db, products, auth }) {
+    const router = express.Router();
+    const { authenticateToken } = auth;
+    const { attachProductImages, getPublicProduct } = products;
+
+    // POST /api/products/:id/favorite
+    // Adds the listing to the current user's saved items. Saving it again is a no-op.
+    router.post('/api/products/:id/favorite', authenticateToken, async (req, res) => {
+        const product = await getPublicProduct(req.params.id);
+        if (!product) throw new NotFoundError('Product not found');
+
+        await db.execute(
+            'INSERT IGNORE INTO favorites (user_id, product_id, price_at_save) VALUES (?, ?, ?)',
+            [req.user.id, product.id, product.price]
+        );
+        res.status(200).json({ message: 'Item saved', product_id: product.id });
+    });
+
+    // DELETE /api/products/:id/favorite
+    router.delete('/api/products/:id/favorite', authenticateToken, async (req, res) => {
+        await db.execute('DELETE FROM favorites WHERE user_id = ? AND product_id = ?', [req.user.id, req.params.id]);
+        res.status(200).json({ message: 'Item removed from saved items', product_id: Number(req.params.id) });
+    });
+
+    // GET /api/favorites
+    // The current user's saved items, most recently saved first. Each is flagged when it has since been sold
+    // (sold) or repriced (price_changed, with price_at_save holding the price when it was saved).
+    router.get('/api/favorites', authenticateToken, async (req, res) => {
+        const [favorites] = await db.execute(
+            `SELECT p.*, u.name AS seller_name, f.price_at_save, f.created_at AS saved_at,
+                    p.price <> f.price_at_save AS price_changed
+             FROM favorites f
+             JOIN products p ON f.product_id = p.id
+             JOIN users u ON p.seller_id = u.id
+             WHERE f.user_id = ? AND p.hidden_at IS NULL AND u.suspended_at IS NULL AND ${PUBLIC_STATUS_CONDITION}
+             ORDER BY f.created_at DESC`,
+            [req.user.id]
+        );
+        await attachProductImages(favorites);
+        stripBuyer(favorites);
+
+        res.status(200).json(favorites.map(favorite => ({ ...favorite, price_changed: Boolean(favorite.price_changed) })));
+    });
+
+    // GET /api/favorites/ids
+    // Just the product ids of the current user's saved items, for the heart toggles on the item cards
+    router.get('/api/favorites/ids', authenticateToken, async (req, res) => {
+        const [rows] = await db.execute('SELECT product_id FROM favorites WHERE user_id = ?', [req.user.id]);
+        res.status(200).json(rows.map(row => row.product_id));
+    });
+
+    return router;
+}
+
+module.exports = { createFavoritesRouter };
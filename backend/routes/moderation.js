@@ -0,0 +1,188 @@
+// Moderation: users reporting listings, and the admin tools to review reports, hide and restore listings and
+// suspend users.
+//
+// createModerationRouter({ db, events, products, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+const { PUBLIC_STATUS_CONDITION } = require('../products');
+
+function createModerationRouter({ db, events, products, auth }) {
+    const router = express.Router();
+    const { authenticateToken, requireAdmin } = auth;
+    const { publishProduct } = products;
+
+    // POST /api/products/:id/report
+    // Body: { reason }. Flags a listing for the admins to review.
+    router.post('/api/products/:id/report', authenticateToken, async (req, res) => {
+        const { id } = req.params;
+        const reason = (req.body.reason || '').trim();
+        if (!reason) throw new BadRequestError('Please tell us what is wrong with this listing.');
+        if (reason.length > 500) throw new BadRequestError('Please keep the reason under 500 characters.');
+
+        try {
+            const [rows] = await db.execute(`SELECT p.seller_id FROM products p WHERE p.id = ? AND p.hidden_at IS NULL AND ${PUBLIC_STATUS_CONDITION}`, [id]);
+            const product = rows[0];
+            if (!product) throw new NotFoundError('Product not found');
+            if (product.seller_id === req.user.id) throw new BadRequestError('You cannot report your own listing.');
+
+            await db.execute(
+                'INSERT INTO product_reports (product_id, reporter_id, reason) VALUES (?, ?, ?)',
+                [id, req.user.id, reason]
+            );
+
+            res.status(201).json({ message: 'Thanks, the listing has been reported to the admins.' });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new ConflictError('You have already reported this listing.');
+            }
+            throw error;
+        }
+    });
+
+    // GET /api/admin/reports
+    // Listings with unresolved reports, most reported first, each with its individual reports
+    router.get('/api/admin/reports', authenticateToken, requireAdmin, async (req, res) => {
+        const [products] = await db.execute(
+            `SELECT p.id, p.title, p.price, p.image_url, p.hidden_at, p.seller_id, u.name AS seller_name,
+                    COUNT(r.id) AS report_count, MAX(r.created_at) AS last_reported_at
+             FROM product_reports r
+             JOIN products p ON r.product_id = p.id
+             JOIN users u ON p.seller_id = u.id
+             WHERE r.resolved_at IS NULL
+             GROUP BY p.id
+             ORDER BY report_count DESC, last_reported_at DESC`
+        );
+
+        if (products.length > 0) {
+            const [reports] = await db.query(
+                `SELECT r.id, r.product_id, r.reason, r.created_at, u.id AS reporter_id, u.name AS reporter_name
+                 FROM product_reports r
+                 JOIN users u ON r.reporter_id = u.id
+                 WHERE r.resolved_at IS NULL AND r.product_id IN (?)
+                 ORDER BY r.created_at DESC`,
+                [products.map(product => product.id)]
+            );
+            for (const product of products) {
+                product.reports = reports.filter(report => report.product_id === product.id);
+            }
+        }
+
+        res.status(200).json(products);
+    });
+
+    // POST /api/admin/reports/:productId/dismiss
+    // Closes a listing's open reports without hiding it
+    router.post('/api/admin/reports/:productId/dismiss', authenticateToken, requireAdmin, async (req, res) => {
+        const [result] = await db.execute(
+            'UPDATE product_reports SET resolved_at = NOW(), resolved_by = ? WHERE product_id = ? AND resolved_at IS NULL',
+            [req.user.id, req.params.productId]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('No open reports for this product');
+        res.status(200).json({ message: 'Reports dismissed successfully' });
+    });
+
+    // GET /api/admin/products/hidden
+    router.get('/api/admin/products/hidden', authenticateToken, requireAdmin, async (req, res) => {
+        const [products] = await db.execute(
+            `SELECT p.id, p.title, p.price, p.image_url, p.hidden_at, p.hidden_reason, p.seller_id, u.name AS seller_name
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             WHERE p.hidden_at IS NOT NULL
+             ORDER BY p.hidden_at DESC`
+        );
+        res.status(200).json(products);
+    });
+
+    // POST /api/admin/products/:id/hide
+    // Body: { reason }. Takes a listing off the marketplace and closes its open reports.
+    router.post('/api/admin/products/:id/hide', authenticateToken, requireAdmin, async (req, res) => {
+        const { id } = req.params;
+        const reason = (req.body.reason || '').trim() || null;
+
+        const [result] = await db.execute(
+            'UPDATE products SET hidden_at = NOW(), hidden_reason = ? WHERE id = ? AND hidden_at IS NULL',
+            [reason, id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('Product not found or already hidden');
+
+        await db.execute(
+            'UPDATE product_reports SET resolved_at = NOW(), resolved_by = ? WHERE product_id = ? AND resolved_at IS NULL',
+            [req.user.id, id]
+        );
+
+        const [rows] = await db.execute('SELECT id, title, seller_id FROM products WHERE id = ?', [id]);
+        const product = rows[0];
+        events.broadcast('product.deleted', { id: product.id });
+        events.notifyUser(product.seller_id, 'notification', {
+            type: 'listing_hidden',
+            product_id: product.id,
+            title: product.title,
+            reason
+        });
+
+        res.status(200).json({ message: 'Product hidden successfully' });
+    });
+
+    // POST /api/admin/products/:id/restore
+    router.post('/api/admin/products/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+        const [result] = await db.execute(
+            'UPDATE products SET hidden_at = NULL, hidden_reason = NULL WHERE id = ? AND hidden_at IS NOT NULL',
+            [req.params.id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('Product not found or not hidden');
+        publishProduct('product.created', req.params.id); // Back on the marketplace, as if newly listed
+        res.status(200).json({ message: 'Product restored successfully' });
+    });
+
+    // GET /api/admin/users
+    // Optional ?q= matches name or email
+    router.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+        const q = (req.query.q || '').trim();
+
+        const [users] = await db.execute(
+            `SELECT u.id, u.name, u.email, u.role, u.created_at, u.suspended_at, u.suspension_reason,
+                    (SELECT COUNT(*) FROM products p WHERE p.seller_id = u.id) AS product_count
+             FROM users u
+             WHERE u.name LIKE ? OR u.email LIKE ?
+             ORDER BY u.created_at DESC
+             LIMIT 100`,
+            [`%${q}%`, `%${q}%`]
+        );
+        res.status(200).json(users);
+    });
+
+    // POST /api/admin/users/:id/suspend
+    // Body: { reason }. Blocks login, ends the user's sessions and hides their listings from the marketplace.
+    router.post('/api/admin/users/:id/suspend', authenticateToken, requireAdmin, async (req, res) => {
+        const { id } = req.params;
+        const reason = (req.body.reason || '').trim() || null;
+
+        const [rows] = await db.execute('SELECT id, role, suspended_at FROM users WHERE id = ?', [id]);
+        const user = rows[0];
+        if (!user) throw new NotFoundError('User not found');
+        if (user.role === 'admin') throw new BadRequestError('Admins cannot be suspended.');
+        if (user.suspended_at) throw new BadRequestError('User is already suspended.');
+
+        await db.execute('UPDATE users SET suspended_at = NOW(), suspension_reason = ? WHERE id = ?', [reason, id]);
+        await db.execute('UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [id]);
+
+        const [products] = await db.execute('SELECT id FROM products WHERE seller_id = ?', [id]);
+        products.forEach(product => events.broadcast('product.deleted', { id: product.id }));
+
+        res.status(200).json({ message: 'User suspended successfully' });
+    });
+
+    // POST /api/admin/users/:id/unsuspend
+    router.post('/api/admin/users/:id/unsuspend', authenticateToken, requireAdmin, async (req, res) => {
+        const [result] = await db.execute(
+            'UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE id = ? AND suspended_at IS NOT NULL',
+            [req.params.id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('User not found or not suspended');
+        res.status(200).json({ message: 'User reinstated successfully' });
+    });
+
+    return router;
+}
+
+module.exports = { createModerationRouter };
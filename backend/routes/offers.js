@@ -0,0 +1,201 @@
+// Offers: price negotiation between a buyer and the seller of a listing (offer, accept, reject, counter), and the
+// reservation an accepted offer can put on the item.
+//
+// createOffersRouter({ db, events, products, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+
+// Helper function to validate an offer amount; returns the parsed amount or null if invalid
+const parseOfferAmount = (amount) => {
+    const parsed = parseFloat(amount);
+    return isNaN(parsed) || parsed <= 0 ? null : Math.round(parsed * 100) / 100;
+};
+
+function createOffersRouter({ db, events, products, auth }) {
+    const router = express.Router();
+    const { authenticateToken, requireVerifiedEmail } = auth;
+    const { findOwnedProduct, changeProductStatus, getPublicProduct, publishProduct } = products;
+
+    // Helper function to load an offer with the product it is for
+    const findOffer = async (offerId) => {
+        const [rows] = await db.execute(
+            `SELECT o.*, p.title AS product_title, p.seller_id, p.status AS product_status
+             FROM offers o
+             JOIN products p ON o.product_id = p.id
+             WHERE o.id = ?`,
+            [offerId]
+        );
+        return rows[0] || null;
+    };
+
+    // Helper function to tell the other party of a negotiation about a new or answered offer
+    const notifyOffer = (recipientId, offer, productTitle, sender) => {
+        events.notifyUser(recipientId, 'notification', {
+            type: 'offer',
+            offer_id: offer.id,
+            product_id: offer.product_id,
+            product_title: productTitle,
+            buyer_id: offer.buyer_id,
+            status: offer.status,
+            amount: offer.amount,
+            sender_name: sender.name
+        });
+    };
+
+    // POST /api/products/:id/offers
+    // Body: { amount }. Opens (or re-opens) a negotiation; a pending offer from the seller must be answered instead.
+    router.post('/api/products/:id/offers', authenticateToken, requireVerifiedEmail, async (req, res) => {
+        const amount = parseOfferAmount(req.body.amount);
+        if (amount === null) throw new BadRequestError('Offer amount must be a valid positive number.');
+
+        const product = await getPublicProduct(req.params.id);
+        if (!product) throw new NotFoundError('Product not found');
+        if (product.seller_id === req.user.id) throw new BadRequestError('You cannot make an offer on your own item.');
+        if (product.sold) throw new BadRequestError('This item has already been sold.');
+        if (product.status === 'reserved') throw new BadRequestError('This item is reserved for another buyer.');
+
+        const [pending] = await db.execute(
+            "SELECT id, sender_id FROM offers WHERE product_id = ? AND buyer_id = ? AND status = 'pending'",
+            [product.id, req.user.id]
+        );
+        if (pending.length > 0) {
+            throw new ConflictError(pending[0].sender_id === req.user.id
+                ? 'You already have an offer waiting for the seller.'
+                : 'The seller has made you a counter-offer. Accept, reject or counter it instead.');
+        }
+
+        const [result] = await db.execute(
+            'INSERT INTO offers (product_id, buyer_id, sender_id, amount) VALUES (?, ?, ?, ?)',
+            [product.id, req.user.id, req.user.id, amount]
+        );
+        const offer = { id: result.insertId, product_id: product.id, buyer_id: req.user.id, sender_id: req.user.id, amount, status: 'pending' };
+        notifyOffer(product.seller_id, offer, product.title, req.user);
+
+        res.status(201).json({ message: 'Offer sent to the seller', offer });
+    });
+
+    // GET /api/products/:id/offers
+    // Offer history, oldest first. The seller sees every buyer's offers (?buyer_id narrows it to one buyer); a buyer sees their own.
+    router.get('/api/products/:id/offers', authenticateToken, async (req, res) => {
+        const [products] = await db.execute('SELECT id, seller_id FROM products WHERE id = ?', [req.params.id]);
+        const product = products[0];
+        if (!product) throw new NotFoundError('Product not found');
+
+        const isSeller = product.seller_id === req.user.id;
+        const buyerId = isSeller ? parseInt(req.query.buyer_id, 10) || null : req.user.id;
+
+        const [offers] = await db.execute(
+            `SELECT o.id, o.product_id, o.buyer_id, o.sender_id, o.amount, o.status, o.reserve_on_accept, o.created_at, o.responded_at,
+                    b.name AS buyer_name
+             FROM offers o
+             JOIN users b ON o.buyer_id = b.id
+             WHERE o.product_id = ? ${buyerId ? 'AND o.buyer_id = ?' : ''}
+             ORDER BY o.created_at, o.id`,
+            buyerId ? [product.id, buyerId] : [product.id]
+        );
+        res.status(200).json(offers);
+    });
+
+    // GET /api/offers/pending
+    // Offers waiting for the current user's answer: buyers' offers on their listings and sellers' counter-offers to them
+    router.get('/api/offers/pending', authenticateToken, async (req, res) => {
+        const [offers] = await db.execute(
+            `SELECT o.id, o.product_id, o.buyer_id, o.sender_id, o.amount, o.created_at,
+                    p.title AS product_title, p.seller_id, b.name AS buyer_name
+             FROM offers o
+             JOIN products p ON o.product_id = p.id
+             JOIN users b ON o.buyer_id = b.id
+             WHERE o.status = 'pending' AND o.sender_id <> ? AND (p.seller_id = ? OR o.buyer_id = ?)
+             ORDER BY o.created_at DESC`,
+            [req.user.id, req.user.id, req.user.id]
+        );
+        res.status(200).json(offers);
+    });
+
+    // POST /api/offers/:id/respond
+    // Body: { action: 'accept' | 'reject' | 'counter', amount? (counter), reserve? (seller only) }.
+    // Only the party the offer was made to can answer it. A seller accepting with reserve, or a buyer accepting
+    // a counter-offer the seller sent with reserve, reserves the item for the buyer.
+    router.post('/api/offers/:id/respond', authenticateToken, async (req, res) => {
+        const { action } = req.body;
+        if (!['accept', 'reject', 'counter'].includes(action)) {
+            throw new BadRequestError('action must be one of: accept, reject, counter.');
+        }
+        const counterAmount = action === 'counter' ? parseOfferAmount(req.body.amount) : null;
+        if (action === 'counter' && counterAmount === null) {
+            throw new BadRequestError('Counter-offer amount must be a valid positive number.');
+        }
+
+        const offer = await findOffer(req.params.id);
+        const isSeller = offer && offer.seller_id === req.user.id;
+        if (!offer || (!isSeller && offer.buyer_id !== req.user.id)) {
+            throw new NotFoundError('Offer not found or not authorized');
+        }
+        if (offer.sender_id === req.user.id) throw new BadRequestError('You cannot answer your own offer.');
+        if (offer.status !== 'pending') throw new BadRequestError('This offer has already been answered.');
+        if (offer.product_status === 'sold') throw new BadRequestError('This item has already been sold.');
+        if (offer.product_status !== 'active' && offer.product_status !== 'reserved') {
+            throw new BadRequestError('This item is no longer available.');
+        }
+
+        const status = { accept: 'accepted', reject: 'rejected', counter: 'countered' }[action];
+        const [result] = await db.execute(
+            "UPDATE offers SET status = ?, responded_at = NOW() WHERE id = ? AND status = 'pending'",
+            [status, offer.id]
+        );
+        if (result.affectedRows === 0) throw new BadRequestError('This offer has already been answered.');
+
+        const recipientId = isSeller ? offer.buyer_id : offer.seller_id;
+        let responseOffer = { ...offer, status };
+        let reserved = false;
+
+        if (action === 'counter') {
+            const reserveOnAccept = isSeller && Boolean(req.body.reserve);
+            const [inserted] = await db.execute(
+                'INSERT INTO offers (product_id, buyer_id, sender_id, amount, reserve_on_accept) VALUES (?, ?, ?, ?, ?)',
+                [offer.product_id, offer.buyer_id, req.user.id, counterAmount, reserveOnAccept]
+            );
+            responseOffer = {
+                id: inserted.insertId,
+                product_id: offer.product_id,
+                buyer_id: offer.buyer_id,
+                sender_id: req.user.id,
+                amount: counterAmount,
+                status: 'pending',
+                reserve_on_accept: reserveOnAccept
+            };
+        } else if (action === 'accept' && (isSeller ? Boolean(req.body.reserve) : Boolean(offer.reserve_on_accept))) {
+            // Only an active listing can be reserved; one already reserved for someone else stays that way
+            const product = await findOwnedProduct(offer.product_id, offer.seller_id);
+            reserved = product.status === 'active' && !(await changeProductStatus(product, 'reserved', { reservedBy: offer.buyer_id }));
+            if (reserved) publishProduct('product.updated', offer.product_id);
+        }
+
+        notifyOffer(recipientId, responseOffer, offer.product_title, req.user);
+
+        const messages = {
+            accepted: reserved ? 'Offer accepted and item reserved' : 'Offer accepted',
+            rejected: 'Offer rejected',
+            countered: 'Counter-offer sent'
+        };
+        res.status(200).json({ message: messages[status], offer: responseOffer, reserved });
+    });
+
+    // DELETE /api/products/:id/reservation
+    // Lets the seller release a reservation so the item is open to everyone again
+    router.delete('/api/products/:id/reservation', authenticateToken, async (req, res) => {
+        const product = await findOwnedProduct(req.params.id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+        if (product.status !== 'reserved') throw new BadRequestError('This item is not reserved.');
+
+        const statusError = await changeProductStatus(product, 'active');
+        if (statusError) throw new ConflictError(statusError);
+        publishProduct('product.updated', product.id);
+
+        res.status(200).json({ message: 'Reservation released' });
+    });
+
+    return router;
+}
+
+module.exports = { createOffersRouter };
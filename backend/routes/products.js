@@ -0,0 +1,786 @@
+// Listing routes: browsing, creating, editing, status changes, renewal, deletion, bulk actions, CSV import and
+// export, and photos.
+//
+// createProductsRouter({ db, events, config, products, auth, alertSavedSearches }) returns an Express router for
+// createApp() to mount. products is the listing store (products/index.js), auth the middleware from auth/index.js.
+// Offers, sales, favorites and reports on listings live with their own features in routes/.
+// buildProductFilters() is exported too, for its unit tests.
+const express = require('express');
+const multer = require('multer');
+const { createRateLimiter, describeWait } = require('../ratelimit');
+const {
+    BadRequestError, ValidationError, NotFoundError, ConflictError, BulkActionError, ImportError, TooManyRequestsError
+} = require('../errors');
+const { MAX_BULK_ITEMS, listingRules, validate, hasErrors } = require('../validation');
+const { PRODUCT_STATUS_TRANSITIONS, PUBLIC_STATUS_CONDITION, stripBuyer } = require('../products');
+const { toCsv, parseCsv } = require('../csv');
+
+// Multer keeps uploads in memory; the storage backend decides where they end up
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+        cb(new Error('Only JPEG, PNG and GIF images are allowed.'));
+    }
+});
+
+// Maximum number of photos a single listing can have
+const MAX_IMAGES_PER_PRODUCT = 8;
+
+// Accept up to MAX_IMAGES_PER_PRODUCT files in the "images" field, turning multer errors (size, type, count) into 400s
+const uploadImages = (req, res, next) => {
+    upload.array('images', MAX_IMAGES_PER_PRODUCT)(req, res, (err) => {
+        if (err) return next(new BadRequestError(err.message));
+        next();
+    });
+};
+
+// Spreadsheets for POST /api/products/import are read in memory too; 1 MB holds thousands of listings
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        // Browsers send CSV files with all sorts of MIME types, so go by the name
+        if (/\.csv$/i.test(file.originalname)) return cb(null, true);
+        cb(new Error('Please upload a .csv file.'));
+    }
+});
+
+// Accept one CSV file in the "file" field, turning multer errors into 400s
+const uploadCsv = (req, res, next) => {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err) return next(new BadRequestError(err.message));
+        next();
+    });
+};
+
+// Columns of GET /api/products/export. POST /api/products/import reads the listing fields and status back and ignores the rest.
+const CSV_EXPORT_COLUMNS = ['id', 'title', 'price', 'category', 'description', 'location', 'contact_number', 'status', 'created_at', 'image_url'];
+const MAX_IMPORT_ROWS = 200;
+
+// A price cut counts as a recent "price drop" (badge, ?price_dropped filter and price_drop sort) for this many days
+const PRICE_DROP_WINDOW_DAYS = 14;
+const RECENT_PRICE_DROP_CONDITION = `(p.previous_price > p.price AND p.price_changed_at >= NOW() - INTERVAL ${PRICE_DROP_WINDOW_DAYS} DAY)`;
+
+// Sort orders accepted by GET /api/products (the id tie-breaker keeps pages stable)
+const PRODUCT_SORTS = {
+    newest: 'p.created_at DESC, p.id DESC',
+    price_asc: 'p.price ASC, p.id ASC',
+    price_desc: 'p.price DESC, p.id DESC',
+    price_drop: `IF(${RECENT_PRICE_DROP_CONDITION}, p.price_changed_at, NULL) DESC, p.created_at DESC, p.id DESC` // Latest drops first
+};
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to read a true/false flag sent as JSON or as a form field ("true"/"false", "1"/"0").
+// Returns null for anything else.
+const parseBoolean = (value) => {
+    if (value === true || value === 'true' || value === 1 || value === '1') return true;
+    if (value === false || value === 'false' || value === 0 || value === '0') return false;
+    return null;
+};
+
+// Helper function to read the "ids" of a bulk action: a non-empty array of listing IDs, returned without duplicates
+const parseBulkIds = (ids) => {
+    const parsed = Array.isArray(ids) ? ids.map(id => Number(id)) : [];
+    if (parsed.length === 0 || !parsed.every(id => Number.isInteger(id) && id > 0)) {
+        throw new BadRequestError('ids must be a non-empty array of listing IDs.');
+    }
+    if (parsed.length > MAX_BULK_ITEMS) throw new BadRequestError(`At most ${MAX_BULK_ITEMS} listings can be changed at once.`);
+    return [...new Set(parsed)];
+};
+
+// Helper function to say how many listings a bulk action changed, e.g. "1 listing" or "12 listings"
+const countListings = (count) => `${count} listing${count === 1 ? '' : 's'}`;
+
+// Helper function to check a status a seller asked for. Reservations come from accepted offers and listings
+// expire on their own, so neither can be set directly.
+const checkRequestedStatus = (status) => {
+    if (!PRODUCT_STATUS_TRANSITIONS[status]) {
+        throw new BadRequestError(`status must be one of: ${Object.keys(PRODUCT_STATUS_TRANSITIONS).join(', ')}.`);
+    }
+    if (status === 'reserved') throw new BadRequestError('Reserve an item by accepting an offer on it.');
+    if (status === 'expired') throw new BadRequestError('Listings expire on their own after a period without activity.');
+};
+
+// Helper function to turn the query string of GET /api/products into SQL conditions.
+// viewer is the logged-in user, if any: sellers browsing their own listings also see hidden, draft, expired
+// and removed ones.
+function buildProductFilters(query, viewer) {
+    const conditions = [];
+    const params = [];
+    const { q, category, min_price, max_price, location, sold, status, price_dropped, seller_id } = query;
+
+    const ownListings = viewer && parseInt(seller_id, 10) === viewer.id;
+    if (!ownListings) {
+        conditions.push('p.hidden_at IS NULL', 'u.suspended_at IS NULL', PUBLIC_STATUS_CONDITION);
+    }
+
+    if (q && q.trim()) {
+        const term = `%${q.trim()}%`;
+        conditions.push('(p.title LIKE ? OR p.description LIKE ? OR p.location LIKE ?)');
+        params.push(term, term, term);
+    }
+
+    if (category && category !== 'all') {
+        conditions.push('p.category = ?');
+        params.push(category);
+    }
+
+    if (min_price !== undefined && min_price !== '') {
+        const parsedMin = parseFloat(min_price);
+        if (isNaN(parsedMin) || parsedMin < 0) return { error: 'min_price must be a valid positive number.' };
+        conditions.push('p.price >= ?');
+        params.push(parsedMin);
+    }
+
+    if (max_price !== undefined && max_price !== '') {
+        const parsedMax = parseFloat(max_price);
+        if (isNaN(parsedMax) || parsedMax < 0) return { error: 'max_price must be a valid positive number.' };
+        conditions.push('p.price <= ?');
+        params.push(parsedMax);
+    }
+
+    if (location && location.trim()) {
+        conditions.push('p.location LIKE ?');
+        params.push(`%${location.trim()}%`);
+    }
+
+    if (sold !== undefined && sold !== '') {
+        if (sold !== 'true' && sold !== 'false') return { error: 'sold must be either true or false.' };
+        conditions.push('p.sold = ?');
+        params.push(sold === 'true');
+    }
+
+    if (price_dropped !== undefined && price_dropped !== '') {
+        if (price_dropped !== 'true' && price_dropped !== 'false') return { error: 'price_dropped must be either true or false.' };
+        conditions.push(price_dropped === 'true' ? RECENT_PRICE_DROP_CONDITION : `${RECENT_PRICE_DROP_CONDITION} IS NOT TRUE`);
+    }
+
+    if (status !== undefined && status !== '') {
+        if (!PRODUCT_STATUS_TRANSITIONS[status]) {
+            return { error: `status must be one of: ${Object.keys(PRODUCT_STATUS_TRANSITIONS).join(', ')}.` };
+        }
+        conditions.push('p.status = ?');
+        params.push(status);
+    }
+
+    if (seller_id !== undefined && seller_id !== '') {
+        const parsedSellerId = parseInt(seller_id, 10);
+        if (isNaN(parsedSellerId)) return { error: 'seller_id must be a valid user ID.' };
+        conditions.push('p.seller_id = ?');
+        params.push(parsedSellerId);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function createProductsRouter({ db, events, config, products, auth, alertSavedSearches }) {
+    const router = express.Router();
+    const { authenticateToken, optionalAuthenticateToken, requireVerifiedEmail } = auth;
+    const {
+        saveImages, deleteImage, findOwnedProduct, changeProductStatus, getProductImages,
+        attachProductImages, addProductImages, saveImageOrder, syncCoverImage, publishProduct, inTransaction
+    } = products;
+
+    // Per-IP and per-account request limits (see ratelimit/index.js)
+    const listingIpLimiter = createRateLimiter({ name: 'listing-ip', ...config.rateLimits.listingIp, message: 'Too many new listings from your network.' });
+    const listingAccountLimiter = createRateLimiter({
+        name: 'listing-account',
+        ...config.rateLimits.listingAccount,
+        key: (req) => (req.user ? `user:${req.user.id}` : null),
+        message: 'You are adding listings too quickly.'
+    });
+
+    // Helper function to count the listings a user created in the last 24 hours, and when the oldest of them
+    // stops counting (seconds_until_free, null if there are none)
+    const getListingUsage = async (userId) => {
+        const [[usage]] = await db.execute(
+            `SELECT COUNT(*) AS listed, TIMESTAMPDIFF(SECOND, NOW(), MIN(created_at) + INTERVAL 1 DAY) AS seconds_until_free
+             FROM products
+             WHERE seller_id = ? AND created_at > NOW() - INTERVAL 1 DAY`,
+            [userId]
+        );
+        return usage;
+    };
+
+    // Middleware to cap how many listings a user creates in any 24 hours (LISTING_DAILY_QUOTA). Must run after authenticateToken.
+    const enforceListingQuota = async (req, res, next) => {
+        const usage = await getListingUsage(req.user.id);
+        if (usage.listed >= config.listingDailyQuota) {
+            throw new TooManyRequestsError(
+                `You can list up to ${config.listingDailyQuota} items a day. Please try again in ${describeWait(Math.max(usage.seconds_until_free, 1))}.`,
+                usage.seconds_until_free
+            );
+        }
+        next();
+    };
+
+    // Helper function to tell clients (and saved-search alerts) about a listing that moved from product.status to
+    // status. Listings coming back into public view go out as new; publishing a draft also runs the alerts.
+    const announceStatusChange = (product, status) => {
+        if (product.status === 'draft' && status === 'active') {
+            publishProduct('product.created', product.id);
+            alertSavedSearches(product.id);
+        } else {
+            publishProduct(['draft', 'expired', 'removed'].includes(product.status) ? 'product.created' : 'product.updated', product.id, Boolean(product.sold));
+        }
+    };
+
+    // Helper function behind the bulk routes. In one transaction, locks the seller's listings among ids and calls
+    // applyChange(product, connection, store) for each, which returns an error message if it can't change that
+    // listing. If any listing fails or isn't the seller's, everything is rolled back and a BulkActionError reports
+    // what happened to each one. Otherwise resolves with the listings as they were before and a result per listing.
+    const runBulkAction = (ids, sellerId, applyChange) => inTransaction(async (connection, store) => {
+        const owned = await store.lockOwnedProducts(ids, sellerId);
+        const results = [];
+        for (const id of ids) {
+            const product = owned.find(row => row.id === id);
+            const error = product ? await applyChange(product, connection, store) : 'Product not found or not authorized';
+            results.push(error ? { id, ok: false, error } : { id, ok: true });
+        }
+        if (results.some(result => !result.ok)) throw new BulkActionError(results);
+        return { changed: owned, results };
+    });
+
+    // GET /api/products
+    // Supports ?q, category, min_price, max_price, location, sold, status, price_dropped, seller_id, sort, page and limit
+    router.get('/api/products', optionalAuthenticateToken, async (req, res) => {
+        const sort = req.query.sort || 'newest';
+        if (!PRODUCT_SORTS[sort]) {
+            throw new BadRequestError(`sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}.`);
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+        if (page < 1 || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new BadRequestError(`page must be at least 1 and limit between 1 and ${MAX_PAGE_SIZE}.`);
+        }
+
+        const { where, params, error: filterError } = buildProductFilters(req.query, req.user);
+        if (filterError) throw new BadRequestError(filterError);
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) AS total
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             ${where}`,
+            params
+        );
+
+        // db.query rather than execute: prepared statements reject numeric LIMIT/OFFSET placeholders
+        const [products] = await db.query(
+            `SELECT p.*, u.name AS seller_name, r.name AS reserved_by_name
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             LEFT JOIN users r ON p.reserved_by = r.id
+             ${where}
+             ORDER BY ${PRODUCT_SORTS[sort]}
+             LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        await attachProductImages(products);
+        stripBuyer(products, req.user);
+
+        res.status(200).json({
+            products,
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    });
+
+    // GET /api/products/export
+    // The current user's listings in every status as a CSV download (CSV_EXPORT_COLUMNS), newest first.
+    // Registered before GET /api/products/:id so "export" isn't taken for a listing ID.
+    router.get('/api/products/export', authenticateToken, async (req, res) => {
+        const [rows] = await db.execute(
+            `SELECT ${CSV_EXPORT_COLUMNS.join(', ')} FROM products WHERE seller_id = ? ORDER BY created_at DESC, id DESC`,
+            [req.user.id]
+        );
+        const csv = toCsv([CSV_EXPORT_COLUMNS, ...rows.map(row => CSV_EXPORT_COLUMNS.map(column => row[column]))]);
+
+        res.attachment(`my-listings-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.type('text/csv').send(`\uFEFF${csv}`); // The byte order mark makes Excel read the file as UTF-8
+    });
+
+    // POST /api/products/import
+    // Multipart with a CSV spreadsheet in the "file" field. Its header row names the columns: title, price,
+    // category, description, location, contact_number (optional) and status ('active' or 'draft', default active),
+    // as GET /api/products/export writes them; other columns are ignored. The other statuses an export can hold
+    // (sold, reserved, expired, removed) come in as drafts. Each row is checked like the body of POST /api/products
+    // and counts towards LISTING_DAILY_QUOTA. With dry_run=true nothing is saved and the answer is a preview,
+    // { dry_run, valid, invalid, quota: { limit, remaining, over }, rows } with a { row, values, errors } entry per
+    // listing (row counts the header as 1); quota.over is how many rows the import would go over today's quota by.
+    // Otherwise every listing is created in one transaction; if any row has errors none are, and the 400 carries
+    // the same rows. Photos are added afterwards by editing the listings.
+    router.post('/api/products/import', authenticateToken, requireVerifiedEmail, uploadCsv, async (req, res) => {
+        if (!req.file) throw new BadRequestError('Please attach a CSV file.');
+        const dryRun = req.body.dry_run === undefined ? false : parseBoolean(req.body.dry_run);
+        if (dryRun === null) throw new BadRequestError('dry_run must be true or false.');
+
+        const { rows, error } = parseCsv(req.file.buffer.toString('utf8'));
+        if (error) throw new BadRequestError(error);
+        const [header = [], ...records] = rows;
+        const columns = header.map(name => name.trim().toLowerCase());
+        const missing = Object.keys(listingRules).filter(field => listingRules[field].required && !columns.includes(field));
+        if (missing.length > 0) throw new BadRequestError(`The header row is missing these columns: ${missing.join(', ')}.`);
+        if (records.length === 0) throw new BadRequestError('The file has no listings in it.');
+        if (records.length > MAX_IMPORT_ROWS) throw new BadRequestError(`A file can have at most ${MAX_IMPORT_ROWS} listings.`);
+
+        const preview = records.map((record, index) => {
+            const input = Object.fromEntries(columns.map((column, i) => [column, record[i]]));
+            const { values, errors } = validate(listingRules, input);
+            let status = (input.status || '').trim().toLowerCase() || 'active';
+            if (PRODUCT_STATUS_TRANSITIONS[status] && status !== 'active') status = 'draft'; // e.g. sold listings from an export
+            if (status !== 'active' && status !== 'draft') errors.status = 'Status must be active or draft.';
+            return { row: index + 2, values: { ...values, status }, errors };
+        });
+        const invalid = preview.filter(row => hasErrors(row.errors)).length;
+
+        const usage = await getListingUsage(req.user.id);
+        const remaining = Math.max(config.listingDailyQuota - usage.listed, 0);
+        if (dryRun) {
+            const quota = { limit: config.listingDailyQuota, remaining, over: Math.max(preview.length - remaining, 0) };
+            return res.status(200).json({ dry_run: true, valid: preview.length - invalid, invalid, quota, rows: preview });
+        }
+        if (invalid > 0) throw new ImportError(preview);
+
+        if (preview.length > config.listingDailyQuota) {
+            throw new BadRequestError(`You can list up to ${config.listingDailyQuota} items a day, so import at most that many at a time.`);
+        }
+        if (preview.length > remaining) {
+            throw new TooManyRequestsError(
+                `You can list ${remaining} more items today. Please try again in ${describeWait(Math.max(usage.seconds_until_free, 1))}.`,
+                usage.seconds_until_free
+            );
+        }
+
+        const ids = await inTransaction(async (connection) => {
+            const insertedIds = [];
+            for (const { values } of preview) {
+                const [result] = await connection.execute(
+                    'INSERT INTO products (title, price, category, description, contact_number, location, seller_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [values.title, values.price, values.category, values.description, values.contact_number, values.location, req.user.id, values.status]
+                );
+                insertedIds.push(result.insertId);
+            }
+            return insertedIds;
+        });
+
+        preview.forEach(({ values }, index) => {
+            if (values.status !== 'active') return;
+            publishProduct('product.created', ids[index]);
+            alertSavedSearches(ids[index]);
+        });
+        res.status(201).json({
+            message: `Imported ${countListings(ids.length)}`,
+            products: preview.map(({ row, values }, index) => ({ row, id: ids[index], title: values.title, status: values.status }))
+        });
+    });
+
+    // Helper function to load a listing (with seller_name) for the given viewer, who may be logged out, or throw a
+    // NotFoundError. Moderated listings are only visible to their seller and to admins, unpublished ones only to
+    // the seller.
+    const findViewableProduct = async (productId, user) => {
+        const [rows] = await db.execute(
+            `SELECT p.*, u.name AS seller_name, u.suspended_at AS seller_suspended_at
+             FROM products p
+             JOIN users u ON p.seller_id = u.id
+             WHERE p.id = ?`,
+            [productId]
+        );
+
+        const product = rows[0];
+        if (!product) throw new NotFoundError('Product not found');
+
+        const isSeller = user && user.id === product.seller_id;
+        const canSeeModerated = isSeller || (user && user.role === 'admin');
+        if ((product.hidden_at || product.seller_suspended_at) && !canSeeModerated) {
+            throw new NotFoundError('Product not found');
+        }
+        if (['draft', 'expired', 'removed'].includes(product.status) && !isSeller) {
+            throw new NotFoundError('Product not found');
+        }
+        delete product.seller_suspended_at;
+        return product;
+    };
+
+    // GET /api/products/:id
+    // Includes price_history, the listing's price changes (newest first)
+    router.get('/api/products/:id', optionalAuthenticateToken, async (req, res) => {
+        const product = await findViewableProduct(req.params.id, req.user);
+        stripBuyer([product], req.user);
+
+        product.images = await getProductImages(product.id);
+        const [priceHistory] = await db.execute(
+            'SELECT old_price, new_price, changed_at FROM price_history WHERE product_id = ? ORDER BY changed_at DESC, id DESC',
+            [product.id]
+        );
+        product.price_history = priceHistory;
+        res.status(200).json(product);
+    });
+
+    // POST /api/products
+    // Photos are sent as "images" files; the first one becomes the cover.
+    // Fields are checked against listingRules (backend/validation); a 400 carries per-field messages in errors.
+    // contact_number is optional: buyers can always reach the seller through in-app messages.
+    // status is 'active' (default) or 'draft'; drafts stay private until published with POST /api/products/:id/status.
+    router.post('/api/products', listingIpLimiter, authenticateToken, listingAccountLimiter, requireVerifiedEmail, enforceListingQuota, uploadImages, async (req, res) => {
+        const status = req.body.status || 'active';
+        const seller_id = req.user.id;
+
+        if (status !== 'active' && status !== 'draft') {
+            throw new BadRequestError('A new listing must be either active or a draft.');
+        }
+
+        const { values, errors } = validate(listingRules, req.body);
+        if (hasErrors(errors)) throw new ValidationError(errors);
+        const { title, price, category, description, location, contact_number } = values;
+
+        // Only store the images once the listing itself has passed validation
+        const imageUrls = await saveImages(req.files);
+        const image_url = imageUrls[0] || null;
+
+        const [result] = await db.execute(
+            'INSERT INTO products (title, price, category, description, image_url, contact_number, location, seller_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [title, price, category, description, image_url, contact_number, location, seller_id, status]
+        );
+        await addProductImages(result.insertId, imageUrls);
+        if (status === 'active') {
+            publishProduct('product.created', result.insertId);
+            alertSavedSearches(result.insertId);
+        }
+
+        const newProduct = {
+            id: result.insertId,
+            title,
+            price,
+            category,
+            description,
+            image_url,
+            images: await getProductImages(result.insertId),
+            contact_number,
+            location,
+            seller_id,
+            sold: false,
+            status,
+            created_at: new Date().toISOString().split('T')[0]
+        };
+
+        res.status(201).json({ message: 'Product added successfully', product: newProduct });
+    });
+
+    // The bulk actions below change many of the seller's listings at once, all or nothing: body { ids: [...], ... }
+    // with at most MAX_BULK_ITEMS IDs. They answer with { message, results } where results has an { id, ok } entry
+    // per listing; when any listing can't be changed nothing is, and the 409 lists the error for each one that failed.
+    // They are registered before the /api/products/:id routes so "bulk" isn't taken for a listing ID.
+
+    // POST /api/products/bulk/status
+    // Body: { ids, status }. Like POST /api/products/:id/status for each listing; ones already in status are left as
+    // they are. Marking sold this way doesn't record a buyer.
+    router.post('/api/products/bulk/status', authenticateToken, async (req, res) => {
+        const ids = parseBulkIds(req.body.ids);
+        const { status } = req.body;
+        checkRequestedStatus(status);
+
+        const { changed, results } = await runBulkAction(ids, req.user.id, async (product, connection, store) => {
+            if (product.status === status) return null;
+            return store.changeProductStatus(product, status);
+        });
+
+        changed.filter(product => product.status !== status).forEach(product => announceStatusChange(product, status));
+        res.status(200).json({ message: `Marked ${countListings(results.length)} as ${status}`, results });
+    });
+
+    // POST /api/products/bulk/category
+    // Body: { ids, category }
+    router.post('/api/products/bulk/category', authenticateToken, async (req, res) => {
+        const ids = parseBulkIds(req.body.ids);
+        const { values, errors } = validate({ category: listingRules.category }, req.body);
+        if (hasErrors(errors)) throw new ValidationError(errors);
+
+        const { changed, results } = await runBulkAction(ids, req.user.id, async (product, connection) => {
+            await connection.execute('UPDATE products SET category = ?, last_activity_at = NOW() WHERE id = ?', [values.category, product.id]);
+            return null;
+        });
+
+        changed.forEach(product => publishProduct('product.updated', product.id, Boolean(product.sold)));
+        res.status(200).json({ message: `Moved ${countListings(results.length)} to ${values.category}`, results });
+    });
+
+    // POST /api/products/bulk/price
+    // Body: { ids, percent }. Changes each price by percent (-20 takes a fifth off), rounded to whole shillings and
+    // recorded in the price history like any other edit. A listing whose new price breaks listingRules fails.
+    router.post('/api/products/bulk/price', authenticateToken, async (req, res) => {
+        const ids = parseBulkIds(req.body.ids);
+        const percent = Number(req.body.percent);
+        if (req.body.percent === '' || !Number.isFinite(percent) || percent === 0 || percent <= -100) {
+            throw new BadRequestError('percent must be a number above -100, other than 0.');
+        }
+
+        const { changed, results } = await runBulkAction(ids, req.user.id, async (product, connection, store) => {
+            const newPrice = Math.round(Number(product.price) * (100 + percent) / 100);
+            const { values, errors } = validate({ price: listingRules.price }, { price: newPrice });
+            if (hasErrors(errors)) return errors.price;
+
+            await connection.execute('UPDATE products SET price = ?, last_activity_at = NOW() WHERE id = ?', [values.price, product.id]);
+            await store.recordPriceChange(product.id, product.price, values.price);
+            return null;
+        });
+
+        changed.forEach(product => publishProduct('product.updated', product.id, Boolean(product.sold)));
+        res.status(200).json({ message: `Changed the price of ${countListings(results.length)} by ${percent}%`, results });
+    });
+
+    // POST /api/products/bulk/delete
+    // Body: { ids }. Deletes the listings together with their stored photos, like DELETE /api/products/:id.
+    router.post('/api/products/bulk/delete', authenticateToken, async (req, res) => {
+        const ids = parseBulkIds(req.body.ids);
+
+        const images = [];
+        const { changed, results } = await runBulkAction(ids, req.user.id, async (product, connection, store) => {
+            images.push(...await store.getProductImages(product.id));
+            await connection.execute('DELETE FROM products WHERE id = ?', [product.id]);
+            return null;
+        });
+
+        // Only touch storage once the rows are gone for good
+        images.forEach(image => deleteImage(image.url));
+        changed.forEach(product => events.broadcast('product.deleted', { id: product.id }));
+        res.status(200).json({ message: `Deleted ${countListings(results.length)}`, results });
+    });
+
+    // PATCH /api/products/:id
+    // Changes only the fields sent; anything left out keeps its value. title, price, category, description,
+    // location and contact_number are checked against listingRules (an empty contact_number removes the number).
+    // sold (true/false, or the strings a multipart form sends) moves the listing between active and sold, subject
+    // to the status rules; other statuses go through POST /api/products/:id/status. Any "images" files are appended
+    // to the listing's existing photos. Answers with the updated listing.
+    const updateProduct = async (req, res) => {
+        const newImages = req.files || []; // multer leaves req.files unset for JSON bodies
+
+        const { values, errors } = validate(listingRules, req.body, { partial: true });
+        const sold = req.body.sold === undefined ? undefined : parseBoolean(req.body.sold);
+        if (sold === null) errors.sold = 'sold must be true or false.';
+        if (hasErrors(errors)) throw new ValidationError(errors);
+
+        const fields = Object.keys(values); // Keys of listingRules, so safe to put into the SQL below
+        if (fields.length === 0 && sold === undefined && newImages.length === 0) {
+            throw new BadRequestError('Send at least one field to change.');
+        }
+
+        // All or nothing: a rejected status change must not leave the new fields or a price_history row behind
+        const product = await inTransaction(async (connection, store) => {
+            const [locked] = await store.lockOwnedProducts([req.params.id], req.user.id);
+            if (!locked) throw new NotFoundError('Product not found or not authorized');
+
+            const existingImages = await store.getProductImages(locked.id);
+            if (existingImages.length + newImages.length > MAX_IMAGES_PER_PRODUCT) {
+                throw new BadRequestError(`A listing can have at most ${MAX_IMAGES_PER_PRODUCT} photos.`);
+            }
+
+            const nextStatus = sold !== undefined && sold !== Boolean(locked.sold) ? (sold ? 'sold' : 'active') : null;
+            if (nextStatus && !PRODUCT_STATUS_TRANSITIONS[locked.status].includes(nextStatus)) {
+                throw new BadRequestError(`A listing that is ${locked.status} cannot be made ${nextStatus}.`);
+            }
+
+            await connection.execute(
+                `UPDATE products SET ${[...fields.map(field => `${field} = ?`), 'last_activity_at = NOW()'].join(', ')} WHERE id = ?`,
+                [...fields.map(field => values[field]), locked.id]
+            );
+            if (values.price !== undefined) await store.recordPriceChange(locked.id, locked.price, values.price);
+            if (nextStatus) {
+                const statusError = await store.changeProductStatus(locked, nextStatus);
+                if (statusError) throw new ConflictError(statusError);
+            }
+
+            // Stored last, so nothing before can fail and leave them orphaned
+            if (newImages.length > 0) {
+                const imageUrls = await saveImages(newImages);
+                try {
+                    await store.addProductImages(locked.id, imageUrls);
+                    await store.syncCoverImage(locked.id);
+                } catch (error) {
+                    imageUrls.forEach(deleteImage);
+                    throw error;
+                }
+            }
+            return locked;
+        });
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        const updated = await findOwnedProduct(product.id, req.user.id);
+        updated.images = await getProductImages(product.id);
+        res.status(200).json({ message: 'Product updated successfully', product: updated });
+    };
+    router.patch('/api/products/:id', authenticateToken, uploadImages, updateProduct);
+
+    // PUT /api/products/:id
+    // The same partial update as PATCH, kept for clients that still send PUT
+    router.put('/api/products/:id', authenticateToken, uploadImages, updateProduct);
+
+    // POST /api/products/:id/status
+    // Body: { status }. Moves one of the seller's listings through its lifecycle (publish a draft, take a listing
+    // down, relist it, ...). Reservations are made by accepting an offer, and listings expire on their own.
+    router.post('/api/products/:id/status', authenticateToken, async (req, res) => {
+        const { status } = req.body;
+        checkRequestedStatus(status);
+
+        const product = await findOwnedProduct(req.params.id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+        if (product.status === status) return res.status(200).json({ message: `Listing is already ${status}`, status });
+
+        const statusError = await changeProductStatus(product, status);
+        if (statusError) throw new BadRequestError(statusError);
+
+        announceStatusChange(product, status);
+
+        res.status(200).json({ message: `Listing is now ${status}`, status });
+    });
+
+    // POST /api/products/:id/renew
+    // One-click renewal: brings an expired listing back, or restarts the expiry clock of an active or reserved one
+    router.post('/api/products/:id/renew', authenticateToken, async (req, res) => {
+        const product = await findOwnedProduct(req.params.id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        if (product.status === 'expired') {
+            const statusError = await changeProductStatus(product, 'active');
+            if (statusError) throw new ConflictError(statusError);
+            publishProduct('product.created', product.id);
+        } else if (product.status === 'active' || product.status === 'reserved') {
+            await db.execute('UPDATE products SET last_activity_at = NOW() WHERE id = ?', [product.id]);
+        } else {
+            throw new BadRequestError(`A listing that is ${product.status} cannot be renewed.`);
+        }
+
+        res.status(200).json({ message: `Listing renewed for another ${config.listingExpiryDays} days` });
+    });
+
+    // DELETE /api/products/:id
+    router.delete('/api/products/:id', authenticateToken, async (req, res) => {
+        const { id } = req.params;
+        const seller_id = req.user.id;
+
+        const product = await findOwnedProduct(id, seller_id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        const images = await getProductImages(product.id);
+        await db.execute('DELETE FROM products WHERE id = ?', [id]);
+
+        // Delete the associated images from storage; the rows go with the product (ON DELETE CASCADE)
+        images.forEach(image => deleteImage(image.url));
+        events.broadcast('product.deleted', { id: product.id });
+
+        res.status(200).json({ message: 'Product deleted successfully' });
+    });
+
+    // GET /api/products/:id/images
+    // The listing's photos, to whoever may see the listing itself (see GET /api/products/:id)
+    router.get('/api/products/:id/images', optionalAuthenticateToken, async (req, res) => {
+        const product = await findViewableProduct(req.params.id, req.user);
+        res.status(200).json(await getProductImages(product.id));
+    });
+
+    // POST /api/products/:id/images
+    // Appends the uploaded "images" files to the listing
+    router.post('/api/products/:id/images', authenticateToken, uploadImages, async (req, res) => {
+        const { id } = req.params;
+
+        if (!req.files || req.files.length === 0) {
+            throw new BadRequestError('Please attach at least one image.');
+        }
+
+        const product = await findOwnedProduct(id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        const existingImages = await getProductImages(product.id);
+        if (existingImages.length + req.files.length > MAX_IMAGES_PER_PRODUCT) {
+            throw new BadRequestError(`A listing can have at most ${MAX_IMAGES_PER_PRODUCT} photos.`);
+        }
+
+        await addProductImages(product.id, await saveImages(req.files));
+        await syncCoverImage(product.id);
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        res.status(201).json({ message: 'Images added successfully', images: await getProductImages(product.id) });
+    });
+
+    // PUT /api/products/:id/images/order
+    // Body: { image_ids: [...] } listing every photo of the product in its new order
+    router.put('/api/products/:id/images/order', authenticateToken, async (req, res) => {
+        const { id } = req.params;
+        const { image_ids } = req.body;
+
+        if (!Array.isArray(image_ids)) {
+            throw new BadRequestError('image_ids must be an array of image IDs.');
+        }
+
+        const product = await findOwnedProduct(id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        const existingIds = (await getProductImages(product.id)).map(image => image.id);
+        const requestedIds = image_ids.map(imageId => parseInt(imageId, 10));
+        const sameImages = requestedIds.length === existingIds.length &&
+            new Set(requestedIds).size === existingIds.length &&
+            requestedIds.every(imageId => existingIds.includes(imageId));
+        if (!sameImages) {
+            throw new BadRequestError('image_ids must contain each of the product\'s images exactly once.');
+        }
+
+        await saveImageOrder(product.id, requestedIds);
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        res.status(200).json({ message: 'Images reordered successfully', images: await getProductImages(product.id) });
+    });
+
+    // PUT /api/products/:id/images/:imageId/cover
+    // Moves the photo to the front so it becomes the listing's cover
+    router.put('/api/products/:id/images/:imageId/cover', authenticateToken, async (req, res) => {
+        const { id } = req.params;
+        const imageId = parseInt(req.params.imageId, 10);
+
+        const product = await findOwnedProduct(id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        const existingIds = (await getProductImages(product.id)).map(image => image.id);
+        if (!existingIds.includes(imageId)) throw new NotFoundError('Image not found');
+
+        await saveImageOrder(product.id, [imageId, ...existingIds.filter(existingId => existingId !== imageId)]);
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        res.status(200).json({ message: 'Cover image updated successfully', images: await getProductImages(product.id) });
+    });
+
+    // DELETE /api/products/:id/images/:imageId
+    router.delete('/api/products/:id/images/:imageId', authenticateToken, async (req, res) => {
+        const { id, imageId } = req.params;
+
+        const product = await findOwnedProduct(id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        const [rows] = await db.execute('SELECT url FROM product_images WHERE id = ? AND product_id = ?', [imageId, product.id]);
+        const image = rows[0];
+        if (!image) throw new NotFoundError('Image not found');
+
+        await db.execute('DELETE FROM product_images WHERE id = ?', [imageId]);
+        await syncCoverImage(product.id);
+        deleteImage(image.url);
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        res.status(200).json({ message: 'Image removed successfully', images: await getProductImages(product.id) });
+    });
+
+    return router;
+}
+
+module.exports = { createProductsRouter, buildProductFilters };
@@ -0,0 +1,206 @@
+// Sales and reviews: recording who bought a listing, the buyer's review of the seller (one per sale) and the
+// seller's reply, and the public seller profiles that show the ratings.
+//
+// createSalesRouter({ db, events, products, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const { stripBuyer } = require('../products');
+
+// Reviews: comment/reply length limit, and how many listings of each kind a seller profile shows
+const MAX_REVIEW_LENGTH = 1000;
+const PROFILE_LISTINGS_LIMIT = 24;
+
+function createSalesRouter({ db, events, products, auth }) {
+    const router = express.Router();
+    const { authenticateToken } = auth;
+    const { findOwnedProduct, changeProductStatus, attachProductImages, publishProduct } = products;
+
+    // Helper function to find who can be recorded as the buyer of a listing: whoever messaged the seller
+    // about it or made an offer on it, with the user it is reserved for first
+    const getSaleCandidates = async (product) => {
+        const [candidates] = await db.execute(
+            `SELECT u.id, u.name
+             FROM users u
+             WHERE u.id IN (SELECT buyer_id FROM conversations WHERE product_id = ? AND last_message_at IS NOT NULL)
+                OR u.id IN (SELECT buyer_id FROM offers WHERE product_id = ?)
+             ORDER BY u.id = ? DESC, u.name`,
+            [product.id, product.id, product.reserved_by || 0]
+        );
+        return candidates;
+    };
+
+    // GET /api/products/:id/sale/candidates
+    // The users who messaged the seller about this listing or made an offer on it, i.e. who the seller can record as its buyer
+    router.get('/api/products/:id/sale/candidates', authenticateToken, async (req, res) => {
+        const product = await findOwnedProduct(req.params.id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        res.status(200).json(await getSaleCandidates(product));
+    });
+
+    // POST /api/products/:id/sale
+    // Body: { buyer_id? }. Marks the listing sold and, when buyer_id is one of the sale candidates above,
+    // records that user as the buyer so they can review the seller.
+    router.post('/api/products/:id/sale', authenticateToken, async (req, res) => {
+        const buyerId = req.body.buyer_id ? parseInt(req.body.buyer_id, 10) : null;
+        if (req.body.buyer_id && isNaN(buyerId)) throw new BadRequestError('buyer_id must be a valid user ID.');
+
+        const product = await findOwnedProduct(req.params.id, req.user.id);
+        if (!product) throw new NotFoundError('Product not found or not authorized');
+
+        if (buyerId && !(await getSaleCandidates(product)).some(candidate => candidate.id === buyerId)) {
+            throw new BadRequestError('The buyer must be someone who messaged you or made an offer on this item.');
+        }
+
+        const statusError = await changeProductStatus(product, 'sold', { buyerId });
+        if (statusError) throw new BadRequestError(statusError);
+        publishProduct('product.updated', product.id, Boolean(product.sold));
+
+        if (buyerId) {
+            events.notifyUser(buyerId, 'notification', {
+                type: 'review_requested',
+                product_id: product.id,
+                title: product.title,
+                seller_name: req.user.name
+            });
+        }
+
+        res.status(200).json({ message: 'Item marked as sold' });
+    });
+
+    // GET /api/reviews/pending
+    // Purchases (sales) the current user hasn't reviewed yet, newest first
+    router.get('/api/reviews/pending', authenticateToken, async (req, res) => {
+        const [purchases] = await db.execute(
+            `SELECT s.id AS sale_id, s.sold_at, p.id, p.title, p.price, p.image_url, s.seller_id, u.name AS seller_name
+             FROM sales s
+             JOIN products p ON p.id = s.product_id
+             JOIN users u ON s.seller_id = u.id
+             LEFT JOIN reviews r ON r.sale_id = s.id
+             WHERE s.buyer_id = ? AND r.id IS NULL
+             ORDER BY s.id DESC`,
+            [req.user.id]
+        );
+        res.status(200).json(purchases);
+    });
+
+    // POST /api/products/:id/review
+    // Body: { rating (1-5), comment?, sale_id? }. Only a recorded buyer of the listing can review its seller, once per
+    // sale. Without sale_id, reviews the buyer's latest unreviewed purchase of the listing.
+    router.post('/api/products/:id/review', authenticateToken, async (req, res) => {
+        const rating = parseInt(req.body.rating, 10);
+        const comment = (req.body.comment || '').trim() || null;
+        const saleId = req.body.sale_id ? parseInt(req.body.sale_id, 10) : null;
+        if (isNaN(rating) || rating < 1 || rating > 5) throw new BadRequestError('Rating must be a whole number from 1 to 5.');
+        if (comment && comment.length > MAX_REVIEW_LENGTH) {
+            throw new BadRequestError(`Reviews can be at most ${MAX_REVIEW_LENGTH} characters.`);
+        }
+        if (req.body.sale_id && isNaN(saleId)) throw new BadRequestError('sale_id must be a valid sale ID.');
+
+        // The buyer's purchases of this listing, unreviewed ones first
+        const [sales] = await db.execute(
+            `SELECT s.id, s.product_id, s.product_title, s.seller_id, r.id AS review_id
+             FROM sales s
+             LEFT JOIN reviews r ON r.sale_id = s.id
+             WHERE s.product_id = ? AND s.buyer_id = ?
+             ORDER BY r.id IS NULL DESC, s.id DESC`,
+            [req.params.id, req.user.id]
+        );
+        const sale = saleId ? sales.find(candidate => candidate.id === saleId) : sales[0];
+        if (!sale) throw new ForbiddenError('You can only review sellers you have bought this item from.');
+        if (sale.review_id) throw new ConflictError('You have already reviewed this purchase.');
+
+        try {
+            const [result] = await db.execute(
+                'INSERT INTO reviews (sale_id, product_id, product_title, seller_id, reviewer_id, rating, comment) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [sale.id, sale.product_id, sale.product_title, sale.seller_id, req.user.id, rating, comment]
+            );
+
+            events.notifyUser(sale.seller_id, 'notification', {
+                type: 'review_received',
+                review_id: result.insertId,
+                rating,
+                reviewer_name: req.user.name,
+                title: sale.product_title
+            });
+
+            res.status(201).json({ message: 'Thanks for your review!', review_id: result.insertId });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new ConflictError('You have already reviewed this purchase.');
+            }
+            throw error;
+        }
+    });
+
+    // POST /api/reviews/:id/reply
+    // Body: { reply }. The reviewed seller's public response; sending it again replaces it.
+    router.post('/api/reviews/:id/reply', authenticateToken, async (req, res) => {
+        const reply = (req.body.reply || '').trim();
+        if (!reply) throw new BadRequestError('Please write a reply.');
+        if (reply.length > MAX_REVIEW_LENGTH) throw new BadRequestError(`Replies can be at most ${MAX_REVIEW_LENGTH} characters.`);
+
+        const [result] = await db.execute(
+            'UPDATE reviews SET seller_reply = ?, replied_at = NOW() WHERE id = ? AND seller_id = ?',
+            [reply, req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('Review not found or not authorized');
+        res.status(200).json({ message: 'Reply posted successfully' });
+    });
+
+    // GET /api/users/:id/profile
+    // Public seller profile: join date, rating summary, and the seller's latest active and sold listings
+    router.get('/api/users/:id/profile', async (req, res) => {
+        const [rows] = await db.execute(
+            `SELECT u.id, u.name, u.created_at AS joined_at,
+                    (SELECT COUNT(*) FROM products p WHERE p.seller_id = u.id AND p.status IN ('active', 'reserved') AND p.hidden_at IS NULL) AS active_count,
+                    (SELECT COUNT(*) FROM products p WHERE p.seller_id = u.id AND p.status = 'sold' AND p.hidden_at IS NULL) AS sold_count,
+                    (SELECT AVG(r.rating) FROM reviews r WHERE r.seller_id = u.id) AS rating_average,
+                    (SELECT COUNT(*) FROM reviews r WHERE r.seller_id = u.id) AS review_count
+             FROM users u
+             WHERE u.id = ? AND u.suspended_at IS NULL`,
+            [req.params.id]
+        );
+        const profile = rows[0];
+        if (!profile) throw new NotFoundError('Seller not found');
+
+        // db.query rather than execute: prepared statements reject numeric LIMIT placeholders
+        const listingsQuery = `SELECT p.*, u.name AS seller_name
+                               FROM products p
+                               JOIN users u ON p.seller_id = u.id
+                               WHERE p.seller_id = ? AND p.status IN (?) AND p.hidden_at IS NULL
+                               ORDER BY p.created_at DESC, p.id DESC
+                               LIMIT ?`;
+        const [activeListings] = await db.query(listingsQuery, [profile.id, ['active', 'reserved'], PROFILE_LISTINGS_LIMIT]);
+        const [soldListings] = await db.query(listingsQuery, [profile.id, ['sold'], PROFILE_LISTINGS_LIMIT]);
+        await attachProductImages(activeListings);
+        await attachProductImages(soldListings);
+
+        res.status(200).json({
+            ...profile,
+            rating_average: profile.rating_average !== null ? Math.round(Number(profile.rating_average) * 10) / 10 : null,
+            active_listings: stripBuyer(activeListings),
+            sold_listings: stripBuyer(soldListings)
+        });
+    });
+
+    // GET /api/users/:id/reviews
+    // Reviews of the seller, newest first, with the seller's replies
+    router.get('/api/users/:id/reviews', async (req, res) => {
+        const [reviews] = await db.execute(
+            `SELECT r.id, r.product_id, r.product_title, r.rating, r.comment, r.seller_reply, r.replied_at, r.created_at,
+                    reviewer.id AS reviewer_id, reviewer.name AS reviewer_name
+             FROM reviews r
+             JOIN users reviewer ON r.reviewer_id = reviewer.id
+             WHERE r.seller_id = ?
+             ORDER BY r.created_at DESC, r.id DESC
+             LIMIT 100`,
+            [req.params.id]
+        );
+        res.status(200).json(reviews);
+    });
+
+    return router;
+}
+
+module.exports = { createSalesRouter };
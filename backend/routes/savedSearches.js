@@ -0,0 +1,155 @@
+// Saved searches: a user's stored search criteria and the alerts raised when a new listing matches one (see
+// alertSavedSearches() in createApp.js).
+//
+// createSavedSearchesRouter({ db, auth }) returns an Express router for createApp() to mount.
+const express = require('express');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { PUBLIC_STATUS_CONDITION } = require('../products');
+
+// Saved searches: the most a user can keep, and how many recent alerts GET /api/saved-searches/alerts returns
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_ALERTS_LIMIT = 50;
+
+// Helper function to validate the body of POST/PUT /api/saved-searches.
+// Resolves to { values } ready for the saved_searches columns, or { error }.
+const parseSavedSearch = (body) => {
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const price = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+    const values = {
+        name: text(body.name),
+        query: text(body.query),
+        category: text(body.category) === 'all' ? null : text(body.category),
+        min_price: price(body.min_price),
+        max_price: price(body.max_price),
+        location: text(body.location),
+        email_alerts: body.email_alerts === true || body.email_alerts === 'true'
+    };
+
+    if (!values.query && !values.category && values.min_price === null && values.max_price === null && !values.location) {
+        return { error: 'A saved search needs at least one of: query, category, price range or location.' };
+    }
+    if ([values.min_price, values.max_price].some(value => value !== null && (isNaN(value) || value < 0))) {
+        return { error: 'Prices must be valid positive numbers.' };
+    }
+    if (values.min_price !== null && values.max_price !== null && values.min_price > values.max_price) {
+        return { error: 'min_price cannot be greater than max_price.' };
+    }
+    if ((values.name && values.name.length > 100) || (values.query && values.query.length > 255) ||
+        (values.category && values.category.length > 50) || (values.location && values.location.length > 255)) {
+        return { error: 'Saved search fields are too long.' };
+    }
+
+    values.name = values.name || values.query || values.category || values.location || 'My search';
+    return { values };
+};
+
+function createSavedSearchesRouter({ db, auth }) {
+    const router = express.Router();
+    const { authenticateToken } = auth;
+
+    // GET /api/saved-searches
+    // The current user's saved searches, each with its number of unread alerts
+    router.get('/api/saved-searches', authenticateToken, async (req, res) => {
+        const [searches] = await db.execute(
+            `SELECT s.*,
+                    (SELECT COUNT(*) FROM saved_search_alerts a WHERE a.saved_search_id = s.id AND a.read_at IS NULL) AS unread_alerts
+             FROM saved_searches s
+             WHERE s.user_id = ?
+             ORDER BY s.created_at DESC`,
+            [req.user.id]
+        );
+        res.status(200).json(searches);
+    });
+
+    // POST /api/saved-searches
+    // Body: { name?, query?, category?, min_price?, max_price?, location?, email_alerts? }
+    router.post('/api/saved-searches', authenticateToken, async (req, res) => {
+        const { values, error: validationError } = parseSavedSearch(req.body);
+        if (validationError) throw new BadRequestError(validationError);
+
+        const [[{ count }]] = await db.execute('SELECT COUNT(*) AS count FROM saved_searches WHERE user_id = ?', [req.user.id]);
+        if (count >= MAX_SAVED_SEARCHES) {
+            throw new BadRequestError(`You can keep at most ${MAX_SAVED_SEARCHES} saved searches. Delete one to save another.`);
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO saved_searches (user_id, name, query, category, min_price, max_price, location, email_alerts)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, values.name, values.query, values.category, values.min_price, values.max_price, values.location, values.email_alerts]
+        );
+
+        const [rows] = await db.execute('SELECT * FROM saved_searches WHERE id = ?', [result.insertId]);
+        res.status(201).json({ message: 'Search saved successfully', saved_search: { ...rows[0], unread_alerts: 0 } });
+    });
+
+    // PUT /api/saved-searches/:id
+    // Same body as POST; replaces the saved search's name, criteria and alert setting
+    router.put('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+        const { values, error: validationError } = parseSavedSearch(req.body);
+        if (validationError) throw new BadRequestError(validationError);
+
+        const [result] = await db.execute(
+            `UPDATE saved_searches
+             SET name = ?, query = ?, category = ?, min_price = ?, max_price = ?, location = ?, email_alerts = ?
+             WHERE id = ? AND user_id = ?`,
+            [values.name, values.query, values.category, values.min_price, values.max_price, values.location, values.email_alerts, req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) throw new NotFoundError('Saved search not found');
+        res.status(200).json({ message: 'Saved search updated successfully' });
+    });
+
+    // DELETE /api/saved-searches/:id
+    router.delete('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+        const [result] = await db.execute('DELETE FROM saved_searches WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) throw new NotFoundError('Saved search not found');
+        res.status(200).json({ message: 'Saved search deleted successfully' });
+    });
+
+    // GET /api/saved-searches/alerts
+    // Recent listings that matched the current user's saved searches (newest first) and the unread count.
+    // Listings that have since been hidden or deleted drop out.
+    router.get('/api/saved-searches/alerts', authenticateToken, async (req, res) => {
+        const [alerts] = await db.query(
+            `SELECT a.id, a.created_at, a.read_at, s.id AS saved_search_id, s.name AS saved_search_name,
+                    p.id AS product_id, p.title, p.price, p.image_url, p.location, p.sold
+             FROM saved_search_alerts a
+             JOIN saved_searches s ON a.saved_search_id = s.id
+             JOIN products p ON a.product_id = p.id
+             JOIN users u ON p.seller_id = u.id
+             WHERE s.user_id = ? AND p.hidden_at IS NULL AND u.suspended_at IS NULL AND ${PUBLIC_STATUS_CONDITION}
+             ORDER BY a.id DESC
+             LIMIT ?`,
+            [req.user.id, SAVED_SEARCH_ALERTS_LIMIT]
+        );
+
+        const [[{ unread }]] = await db.execute(
+            `SELECT COUNT(*) AS unread
+             FROM saved_search_alerts a
+             JOIN saved_searches s ON a.saved_search_id = s.id
+             WHERE s.user_id = ? AND a.read_at IS NULL`,
+            [req.user.id]
+        );
+
+        res.status(200).json({ alerts, unread });
+    });
+
+    // POST /api/saved-searches/alerts/read
+    // Body: { saved_search_id? }. Marks the alerts of one saved search, or all of them, as read.
+    router.post('/api/saved-searches/alerts/read', authenticateToken, async (req, res) => {
+        const { saved_search_id } = req.body;
+
+        const [result] = await db.execute(
+            `UPDATE saved_search_alerts a
+             JOIN saved_searches s ON a.saved_search_id = s.id
+             SET a.read_at = NOW()
+             WHERE s.user_id = ? AND a.read_at IS NULL ${saved_search_id ? 'AND s.id = ?' : ''}`,
+            saved_search_id ? [req.user.id, saved_search_id] : [req.user.id]
+        );
+        res.status(200).json({ message: 'Alerts marked as read', marked: result.affectedRows });
+    });
+
+    return router;
+}
+
+module.exports = { createSavedSearchesRouter };
@@ -0,0 +1,65 @@
+// Image storage backed by Cloudinary (the production default)
+const { v2: cloudinary } = require('cloudinary');
+const { logger } = require('../logging');
+
+const DEFAULT_FOLDER = 'campus_marketplace_images';
+const PING_INTERVAL_MS = 60 * 1000; // The Admin API behind ping() is rate limited, so readiness checks reuse a recent answer
+const ALLOWED_FORMATS = ['jpeg', 'png', 'jpg', 'gif'];
+
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret, folder = DEFAULT_FOLDER }) {
+    cloudinary.config({
+        cloud_name: cloudName,
+        api_key: apiKey,
+        api_secret: apiSecret
+    });
+
+    let lastPing = null; // { at, promise } of the most recent successful or in-flight ping
+
+    // Helper function to extract the public ID from a Cloudinary URL,
+    // e.g. .../upload/v1712/campus_marketplace_images/abc123.jpg -> campus_marketplace_images/abc123
+    const publicIdFromUrl = (url) => {
+        if (!url || !url.includes('cloudinary')) return null;
+        const parts = url.split('/');
+        const filenameWithExtension = parts[parts.length - 1];
+        return `${folder}/${filenameWithExtension.substring(0, filenameWithExtension.lastIndexOf('.'))}`;
+    };
+
+    return {
+        name: 'cloudinary',
+
+        // Upload a multer in-memory file and resolve with its public URL
+        save: (file) => new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                { folder, allowed_formats: ALLOWED_FORMATS },
+                (error, result) => (error ? reject(error) : resolve(result.secure_url))
+            );
+            uploadStream.end(file.buffer);
+        }),
+
+        // Delete an image previously returned by save(). URLs that aren't ours are ignored.
+        delete: async (url) => {
+            const publicId = publicIdFromUrl(url);
+            if (!publicId) return false;
+            const result = await cloudinary.uploader.destroy(publicId);
+            // destroy() resolves with { result: 'not found' } rather than failing for images that are already gone
+            logger[result.result === 'ok' ? 'info' : 'warn']('Deleted image from Cloudinary', { public_id: publicId, result: result.result });
+            return true;
+        },
+
+        // Ping the Admin API, reusing a successful answer from the last minute
+        check: () => {
+            if (!lastPing || Date.now() - lastPing.at > PING_INTERVAL_MS) {
+                const ping = { at: Date.now(), promise: cloudinary.api.ping() };
+                ping.promise.catch(() => {
+                    if (lastPing === ping) lastPing = null; // Ask again next time rather than remembering a failure
+                });
+                lastPing = ping;
+            }
+            return lastPing.promise;
+        },
+
+        url: (publicId) => cloudinary.url(publicId, { secure: true })
+    };
+}
+
+module.exports = { createCloudinaryStorage };
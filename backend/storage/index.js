@@ -0,0 +1,36 @@
+// Image storage selection.
+//
+// Every storage backend exposes the same operations:
+//   save(file)   Store a multer in-memory file ({ buffer, mimetype, originalname }) and resolve with its public URL
+//   delete(url)  Remove an image previously returned by save(); resolves false for URLs it doesn't own
+//   url(key)     Build the public URL for a stored key
+//   check()      Resolve if the backend is usable right now, reject with the reason if not (for GET /readyz)
+//
+// STORAGE_DRIVER picks the backend: "cloudinary" (default) or "local".
+const path = require('path');
+const { createCloudinaryStorage } = require('./cloudinaryStorage');
+const { createLocalStorage } = require('./localStorage');
+
+function createStorage(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'cloudinary';
+
+    if (driver === 'cloudinary') {
+        return createCloudinaryStorage({
+            cloudName: env.CLOUDINARY_CLOUD_NAME,
+            apiKey: env.CLOUDINARY_API_KEY,
+            apiSecret: env.CLOUDINARY_API_SECRET
+        });
+    }
+
+    if (driver === 'local') {
+        const port = env.EXPRESS_PORT || 5000;
+        return createLocalStorage({
+            directory: env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+            baseUrl: env.BASE_URL || `http://localhost:${port}`
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "cloudinary" or "local".`);
+}
+
+module.exports = { createStorage };
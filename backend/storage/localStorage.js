@@ -0,0 +1,51 @@
+// Image storage on the local filesystem, served by Express. Handy for offline development and tests.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const EXTENSIONS_BY_MIME_TYPE = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif'
+};
+
+function createLocalStorage({ directory, baseUrl, publicPath = '/uploads' }) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    const urlPrefix = `${baseUrl}${publicPath}/`;
+    const url = (filename) => `${urlPrefix}${filename}`;
+
+    return {
+        name: 'local',
+        directory,
+        publicPath,
+
+        // Write a multer in-memory file under a random name and resolve with its public URL
+        save: async (file) => {
+            const extension = EXTENSIONS_BY_MIME_TYPE[file.mimetype] || path.extname(file.originalname || '');
+            const filename = `${crypto.randomUUID()}${extension}`;
+            await fs.promises.writeFile(path.join(directory, filename), file.buffer);
+            return url(filename);
+        },
+
+        // Delete an image previously returned by save(). URLs that aren't ours are ignored.
+        delete: async (imageUrl) => {
+            if (!imageUrl || !imageUrl.startsWith(urlPrefix)) return false;
+            // basename() stops a crafted URL from reaching outside the upload directory
+            const filename = path.basename(imageUrl.slice(urlPrefix.length));
+            try {
+                await fs.promises.unlink(path.join(directory, filename));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            return true;
+        },
+
+        // Usable as long as the upload directory is still writable
+        check: () => fs.promises.access(directory, fs.constants.W_OK),
+
+        url
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,79 @@
+// View and contact analytics against MySQL: de-duplication per visitor, what doesn't count, and the seller's
+// per-listing and daily numbers. Skipped unless TEST_DB_NAME is set (see support/testServer.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PIXEL_PNG, SKIP_WITHOUT_DATABASE, connectTestDatabase, startTestServer, signUp } = require('./support/testServer');
+
+describe('analytics routes', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    let db;
+    let server;
+    let seller;
+    let buyer;
+
+    const createListing = async (fields = {}) => {
+        const form = new FormData();
+        Object.entries({
+            title: 'Mattress for a single bed',
+            price: 3500,
+            category: 'Furniture',
+            description: 'Firm foam mattress, used for one year.',
+            location: 'Hostel A',
+            contact_number: '0712345678',
+            ...fields
+        }).forEach(([field, value]) => form.append(field, String(value)));
+        form.append('images', new Blob([PIXEL_PNG], { type: 'image/png' }), 'photo.png');
+        const { status, body } = await server.request('POST', '/api/products', { token: seller.token, body: form });
+        assert.equal(status, 201, JSON.stringify(body));
+        return body.product;
+    };
+
+    before(async () => {
+        db = await connectTestDatabase();
+        server = await startTestServer({ db, env: { RATE_LIMIT_SIGNUP_IP_MAX: '1000', RATE_LIMIT_LISTING_IP_MAX: '1000', LISTING_DAILY_QUOTA: '1000' } });
+        seller = await signUp(server, { label: 'seller' });
+        buyer = await signUp(server, { label: 'buyer' });
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (db) await db.end();
+    });
+
+    it('counts each visitor once a day and leaves out the seller', async () => {
+        const product = await createListing();
+        const draft = await createListing({ status: 'draft' });
+        const visitorId = crypto.randomUUID();
+        const view = (body, token) => server.request('POST', '/api/analytics/views', { token, body });
+
+        assert.equal((await view({ product_ids: [product.id, draft.id], visitor_id: visitorId })).body.recorded, 1);
+        assert.equal((await view({ product_ids: [product.id], visitor_id: visitorId })).body.recorded, 0);
+        assert.equal((await view({ product_ids: [product.id], visitor_id: crypto.randomUUID() })).body.recorded, 1);
+        assert.equal((await view({ product_ids: [product.id], visitor_id: visitorId }, buyer.token)).body.recorded, 1);
+        assert.equal((await view({ product_ids: [product.id] }, seller.token)).body.recorded, 0);
+
+        const contact = await server.request('POST', '/api/analytics/contacts', { token: buyer.token, body: { product_id: product.id } });
+        assert.equal(contact.body.recorded, 1);
+
+        const stats = await server.request('GET', `/api/analytics/listings/${product.id}?days=7`, { token: seller.token });
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.views, 3);
+        assert.equal(stats.body.contacts, 1);
+        assert.equal(stats.body.days_listed, 0);
+        assert.equal(stats.body.daily.length, 7);
+        assert.deepEqual(stats.body.daily.slice(-1).map(day => [day.views, day.contacts]), [[3, 1]]);
+
+        assert.equal((await server.request('GET', `/api/analytics/listings/${product.id}`, { token: buyer.token })).status, 404);
+        assert.equal((await server.request('GET', '/api/analytics/listings?days=0', { token: seller.token })).status, 400);
+    });
+
+    it('sums up every listing of the seller', async () => {
+        const { status, body } = await server.request('GET', '/api/analytics/listings', { token: seller.token });
+        assert.equal(status, 200);
+        assert.equal(body.days, 30);
+        assert.equal(body.daily.length, 30);
+        assert.equal(body.products.length, 2);
+        assert.deepEqual(body.totals, { views: 3, contacts: 1 });
+        assert.equal(body.daily.reduce((sum, day) => sum + day.views, 0), 3);
+    });
+});
@@ -0,0 +1,166 @@
+// Behaviour that doesn't need a database: probes, error bodies, request validation, authentication and rate
+// limits. The app runs against a database stand-in that fails every query.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+describe('app without a database', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer({
+            env: { ALLOWED_EMAIL_DOMAINS: 'chuka.ac.ke' }
+        });
+    });
+
+    after(() => server.close());
+
+    it('reports liveness and the database state on /healthz', async () => {
+        const connecting = await server.request('GET', '/healthz');
+        assert.equal(connecting.status, 200);
+        assert.equal(connecting.body.database, 'connecting');
+
+        server.app.locals.lifecycle.databaseReady = true;
+        const connected = await server.request('GET', '/healthz');
+        assert.equal(connected.body.database, 'connected');
+        server.app.locals.lifecycle.databaseReady = false;
+    });
+
+    it('is not ready while the database is unreachable', async () => {
+        server.app.locals.lifecycle.databaseReady = true;
+        const { status, body } = await server.request('GET', '/readyz');
+        server.app.locals.lifecycle.databaseReady = false;
+
+        assert.equal(status, 503);
+        assert.equal(body.status, 'not_ready');
+        assert.equal(body.checks.database.status, 'error');
+        assert.equal(body.checks.storage.status, 'ok');
+    });
+
+    it('answers unknown API paths with a JSON 404 carrying the request ID', async () => {
+        const { status, headers, body } = await server.request('GET', '/api/no-such-thing', {
+            headers: { 'X-Request-Id': 'test-request-1' }
+        });
+        assert.equal(status, 404);
+        assert.equal(body.code, 'not_found');
+        assert.equal(body.request_id, 'test-request-1');
+        assert.equal(headers.get('X-Request-Id'), 'test-request-1');
+    });
+
+    it('turns malformed JSON into a 400', async () => {
+        const { status, body } = await server.request('POST', '/api/login', { body: '{"email":' });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'The request body is not valid JSON.');
+    });
+
+    it('hides database failures behind a generic 500', async () => {
+        const { status, body } = await server.request('GET', '/api/products');
+        assert.equal(status, 500);
+        assert.equal(body.code, 'internal_error');
+        assert.ok(body.request_id);
+        assert.doesNotMatch(body.message, /ECONNREFUSED/);
+    });
+
+    describe('auth routes', () => {
+        it('rejects an invalid signup with a message per field', async () => {
+            const { status, body } = await server.request('POST', '/api/signup', {
+                body: { name: '', email: 'not-an-email', password: '123' }
+            });
+            assert.equal(status, 400);
+            assert.equal(body.code, 'validation_failed');
+            assert.deepEqual(Object.keys(body.errors).sort(), ['email', 'name', 'password']);
+        });
+
+        it('only accepts email addresses from ALLOWED_EMAIL_DOMAINS', async () => {
+            const { status, body } = await server.request('POST', '/api/signup', {
+                body: { name: 'Outsider', email: 'someone@gmail.com', password: 'secret123' }
+            });
+            assert.equal(status, 400);
+            assert.match(body.errors.email, /chuka\.ac\.ke/);
+        });
+
+        it('holds a password reset to the signup password rules', async () => {
+            for (const password of ['123', 'x'.repeat(73)]) {
+                const { status, body } = await server.request('POST', '/api/password/reset', { body: { token: 'any', password } });
+                assert.equal(status, 400);
+                assert.deepEqual(Object.keys(body.errors), ['password']);
+            }
+        });
+
+        it('requires email and password to log in', async () => {
+            const { status, body } = await server.request('POST', '/api/login', { body: { email: 'a@chuka.ac.ke' } });
+            assert.equal(status, 400);
+            assert.equal(body.code, 'bad_request');
+        });
+
+        it('rate limits logins per IP with Retry-After', async () => {
+            const limited = await startTestServer({ env: { RATE_LIMIT_LOGIN_IP_MAX: '1' } });
+            try {
+                assert.equal((await limited.request('POST', '/api/login', { body: {} })).status, 400);
+                const { status, headers, body } = await limited.request('POST', '/api/login', { body: {} });
+                assert.equal(status, 429);
+                assert.equal(body.code, 'rate_limited');
+                assert.equal(headers.get('Retry-After'), String(body.retry_after));
+            } finally {
+                await limited.close();
+            }
+        });
+
+        it('rate limits password reset emails per IP', async () => {
+            const limited = await startTestServer({ env: { RATE_LIMIT_PASSWORD_RESET_IP_MAX: '1' } });
+            try {
+                assert.equal((await limited.request('POST', '/api/password/forgot', { body: {} })).status, 400);
+                const { status, body } = await limited.request('POST', '/api/password/forgot', { body: {} });
+                assert.equal(status, 429);
+                assert.equal(body.code, 'rate_limited');
+            } finally {
+                await limited.close();
+            }
+        });
+
+        it('requires a token for protected routes', async () => {
+            const missing = await server.request('GET', '/api/me');
+            assert.equal(missing.status, 401);
+            assert.equal(missing.body.code, 'unauthenticated');
+
+            const invalid = await server.request('GET', '/api/me', { token: 'not-a-jwt' });
+            assert.equal(invalid.status, 403);
+        });
+    });
+
+    describe('analytics routes', () => {
+        it('checks the listings reported as viewed', async () => {
+            for (const product_ids of [undefined, [], ['abc'], Array.from({ length: 101 }, (_, i) => i + 1)]) {
+                const { status } = await server.request('POST', '/api/analytics/views', { body: { product_ids } });
+                assert.equal(status, 400, JSON.stringify(product_ids));
+            }
+        });
+
+        it('only shows sellers their own numbers', async () => {
+            assert.equal((await server.request('GET', '/api/analytics/listings')).status, 401);
+            assert.equal((await server.request('GET', '/api/analytics/listings/1')).status, 401);
+        });
+    });
+
+    describe('product routes', () => {
+        it('rejects unknown sort orders and page sizes', async () => {
+            const sort = await server.request('GET', '/api/products?sort=cheapest');
+            assert.equal(sort.status, 400);
+            assert.match(sort.body.message, /sort must be one of/);
+
+            const limit = await server.request('GET', '/api/products?limit=1000');
+            assert.equal(limit.status, 400);
+        });
+
+        it('requires a token to create, edit, delete, import or export listings', async () => {
+            const routes = [
+                ['POST', '/api/products'], ['PATCH', '/api/products/1'], ['PUT', '/api/products/1'], ['DELETE', '/api/products/1'],
+                ['POST', '/api/products/bulk/delete'], ['POST', '/api/products/import'], ['GET', '/api/products/export']
+            ];
+            for (const [method, path] of routes) {
+                const { status } = await server.request(method, path, { body: method === 'GET' ? undefined : {} });
+                assert.equal(status, 401, `${method} ${path}`);
+            }
+        });
+    });
+});
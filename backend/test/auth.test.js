@@ -0,0 +1,161 @@
+// Account flows against MySQL: signup and email verification, login and lockout, token refresh, logout, sessions
+// and password reset. Skipped unless TEST_DB_NAME is set (see support/testServer.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP_WITHOUT_DATABASE, connectTestDatabase, startTestServer, uniqueEmail, signUp } = require('./support/testServer');
+
+describe('auth routes', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    let db;
+    let server;
+
+    before(async () => {
+        db = await connectTestDatabase();
+        server = await startTestServer({
+            db,
+            env: { RATE_LIMIT_SIGNUP_IP_MAX: '1000', RATE_LIMIT_LOGIN_IP_MAX: '1000', RATE_LIMIT_PASSWORD_RESET_IP_MAX: '1000', LOGIN_MAX_FAILED_ATTEMPTS: '3' }
+        });
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (db) await db.end();
+    });
+
+    it('signs up, emails a verification link and verifies the address', async () => {
+        const email = uniqueEmail('signup');
+        const signup = await server.request('POST', '/api/signup', { body: { name: 'Faith Wanjiku', email, password: 'secret123' } });
+        assert.equal(signup.status, 201);
+        assert.equal(signup.body.user.email_verified, false);
+        assert.ok(signup.body.token && signup.body.refresh_token);
+
+        const me = await server.request('GET', '/api/me', { token: signup.body.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.email, email);
+        assert.equal(me.body.email_verified, false);
+
+        const [, verifyToken] = server.mailer.lastTo(email).text.match(/verify_token=(\w+)/);
+        const verify = await server.request('POST', '/api/email/verify', { body: { token: verifyToken } });
+        assert.equal(verify.status, 200);
+
+        const reused = await server.request('POST', '/api/email/verify', { body: { token: verifyToken } });
+        assert.equal(reused.status, 400);
+
+        const verifiedMe = await server.request('GET', '/api/me', { token: signup.body.token });
+        assert.equal(verifiedMe.body.email_verified, true);
+    });
+
+    it('refuses a second account with the same email', async () => {
+        const user = await signUp(server, { verified: false });
+        const { status, body } = await server.request('POST', '/api/signup', {
+            body: { name: 'Someone Else', email: user.email, password: 'secret123' }
+        });
+        assert.equal(status, 409);
+        assert.equal(body.code, 'conflict');
+    });
+
+    it('logs in with the right password only', async () => {
+        const user = await signUp(server);
+
+        const wrong = await server.request('POST', '/api/login', { body: { email: user.email, password: 'wrong-password' } });
+        assert.equal(wrong.status, 401);
+
+        const right = await server.request('POST', '/api/login', { body: { email: user.email, password: user.password } });
+        assert.equal(right.status, 200);
+        assert.equal(right.body.user.id, user.id);
+        assert.equal(right.body.user.email_verified, true);
+    });
+
+    it('locks an account after too many wrong passwords', async () => {
+        const user = await signUp(server);
+        const attempt = (password) => server.request('POST', '/api/login', { body: { email: user.email, password } });
+
+        assert.equal((await attempt('wrong-1')).status, 401);
+        assert.equal((await attempt('wrong-2')).status, 401);
+        const locked = await attempt('wrong-3');
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('Retry-After')) > 0);
+
+        // Even the right password is refused during the lockout
+        assert.equal((await attempt(user.password)).status, 429);
+    });
+
+    it('rotates refresh tokens and revokes the session when an old one comes back', async () => {
+        const user = await signUp(server);
+
+        const refreshed = await server.request('POST', '/api/token/refresh', { body: { refresh_token: user.refresh_token } });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.body.refresh_token, user.refresh_token);
+        assert.equal((await server.request('GET', '/api/me', { token: refreshed.body.token })).status, 200);
+
+        const replayed = await server.request('POST', '/api/token/refresh', { body: { refresh_token: user.refresh_token } });
+        assert.equal(replayed.status, 401);
+
+        const afterReplay = await server.request('GET', '/api/me', { token: refreshed.body.token });
+        assert.equal(afterReplay.status, 401);
+        assert.equal(afterReplay.body.message, 'Session has been revoked');
+    });
+
+    it('rotates a refresh token only once when two refreshes race with it', async () => {
+        const user = await signUp(server);
+
+        const refresh = () => server.request('POST', '/api/token/refresh', { body: { refresh_token: user.refresh_token } });
+        const statuses = (await Promise.all([refresh(), refresh()])).map(response => response.status);
+        assert.deepEqual(statuses.sort(), [200, 401]);
+    });
+
+    it('ends a session on logout', async () => {
+        const user = await signUp(server);
+
+        const logout = await server.request('POST', '/api/logout', { body: { refresh_token: user.refresh_token } });
+        assert.equal(logout.status, 200);
+
+        assert.equal((await server.request('GET', '/api/me', { token: user.token })).status, 401);
+        assert.equal((await server.request('POST', '/api/token/refresh', { body: { refresh_token: user.refresh_token } })).status, 401);
+    });
+
+    it('lists sessions and revokes the others', async () => {
+        const user = await signUp(server);
+        const otherDevice = await server.request('POST', '/api/login', { body: { email: user.email, password: user.password } });
+
+        const sessions = await server.request('GET', '/api/sessions', { token: user.token });
+        assert.equal(sessions.status, 200);
+        assert.equal(sessions.body.length, 2);
+        assert.equal(sessions.body.filter(session => session.current).length, 1);
+
+        const revoke = await server.request('DELETE', '/api/sessions', { token: user.token });
+        assert.equal(revoke.body.revoked, 1);
+        assert.equal((await server.request('GET', '/api/me', { token: otherDevice.body.token })).status, 401);
+        assert.equal((await server.request('GET', '/api/me', { token: user.token })).status, 200);
+    });
+
+    it('resets a forgotten password and logs out everywhere', async () => {
+        const user = await signUp(server);
+
+        const forgot = await server.request('POST', '/api/password/forgot', { body: { email: user.email } });
+        assert.equal(forgot.status, 200);
+        const [, resetToken] = server.mailer.lastTo(user.email).text.match(/reset_token=(\w+)/);
+
+        const unknown = await server.request('POST', '/api/password/forgot', { body: { email: uniqueEmail('nobody') } });
+        assert.deepEqual(unknown.body, forgot.body);
+
+        // Not even a mailer outage gives the account away
+        const { send } = server.mailer;
+        server.mailer.send = async () => {
+            throw new Error('SMTP unavailable');
+        };
+        try {
+            const unsent = await server.request('POST', '/api/password/forgot', { body: { email: user.email } });
+            assert.equal(unsent.status, 200);
+            assert.deepEqual(unsent.body, forgot.body);
+        } finally {
+            server.mailer.send = send;
+        }
+
+        const reset = await server.request('POST', '/api/password/reset', { body: { token: resetToken, password: 'new-secret' } });
+        assert.equal(reset.status, 200);
+
+        assert.equal((await server.request('GET', '/api/me', { token: user.token })).status, 401);
+        assert.equal((await server.request('POST', '/api/login', { body: { email: user.email, password: user.password } })).status, 401);
+        assert.equal((await server.request('POST', '/api/login', { body: { email: user.email, password: 'new-secret' } })).status, 200);
+    });
+});
@@ -0,0 +1,27 @@
+// The CSV reader and writer behind listing import and export (csv/index.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../csv');
+
+describe('csv', () => {
+    it('quotes fields with commas, quotes and line breaks and reads them back', () => {
+        const rows = [['title', 'description'], ['Desk, oak', 'Says "solid"\nSecond line'], ['Lamp', '']];
+        const csv = toCsv(rows);
+        assert.equal(csv, 'title,description\r\n"Desk, oak","Says ""solid""\nSecond line"\r\nLamp,\r\n');
+        assert.deepEqual(parseCsv(csv).rows, rows);
+    });
+
+    it('keeps spreadsheet formulas from running', () => {
+        const csv = toCsv([['=HYPERLINK("x")', '-20% off', 5, null]]);
+        assert.equal(csv, '"\'=HYPERLINK(""x"")",\'-20% off,5,\r\n');
+        assert.deepEqual(parseCsv(csv).rows, [['=HYPERLINK("x")', '-20% off', '5', '']]);
+    });
+
+    it('reads LF line endings and a byte order mark, and skips blank lines', () => {
+        assert.deepEqual(parseCsv('﻿a,b\n\n1,2\n').rows, [['a', 'b'], ['1', '2']]);
+    });
+
+    it('reports a quoted field that never ends', () => {
+        assert.match(parseCsv('a,b\n1,"2').error, /never closed/);
+    });
+});
@@ -0,0 +1,33 @@
+// The SQL conditions GET /api/products builds from its query string (buildProductFilters in routes/products.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProductFilters } = require('../routes/products');
+
+describe('product filters', () => {
+    it('only shows public listings unless sellers browse their own', () => {
+        assert.match(buildProductFilters({}, null).where, /p\.hidden_at IS NULL AND u\.suspended_at IS NULL AND p\.status IN/);
+        assert.match(buildProductFilters({ seller_id: '7' }, { id: 8 }).where, /p\.hidden_at IS NULL/);
+
+        const own = buildProductFilters({ seller_id: '7' }, { id: 7 });
+        assert.equal(own.where, 'WHERE p.seller_id = ?');
+        assert.deepEqual(own.params, [7]);
+    });
+
+    it('turns search terms and ranges into placeholders', () => {
+        const { where, params } = buildProductFilters({ q: ' lamp ', category: 'Furniture', min_price: '100', max_price: '900', sold: 'false' }, null);
+        assert.match(where, /\(p\.title LIKE \? OR p\.description LIKE \? OR p\.location LIKE \?\) AND p\.category = \? AND p\.price >= \? AND p\.price <= \? AND p\.sold = \?$/);
+        assert.deepEqual(params, ['%lamp%', '%lamp%', '%lamp%', 'Furniture', 100, 900, false]);
+    });
+
+    it('counts listings without a price change as not dropped', () => {
+        // previous_price is NULL until the first price change, so a plain NOT would drop those listings too
+        assert.match(buildProductFilters({ price_dropped: 'false' }, null).where, /\(p\.previous_price > p\.price AND .+\) IS NOT TRUE$/);
+        assert.doesNotMatch(buildProductFilters({ price_dropped: 'true' }, null).where, /IS NOT TRUE/);
+    });
+
+    it('rejects malformed values', () => {
+        for (const query of [{ min_price: 'cheap' }, { max_price: '-1' }, { sold: 'yes' }, { price_dropped: '1' }, { status: 'gone' }, { seller_id: 'me' }]) {
+            assert.ok(buildProductFilters(query, null).error, JSON.stringify(query));
+        }
+    });
+});
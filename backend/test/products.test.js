@@ -0,0 +1,351 @@
+// Listing flows against MySQL with local-disk image storage: creating with photos, browsing, partial edits (with
+// price history), drafts and status changes, bulk actions, CSV import and export, and deletion. Skipped unless
+// TEST_DB_NAME is set (see support/testServer.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PIXEL_PNG, SKIP_WITHOUT_DATABASE, connectTestDatabase, startTestServer, signUp } = require('./support/testServer');
+
+// Helper function to build the multipart body of POST /api/products, with one photo unless told otherwise
+const listingForm = (fields, photos = 1) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([field, value]) => form.append(field, String(value)));
+    for (let i = 0; i < photos; i += 1) {
+        form.append('images', new Blob([PIXEL_PNG], { type: 'image/png' }), `photo-${i}.png`);
+    }
+    return form;
+};
+
+// Wraps a pool so that, inside a transaction, the listing is taken down just before its status is changed: as if
+// someone had changed it since it was read, so the conditional status UPDATE (WHERE id = ? AND status = ?) matches
+// no row. It happens on the transaction's own connection, so a rollback undoes it too.
+const withStatusChangedMeanwhile = (pool) => ({
+    execute: (...args) => pool.execute(...args),
+    query: (...args) => pool.query(...args),
+    getConnection: async () => {
+        const connection = await pool.getConnection();
+        return {
+            beginTransaction: () => connection.beginTransaction(),
+            commit: () => connection.commit(),
+            rollback: () => connection.rollback(),
+            release: () => connection.release(),
+            query: (...args) => connection.query(...args),
+            execute: async (sql, params) => {
+                if (/^\s*UPDATE products\s+SET status = \?/.test(sql)) {
+                    const [productId] = params.slice(-2);
+                    await connection.execute("UPDATE products SET status = 'removed' WHERE id = ?", [productId]);
+                }
+                return connection.execute(sql, params);
+            }
+        };
+    },
+    end: async () => {}
+});
+
+describe('product routes', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    let db;
+    let server;
+    let seller;
+    let buyer;
+    let tag; // Unique word in this run's titles, so searches only find our listings
+
+    const validListing = (overrides = {}) => ({
+        title: `Casio calculator ${tag}`,
+        price: 1500,
+        category: 'Electronics',
+        description: 'Scientific calculator, barely used, comes with its cover.',
+        location: 'Main campus',
+        contact_number: '0712345678',
+        ...overrides
+    });
+
+    const createListing = async (overrides, photos) => {
+        const { status, body } = await server.request('POST', '/api/products', { token: seller.token, body: listingForm(validListing(overrides), photos) });
+        assert.equal(status, 201, JSON.stringify(body));
+        return body.product;
+    };
+
+    before(async () => {
+        db = await connectTestDatabase();
+        server = await startTestServer({
+            db,
+            env: { RATE_LIMIT_SIGNUP_IP_MAX: '1000', RATE_LIMIT_LISTING_IP_MAX: '1000', RATE_LIMIT_LISTING_ACCOUNT_MAX: '1000', LISTING_DAILY_QUOTA: '1000' }
+        });
+        seller = await signUp(server, { name: 'Brian Kiprotich', label: 'seller' });
+        buyer = await signUp(server, { name: 'Mercy Mwende', label: 'buyer' });
+        tag = crypto.randomUUID().slice(0, 8);
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (db) await db.end();
+    });
+
+    it('creates a listing and stores its photo', async () => {
+        const product = await createListing({}, 2);
+        assert.equal(product.status, 'active');
+        assert.equal(product.contact_number, '254712345678');
+        assert.equal(product.images.length, 2);
+        assert.equal(product.image_url, product.images[0].url);
+
+        const photo = await fetch(product.image_url);
+        assert.equal(photo.status, 200);
+        assert.deepEqual(Buffer.from(await photo.arrayBuffer()), PIXEL_PNG);
+    });
+
+    it('reports every invalid field', async () => {
+        const { status, body } = await server.request('POST', '/api/products', {
+            token: seller.token,
+            body: listingForm(validListing({ title: 'TV', price: -5, category: 'Cars' }))
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(Object.keys(body.errors).sort(), ['category', 'price', 'title']);
+    });
+
+    it('only lets verified users list items', async () => {
+        const unverified = await signUp(server, { verified: false, label: 'unverified' });
+        const { status } = await server.request('POST', '/api/products', { token: unverified.token, body: listingForm(validListing()) });
+        assert.equal(status, 403);
+    });
+
+    it('finds listings by search term and returns one with its price history', async () => {
+        const product = await createListing({ title: `Office chair ${tag}`, category: 'Furniture', price: 2500 });
+
+        const search = await server.request('GET', `/api/products?q=${encodeURIComponent(`chair ${tag}`)}&category=Furniture`);
+        assert.equal(search.status, 200);
+        assert.deepEqual(search.body.products.map(found => found.id), [product.id]);
+        assert.equal(search.body.pagination.total, 1);
+
+        const single = await server.request('GET', `/api/products/${product.id}`);
+        assert.equal(single.status, 200);
+        assert.equal(single.body.seller_name, 'Brian Kiprotich');
+        assert.deepEqual(single.body.price_history, []);
+    });
+
+    it('lets only the seller edit a listing and records price changes', async () => {
+        const product = await createListing({ title: `Desk lamp ${tag}`, price: 800 });
+
+        const notOwner = await server.request('PATCH', `/api/products/${product.id}`, { token: buyer.token, body: { price: 1 } });
+        assert.equal(notOwner.status, 404);
+
+        const update = await server.request('PATCH', `/api/products/${product.id}`, { token: seller.token, body: { price: '650', location: 'Hostel B' } });
+        assert.equal(update.status, 200);
+        assert.equal(Number(update.body.product.price), 650);
+
+        const { body } = await server.request('GET', `/api/products/${product.id}`);
+        assert.equal(Number(body.price), 650);
+        assert.equal(Number(body.previous_price), 800);
+        assert.equal(body.location, 'Hostel B');
+        assert.equal(body.title, `Desk lamp ${tag}`);
+        assert.deepEqual(body.price_history.map(change => [Number(change.old_price), Number(change.new_price)]), [[800, 650]]);
+    });
+
+    it('filters on recent price drops, counting never repriced listings as not dropped', async () => {
+        const dropped = await createListing({ title: `Shoe rack ${tag}`, price: 3000 });
+        const unchanged = await createListing({ title: `Shoe rack stand ${tag}`, price: 3000 });
+        await server.request('PATCH', `/api/products/${dropped.id}`, { token: seller.token, body: { price: 2400 } });
+
+        const search = (priceDropped) => server.request('GET', `/api/products?q=${encodeURIComponent(`shoe rack ${tag}`)}&price_dropped=${priceDropped}`);
+        assert.deepEqual((await search('true')).body.products.map(found => found.id), [dropped.id]);
+        assert.deepEqual((await search('false')).body.products.map(found => found.id), [unchanged.id]);
+    });
+
+    it('patches only the fields sent, with typed values', async () => {
+        const product = await createListing({ title: `Bookshelf ${tag}`, category: 'Furniture' });
+        const patch = (body) => server.request('PATCH', `/api/products/${product.id}`, { token: seller.token, body });
+
+        const cleared = await patch({ contact_number: '' });
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.body.product.contact_number, null);
+        assert.equal(cleared.body.product.title, `Bookshelf ${tag}`);
+
+        const form = new FormData();
+        form.append('sold', 'true');
+        const sold = await server.request('PATCH', `/api/products/${product.id}`, { token: seller.token, body: form });
+        assert.equal(sold.status, 200);
+        assert.equal(sold.body.product.status, 'sold');
+
+        const invalid = await patch({ sold: 'maybe', price: 'cheap' });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['price', 'sold']);
+
+        const required = await patch({ title: '' });
+        assert.equal(required.status, 400);
+        assert.equal(required.body.errors.title, 'Title is required.');
+
+        assert.equal((await patch({})).status, 400);
+    });
+
+    it('refuses a patch asking for a status the listing cannot take before changing anything', async () => {
+        const product = await createListing({ title: `Wall clock ${tag}`, price: 900 });
+        await server.request('POST', `/api/products/${product.id}/status`, { token: seller.token, body: { status: 'removed' } });
+
+        const rejected = await server.request('PATCH', `/api/products/${product.id}`, { token: seller.token, body: { price: 500, location: 'Hostel C', sold: true } });
+        assert.equal(rejected.status, 400);
+
+        const [[row]] = await db.execute('SELECT price, location, previous_price FROM products WHERE id = ?', [product.id]);
+        assert.deepEqual([Number(row.price), row.location, row.previous_price], [900, 'Main campus', null]);
+        const [history] = await db.execute('SELECT id FROM price_history WHERE product_id = ?', [product.id]);
+        assert.equal(history.length, 0);
+    });
+
+    it('rolls back the fields and price history of a patch whose status change fails', async () => {
+        const product = await createListing({ title: `Desk fan ${tag}`, price: 1200 });
+        const racing = await startTestServer({ db: withStatusChangedMeanwhile(db), env: { LISTING_DAILY_QUOTA: '1000' } });
+        try {
+            const failed = await racing.request('PATCH', `/api/products/${product.id}`, {
+                token: seller.token,
+                body: { title: `Desk fan, renamed ${tag}`, price: 800, sold: true }
+            });
+            assert.equal(failed.status, 409);
+        } finally {
+            await racing.close();
+        }
+
+        const [[row]] = await db.execute('SELECT title, price, previous_price, status, sold FROM products WHERE id = ?', [product.id]);
+        assert.deepEqual(
+            [row.title, Number(row.price), row.previous_price, row.status, Boolean(row.sold)],
+            [`Desk fan ${tag}`, 1200, null, 'active', false]
+        );
+        const [history] = await db.execute('SELECT id FROM price_history WHERE product_id = ?', [product.id]);
+        assert.equal(history.length, 0);
+    });
+
+    it('keeps drafts private until they are published', async () => {
+        const draft = await createListing({ title: `Textbook ${tag}`, category: 'Books', status: 'draft' });
+        assert.equal(draft.status, 'draft');
+
+        assert.equal((await server.request('GET', `/api/products/${draft.id}`)).status, 404);
+        assert.equal((await server.request('GET', `/api/products/${draft.id}`, { token: seller.token })).status, 200);
+        assert.equal((await server.request('GET', `/api/products/${draft.id}/images`)).status, 404);
+        assert.equal((await server.request('GET', `/api/products/${draft.id}/images`, { token: buyer.token })).status, 404);
+        const photos = await server.request('GET', `/api/products/${draft.id}/images`, { token: seller.token });
+        assert.equal(photos.status, 200);
+        assert.equal(photos.body.length, 1);
+
+        const publish = await server.request('POST', `/api/products/${draft.id}/status`, { token: seller.token, body: { status: 'active' } });
+        assert.equal(publish.status, 200);
+        assert.equal((await server.request('GET', `/api/products/${draft.id}`)).status, 200);
+    });
+
+    it('enforces the listing lifecycle', async () => {
+        const product = await createListing({ title: `Hoodie ${tag}`, category: 'Clothing' });
+
+        const reserve = await server.request('POST', `/api/products/${product.id}/status`, { token: seller.token, body: { status: 'reserved' } });
+        assert.equal(reserve.status, 400);
+
+        const sold = await server.request('POST', `/api/products/${product.id}/status`, { token: seller.token, body: { status: 'sold' } });
+        assert.equal(sold.status, 200);
+
+        const { body } = await server.request('GET', `/api/products/${product.id}`);
+        assert.equal(body.status, 'sold');
+        assert.equal(body.sold, 1);
+
+        const renew = await server.request('POST', `/api/products/${product.id}/renew`, { token: seller.token });
+        assert.equal(renew.status, 400);
+    });
+
+    it('applies bulk actions to all the listings or to none of them', async () => {
+        const lamp = await createListing({ title: `Study lamp ${tag}`, price: 1000 });
+        const mirror = await createListing({ title: `Mirror ${tag}`, price: 999, category: 'Other' });
+        const ids = [lamp.id, mirror.id];
+        const bulk = (action, body, token = seller.token) => server.request('POST', `/api/products/bulk/${action}`, { token, body });
+
+        const price = await bulk('price', { ids, percent: -10 });
+        assert.equal(price.status, 200);
+        assert.deepEqual(price.body.results, [{ id: lamp.id, ok: true }, { id: mirror.id, ok: true }]);
+        const lampAfter = (await server.request('GET', `/api/products/${lamp.id}`)).body;
+        assert.equal(Number(lampAfter.price), 900);
+        assert.deepEqual(lampAfter.price_history.map(change => Number(change.new_price)), [900]);
+        assert.equal(Number((await server.request('GET', `/api/products/${mirror.id}`)).body.price), 899);
+
+        const category = await bulk('category', { ids, category: 'Furniture' });
+        assert.equal(category.status, 200);
+
+        // A draft can't be sold, so none of them are; and nobody else can change the seller's listings
+        const draft = await createListing({ title: `Rug ${tag}`, status: 'draft' });
+        const withDraft = await bulk('status', { ids: [...ids, draft.id], status: 'sold' });
+        assert.equal(withDraft.status, 409);
+        assert.equal(withDraft.body.code, 'bulk_action_failed');
+        assert.deepEqual(withDraft.body.results.map(result => result.ok), [true, true, false]);
+        assert.equal((await server.request('GET', `/api/products/${lamp.id}`)).body.status, 'active');
+        assert.equal((await bulk('status', { ids, status: 'sold' }, buyer.token)).status, 409);
+
+        const sold = await bulk('status', { ids, status: 'sold' });
+        assert.equal(sold.status, 200);
+        const lampSold = (await server.request('GET', `/api/products/${lamp.id}`)).body;
+        assert.equal(lampSold.status, 'sold');
+        assert.equal(lampSold.category, 'Furniture');
+
+        assert.equal((await bulk('price', { ids, percent: -100 })).status, 400);
+        assert.equal((await bulk('delete', { ids: [] })).status, 400);
+
+        const remove = await bulk('delete', { ids: [...ids, draft.id] });
+        assert.equal(remove.status, 200);
+        assert.equal((await server.request('GET', `/api/products/${mirror.id}`, { token: seller.token })).status, 404);
+    });
+
+    it('exports listings as CSV and imports a spreadsheet after a dry run', async () => {
+        await createListing({ title: `Printer, "as new" ${tag}`, price: 5000 });
+        const exported = await server.request('GET', '/api/products/export', { token: seller.token });
+        assert.equal(exported.status, 200);
+        assert.match(exported.headers.get('content-type'), /^text\/csv/);
+        assert.match(exported.headers.get('content-disposition'), /attachment; filename="my-listings-/);
+        assert.ok(exported.body.includes(`"Printer, ""as new"" ${tag}",5000.00,Electronics`));
+
+        const importForm = (csv, dryRun) => {
+            const form = new FormData();
+            form.append('file', new Blob([csv], { type: 'text/csv' }), 'listings.csv');
+            if (dryRun) form.append('dry_run', 'true');
+            return form;
+        };
+        const csv = [
+            'Title,Price,Category,Description,Location,Status',
+            `Novel ${tag},300,Books,A paperback in good condition.,Library,`,
+            `Stool ${tag},free,Furniture,Wooden stool with three legs.,Hostel C,sold`,
+            `Kettle ${tag},900,Other,Electric kettle, boils fast.,Hostel C,draft`
+        ].join('\n');
+
+        const preview = await server.request('POST', '/api/products/import', { token: seller.token, body: importForm(csv, true) });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.invalid, 2);
+        assert.deepEqual(preview.body.rows.map(row => row.row), [2, 3, 4]);
+        assert.deepEqual(Object.keys(preview.body.rows[1].errors), ['price']);
+        assert.equal(preview.body.rows[1].values.status, 'draft'); // Sold listings from an export come back as drafts
+        assert.deepEqual(Object.keys(preview.body.rows[2].errors), ['status']); // The unquoted comma shifted the columns
+        assert.equal(preview.body.quota.limit, 1000);
+        assert.equal(preview.body.quota.over, 0);
+
+        const rejected = await server.request('POST', '/api/products/import', { token: seller.token, body: importForm(csv) });
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.body.code, 'import_failed');
+        const search = await server.request('GET', `/api/products?q=${encodeURIComponent(`Novel ${tag}`)}`);
+        assert.equal(search.body.pagination.total, 0);
+
+        const fixed = csv.split('\n').slice(0, 2).concat(`Kettle ${tag},900,Other,"Electric kettle, boils fast.",Hostel C,draft`).join('\n');
+        const imported = await server.request('POST', '/api/products/import', { token: seller.token, body: importForm(fixed) });
+        assert.equal(imported.status, 201);
+        assert.deepEqual(imported.body.products.map(product => product.status), ['active', 'draft']);
+        const novel = (await server.request('GET', `/api/products/${imported.body.products[0].id}`)).body;
+        assert.equal(novel.title, `Novel ${tag}`);
+        assert.equal(Number(novel.price), 300);
+    });
+
+    it('deletes a listing together with its stored photos', async () => {
+        const product = await createListing({ title: `Kettle ${tag}`, category: 'Other' });
+        const storedFile = path.join(server.uploadDirectory, path.basename(product.image_url));
+        assert.ok(fs.existsSync(storedFile));
+
+        const remove = await server.request('DELETE', `/api/products/${product.id}`, { token: seller.token });
+        assert.equal(remove.status, 200);
+        assert.equal((await server.request('GET', `/api/products/${product.id}`, { token: seller.token })).status, 404);
+
+        // Photos are deleted in the background once the response has gone out
+        for (let attempt = 0; attempt < 20 && fs.existsSync(storedFile); attempt += 1) {
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        assert.equal(fs.existsSync(storedFile), false);
+    });
+});
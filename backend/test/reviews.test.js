@@ -0,0 +1,73 @@
+// Sales and reviews against MySQL: recording a buyer, reviewing once per sale, and a relisted item sold to
+// someone else. Skipped unless TEST_DB_NAME is set (see support/testServer.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PIXEL_PNG, SKIP_WITHOUT_DATABASE, connectTestDatabase, startTestServer, signUp } = require('./support/testServer');
+
+describe('sales and reviews', { skip: SKIP_WITHOUT_DATABASE }, () => {
+    let db;
+    let server;
+    let seller;
+    let firstBuyer;
+    let secondBuyer;
+
+    const createListing = async () => {
+        const form = new FormData();
+        Object.entries({ title: 'Desk lamp with bulb', price: 800, category: 'Furniture', description: 'Bright LED lamp, works perfectly.', location: 'Hostel B' })
+            .forEach(([field, value]) => form.append(field, String(value)));
+        form.append('images', new Blob([PIXEL_PNG], { type: 'image/png' }), 'photo.png');
+        const { status, body } = await server.request('POST', '/api/products', { token: seller.token, body: form });
+        assert.equal(status, 201, JSON.stringify(body));
+        return body.product;
+    };
+
+    // The buyer messages the seller (which makes them a sale candidate) and the seller records the sale to them
+    const sellTo = async (product, buyer) => {
+        const conversation = await server.request('POST', '/api/conversations', { token: buyer.token, body: { product_id: product.id, message: 'Is it still available?' } });
+        assert.ok([200, 201].includes(conversation.status), JSON.stringify(conversation.body));
+        const sale = await server.request('POST', `/api/products/${product.id}/sale`, { token: seller.token, body: { buyer_id: buyer.id } });
+        assert.equal(sale.status, 200, JSON.stringify(sale.body));
+    };
+
+    const review = (product, buyer, rating) => server.request('POST', `/api/products/${product.id}/review`, { token: buyer.token, body: { rating } });
+
+    before(async () => {
+        db = await connectTestDatabase();
+        server = await startTestServer({ db, env: { RATE_LIMIT_SIGNUP_IP_MAX: '1000' } });
+        seller = await signUp(server, { name: 'Kevin Otieno', label: 'seller' });
+        firstBuyer = await signUp(server, { name: 'Faith Njeri', label: 'buyer' });
+        secondBuyer = await signUp(server, { name: 'Dennis Mutua', label: 'buyer' });
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (db) await db.end();
+    });
+
+    it('lets each buyer of a relisted item review their own purchase once', async () => {
+        const product = await createListing();
+        await sellTo(product, firstBuyer);
+
+        // Relisting before the first buyer reviews must not cost them their review
+        const relist = await server.request('POST', `/api/products/${product.id}/status`, { token: seller.token, body: { status: 'active' } });
+        assert.equal(relist.status, 200);
+        await sellTo(product, secondBuyer);
+
+        for (const buyer of [firstBuyer, secondBuyer]) {
+            const pending = await server.request('GET', '/api/reviews/pending', { token: buyer.token });
+            assert.deepEqual(pending.body.map(purchase => purchase.id), [product.id]);
+        }
+
+        assert.equal((await review(product, secondBuyer, 5)).status, 201);
+        assert.equal((await review(product, firstBuyer, 4)).status, 201);
+        assert.equal((await review(product, firstBuyer, 3)).status, 409);
+        assert.equal((await review(product, seller, 1)).status, 403);
+
+        const reviews = await server.request('GET', `/api/users/${seller.id}/reviews`);
+        assert.deepEqual(reviews.body.map(({ reviewer_id, rating }) => ({ reviewer_id, rating })), [
+            { reviewer_id: firstBuyer.id, rating: 4 },
+            { reviewer_id: secondBuyer.id, rating: 5 }
+        ]);
+        assert.deepEqual((await server.request('GET', '/api/reviews/pending', { token: firstBuyer.token })).body, []);
+    });
+});
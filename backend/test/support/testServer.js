@@ -0,0 +1,131 @@
+// Shared setup for the integration tests: runs createApp() on a random local port with local-disk image storage
+// in a temporary directory and a mailer that keeps messages in memory, and talks to it with fetch().
+//
+// Tests that need MySQL use connectTestDatabase(), which migrates the database named by TEST_DB_NAME (host, port,
+// user and password come from DB_HOST, DB_PORT, DB_USER and DB_PASSWORD as usual) and resolves with a pool.
+// Point it at an empty scratch database: the tests add users and listings to it and never clean them up, so every
+// run uses fresh email addresses. Without TEST_DB_NAME those suites are skipped; CI runs them against a MySQL
+// service (.github/workflows/backend-tests.yml, and see README.md for running them locally).
+
+// DB_* settings for connectTestDatabase() may come from .env, like for the server
+require('dotenv').config();
+
+// Keep request logs out of the test output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('../../db/config');
+const { migrateUp } = require('../../db/migrate');
+const { loadConfig } = require('../../config');
+const { createLocalStorage } = require('../../storage/localStorage');
+const { createApp } = require('../../createApp');
+
+const TEST_DATABASE = process.env.TEST_DB_NAME;
+const SKIP_WITHOUT_DATABASE = TEST_DATABASE ? false : 'set TEST_DB_NAME to run the tests that need MySQL';
+
+// A 1x1 transparent PNG, for upload tests
+const PIXEL_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+// Stand-in for the MySQL pool when a test must not reach a database: every query fails like an outage would
+const createUnavailableDatabase = () => {
+    const fail = async () => {
+        const error = new Error('connect ECONNREFUSED (no database in this test)');
+        error.code = 'ECONNREFUSED';
+        throw error;
+    };
+    return { execute: fail, query: fail, getConnection: fail, end: async () => {} };
+};
+
+async function connectTestDatabase() {
+    const pool = mysql.createPool({ ...dbConfig, database: TEST_DATABASE, connectionLimit: 5 });
+    await migrateUp(pool, () => {});
+    return pool;
+}
+
+// Mailer that records every message in `sent` instead of delivering it
+const createOutbox = () => {
+    const sent = [];
+    return {
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        },
+        // The newest message to an address, e.g. to pick a verification link out of it
+        lastTo: (address) => [...sent].reverse().find(message => message.to === address)
+    };
+};
+
+// Start the app on a random port. env overrides settings as loadConfig() would read them from the environment.
+async function startTestServer({ db = createUnavailableDatabase(), env = {} } = {}) {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'campus-marketplace-test-'));
+    const storage = createLocalStorage({ directory: uploadDirectory, baseUrl });
+    const mailer = createOutbox();
+    const config = loadConfig({ JWT_SECRET: 'test-secret', BASE_URL: baseUrl, ...env });
+
+    const app = createApp({ db, storage, config, mailer });
+    server.on('request', app);
+
+    // fetch() wrapper: JSON bodies are sent as JSON, FormData as multipart; resolves with { status, headers, body }
+    const request = async (method, urlPath, { token, body, headers = {} } = {}) => {
+        const options = { method, headers: { ...headers } };
+        if (token) options.headers.Authorization = `Bearer ${token}`;
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+
+        const response = await fetch(`${baseUrl}${urlPath}`, options);
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+
+    const close = async () => {
+        app.locals.expiryJob.stop();
+        app.locals.events.close();
+        server.closeAllConnections(); // fetch() keeps connections alive, which would hold close() up
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(uploadDirectory, { recursive: true, force: true });
+    };
+
+    return { app, baseUrl, uploadDirectory, mailer, request, close };
+}
+
+// A unique address per call, so runs against the same database never collide
+const uniqueEmail = (label) => `${label}.${crypto.randomUUID().slice(0, 8)}@example.com`;
+
+// Sign up through the API and, unless verified is false, follow the emailed verification link
+async function signUp(testServer, { name = 'Test User', password = 'secret123', verified = true, label = 'user' } = {}) {
+    const email = uniqueEmail(label);
+    const signup = await testServer.request('POST', '/api/signup', { body: { name, email, password } });
+    if (signup.status !== 201) throw new Error(`Signup failed with ${signup.status}: ${JSON.stringify(signup.body)}`);
+
+    if (verified) {
+        const [, token] = testServer.mailer.lastTo(email).text.match(/verify_token=(\w+)/);
+        const verify = await testServer.request('POST', '/api/email/verify', { body: { token } });
+        if (verify.status !== 200) throw new Error(`Verification failed with ${verify.status}: ${JSON.stringify(verify.body)}`);
+    }
+
+    return { ...signup.body.user, email, password, token: signup.body.token, refresh_token: signup.body.refresh_token };
+}
+
+module.exports = {
+    PIXEL_PNG,
+    SKIP_WITHOUT_DATABASE,
+    createUnavailableDatabase,
+    connectTestDatabase,
+    startTestServer,
+    uniqueEmail,
+    signUp
+};
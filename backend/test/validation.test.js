@@ -0,0 +1,38 @@
+// The validation rules shared with the frontend (validation/index.mjs) and the CommonJS copy the API loads.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { SOURCE, TARGET, toCommonJs } = require('../validation/build');
+const { listingRules, signupRules, validate } = require('../validation');
+
+describe('validation', () => {
+    it('has a CommonJS copy that matches index.mjs (run npm run build:validation after editing it)', () => {
+        assert.equal(fs.readFileSync(TARGET, 'utf8'), toCommonJs(fs.readFileSync(SOURCE, 'utf8')));
+    });
+
+    it('cleans up valid input', () => {
+        const { values, errors } = validate(listingRules, {
+            title: '  Desk lamp ',
+            price: '650',
+            category: 'Furniture',
+            description: 'Bright LED lamp, works perfectly.',
+            location: 'Hostel B',
+            contact_number: '0712 345 678'
+        });
+        assert.deepEqual(errors, {});
+        assert.equal(values.title, 'Desk lamp');
+        assert.equal(values.price, 650);
+        assert.equal(values.contact_number, '254712345678');
+    });
+
+    it('only checks the fields sent in a partial update, and empties optional ones', () => {
+        const { values, errors } = validate(listingRules, { price: 'cheap', contact_number: '' }, { partial: true });
+        assert.deepEqual(Object.keys(errors), ['price']);
+        assert.deepEqual(values, { contact_number: null });
+    });
+
+    it('keeps passwords as typed, within the bcrypt limit', () => {
+        assert.deepEqual(validate({ password: signupRules.password }, { password: ' secret ' }).values, { password: ' secret ' });
+        assert.ok(validate({ password: signupRules.password }, { password: 'x'.repeat(73) }).errors.password);
+    });
+});
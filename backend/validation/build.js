@@ -0,0 +1,26 @@
+// Writes index.js, the CommonJS copy of index.mjs that the API loads with require(). index.mjs is the source:
+// edit it, then run `npm run build:validation` and commit both files (test/validation.test.js checks they match).
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, 'index.mjs');
+const TARGET = path.join(__dirname, 'index.js');
+
+// Helper function to turn the ES module's text into CommonJS: `export const` becomes `const`, gathered into module.exports
+function toCommonJs(source) {
+    const names = [...source.matchAll(/^export const (\w+)/gm)].map(match => match[1]);
+    const body = source.replace(/^export const /gm, 'const ');
+    return [
+        '// GENERATED from index.mjs by build.js - do not edit.',
+        body.trimEnd(),
+        '',
+        `module.exports = { ${names.join(', ')} };`,
+        ''
+    ].join('\n');
+}
+
+if (require.main === module) {
+    fs.writeFileSync(TARGET, toCommonJs(fs.readFileSync(SOURCE, 'utf8')));
+}
+
+module.exports = { SOURCE, TARGET, toCommonJs };
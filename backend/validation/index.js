@@ -0,0 +1,92 @@
+// GENERATED from index.mjs by build.js - do not edit.
+// Validation rules for listings and accounts, shared by the API and the React forms.
+//
+// Each rule set maps a field to what it accepts (label, type, required, minLength/maxLength, min/max, oneOf).
+// validate(rules, input, { partial }) returns { values, errors }: values holds the cleaned-up fields (trimmed
+// text, numbers, phone numbers as 254XXXXXXXXX), errors maps each invalid field to a message for the form.
+// With partial, fields missing from input are left out instead of counting as empty (for edits).
+//
+// This is an ES module so the frontend can import it. The API loads index.js, a CommonJS copy written by build.js.
+
+const LISTING_CATEGORIES = ['Electronics', 'Books', 'Clothing', 'Furniture', 'Other'];
+const MIN_PASSWORD_LENGTH = 6;
+// Most listings a single bulk action (POST /api/products/bulk/*) may change
+const MAX_BULK_ITEMS = 100;
+
+const listingRules = {
+    title: { label: 'Title', required: true, minLength: 3, maxLength: 100 },
+    price: { label: 'Price', type: 'number', required: true, min: 0, max: 10000000 },
+    category: { label: 'Category', required: true, oneOf: LISTING_CATEGORIES },
+    description: { label: 'Description', required: true, minLength: 10, maxLength: 2000 },
+    location: { label: 'Location', required: true, maxLength: 100 },
+    contact_number: { label: 'WhatsApp number', type: 'phone' }
+};
+
+const signupRules = {
+    name: { label: 'Name', required: true, maxLength: 100 },
+    email: { label: 'Email', type: 'email', required: true, maxLength: 255 },
+    password: { label: 'Password', type: 'password', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 72 } // bcrypt ignores anything past 72 bytes
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Kenyan mobile numbers (07XX/01XX, with or without the 254 country code) as 254XXXXXXXXX, or null if it isn't one
+const normalizeKenyanPhone = (number) => {
+    const digits = String(number).replace(/\D/g, '');
+    const local = digits.length === 12 && digits.startsWith('254') ? digits.slice(3)
+        : digits.length === 10 && digits.startsWith('0') ? digits.slice(1)
+            : digits;
+    return /^[17]\d{8}$/.test(local) ? `254${local}` : null;
+};
+
+// Check one non-empty value against its rule; returns { value } or { error }
+const checkValue = (rule, text) => {
+    const { label } = rule;
+
+    if (rule.type === 'number') {
+        const number = Number(text);
+        if (!Number.isFinite(number)) return { error: `${label} must be a number.` };
+        if (rule.min !== undefined && number < rule.min) return { error: `${label} must be at least ${rule.min}.` };
+        if (rule.max !== undefined && number > rule.max) return { error: `${label} must be at most ${rule.max}.` };
+        return { value: number };
+    }
+
+    if (rule.type === 'phone') {
+        const phone = normalizeKenyanPhone(text);
+        return phone ? { value: phone } : { error: `Please enter a valid Kenyan ${label}, e.g. 0712345678 or 254712345678.` };
+    }
+
+    if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return { error: `Please enter a valid ${label.toLowerCase()} address.` };
+    if (rule.minLength !== undefined && text.length < rule.minLength) return { error: `${label} must be at least ${rule.minLength} characters.` };
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) return { error: `${label} must be at most ${rule.maxLength} characters.` };
+    if (rule.oneOf && !rule.oneOf.includes(text)) return { error: `${label} must be one of: ${rule.oneOf.join(', ')}.` };
+    return { value: text };
+};
+
+const validate = (rules, input = {}, { partial = false } = {}) => {
+    const values = {};
+    const errors = {};
+
+    Object.entries(rules).forEach(([field, rule]) => {
+        const raw = input[field];
+        if (partial && raw === undefined) return;
+
+        const text = raw === undefined || raw === null ? '' : String(raw);
+        const trimmed = rule.type === 'password' ? text : text.trim(); // Spaces in a password are deliberate
+        if (trimmed === '') {
+            if (rule.required) errors[field] = `${rule.label} is required.`;
+            else values[field] = null;
+            return;
+        }
+
+        const { value, error } = checkValue(rule, trimmed);
+        if (error) errors[field] = error;
+        else values[field] = value;
+    });
+
+    return { values, errors };
+};
+
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+module.exports = { LISTING_CATEGORIES, MIN_PASSWORD_LENGTH, MAX_BULK_ITEMS, listingRules, signupRules, normalizeKenyanPhone, validate, hasErrors };
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Flag, EyeOff, Users, Search } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+const tabs = [
+    { id: 'reports', label: 'Reported Listings', icon: Flag },
+    { id: 'hidden', label: 'Hidden Listings', icon: EyeOff },
+    { id: 'users', label: 'Users', icon: Users }
+];
+
+// Moderation tools for admins: review reported listings, restore hidden ones and suspend users
+const AdminPanel = ({ onListingsChanged, setError, setNotice }) => {
+    const [activeTab, setActiveTab] = useState('reports');
+    const [reports, setReports] = useState([]);
+    const [hiddenProducts, setHiddenProducts] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [userQuery, setUserQuery] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    // Load the data behind the active tab
+    const loadTab = useCallback(async () => {
+        setLoading(true);
+        try {
+            const path = activeTab === 'reports'
+                ? '/admin/reports'
+                : activeTab === 'hidden'
+                    ? '/admin/products/hidden'
+                    : `/admin/users?q=${encodeURIComponent(userQuery)}`;
+            const response = await authFetch(path);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to load moderation data.');
+            }
+
+            if (activeTab === 'reports') setReports(data);
+            else if (activeTab === 'hidden') setHiddenProducts(data);
+            else setUsers(data);
+        } catch (err) {
+            console.error('Error loading admin data:', err);
+            setError(err.message || 'An error occurred while loading moderation data.');
+        } finally {
+            setLoading(false);
+        }
+    }, [activeTab, userQuery, setError]);
+
+    useEffect(() => {
+        loadTab();
+    }, [loadTab]);
+
+    // POST a moderation action, then reload the tab and the marketplace listings
+    const runAction = async (path, body) => {
+        setError(null);
+        try {
+            const response = await authFetch(path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body || {})
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Moderation action failed.');
+            }
+
+            setNotice(data.message);
+            loadTab();
+            onListingsChanged();
+        } catch (err) {
+            console.error('Error running moderation action:', err);
+            setError(err.message || 'An error occurred while running the moderation action.');
+        }
+    };
+
+    const hideProduct = (productId) => {
+        const reason = window.prompt("Why is this listing being hidden? (shown to the seller)");
+        if (reason === null) return;
+        runAction(`/admin/products/${productId}/hide`, { reason });
+    };
+
+    const suspendUser = (userId) => {
+        const reason = window.prompt("Why is this account being suspended?");
+        if (reason === null) return;
+        runAction(`/admin/users/${userId}/suspend`, { reason });
+    };
+
+    const emptyMessage = (text) => (
+        <p className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm sm:text-base">{text}</p>
+    );
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100 mb-4">Admin</h2>
+
+            <div className="flex flex-wrap gap-2 mb-4 sm:mb-6">
+                {tabs.map(({ id, label, icon: Icon }) => (
+                    <button
+                        key={id}
+                        onClick={() => setActiveTab(id)}
+                        className={`px-3 py-1.5 text-sm rounded-lg flex items-center space-x-1 transition duration-200 ${
+                            activeTab === id
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'
+                        }`}
+                    >
+                        <Icon size={16} />
+                        <span>{label}</span>
+                    </button>
+                ))}
+            </div>
+
+            {activeTab === 'users' && (
+                <div className="relative mb-4">
+                    <Search className="absolute left-3 top-2.5 h-5 w-5 text-gray-400 dark:text-gray-500" />
+                    <input
+                        type="text"
+                        placeholder="Search users by name or email..."
+                        value={userQuery}
+                        onChange={(e) => setUserQuery(e.target.value)}
+                        className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                    />
+                </div>
+            )}
+
+            {loading ? (
+                emptyMessage('Loading...')
+            ) : activeTab === 'reports' ? (
+                reports.length === 0 ? emptyMessage('No open reports. All clear!') : (
+                    <ul className="space-y-3">
+                        {reports.map(product => (
+                            <li key={product.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 sm:p-4">
+                                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start space-y-2 sm:space-y-0">
+                                    <div>
+                                        <p className="font-semibold text-gray-900 dark:text-gray-100">{product.title}</p>
+                                        <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                                            KSh {product.price} &middot; by {product.seller_name} &middot; {product.report_count} {product.report_count === 1 ? 'report' : 'reports'}
+                                        </p>
+                                    </div>
+                                    <div className="flex space-x-2">
+                                        <button
+                                            onClick={() => hideProduct(product.id)}
+                                            className="text-red-600 hover:text-red-800 dark:hover:text-red-400 font-medium px-2 py-1 rounded-md border border-red-600 dark:border-red-500 text-xs sm:text-sm transition duration-200"
+                                        >
+                                            Hide Listing
+                                        </button>
+                                        <button
+                                            onClick={() => runAction(`/admin/reports/${product.id}/dismiss`)}
+                                            className="text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100 font-medium px-2 py-1 rounded-md border border-gray-400 text-xs sm:text-sm transition duration-200"
+                                        >
+                                            Dismiss
+                                        </button>
+                                    </div>
+                                </div>
+                                <ul className="mt-2 space-y-1 text-xs sm:text-sm text-gray-600 dark:text-gray-300">
+                                    {product.reports.map(report => (
+                                        <li key={report.id}>
+                                            <span className="font-medium">{report.reporter_name}:</span> {report.reason}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </li>
+                        ))}
+                    </ul>
+                )
+            ) : activeTab === 'hidden' ? (
+                hiddenProducts.length === 0 ? emptyMessage('No hidden listings.') : (
+                    <ul className="space-y-3">
+                        {hiddenProducts.map(product => (
+                            <li key={product.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 sm:p-4 flex flex-col sm:flex-row sm:justify-between sm:items-center space-y-2 sm:space-y-0">
+                                <div>
+                                    <p className="font-semibold text-gray-900 dark:text-gray-100">{product.title}</p>
+                                    <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                                        by {product.seller_name} &middot; hidden {new Date(product.hidden_at).toLocaleDateString()}
+                                        {product.hidden_reason && <> &middot; {product.hidden_reason}</>}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => runAction(`/admin/products/${product.id}/restore`)}
+                                    className="bg-green-500 text-white font-medium px-2 py-1 rounded-md border border-green-500 hover:bg-green-600 text-xs sm:text-sm transition duration-200"
+                                >
+                                    Restore
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )
+            ) : (
+                users.length === 0 ? emptyMessage('No users found.') : (
+                    <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+                        <table className="min-w-full bg-white dark:bg-gray-800">
+                            <thead>
+                                <tr className="bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 uppercase text-xs sm:text-sm leading-normal">
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">User</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Listings</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Status</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="text-gray-700 dark:text-gray-200 text-xs sm:text-sm font-light">
+                                {users.map(user => (
+                                    <tr key={user.id} className="border-b border-gray-200 dark:border-gray-700">
+                                        <td className="py-2 px-3 sm:py-3 sm:px-6 text-left">
+                                            <p className="font-medium">{user.name}</p>
+                                            <p className="text-gray-500 dark:text-gray-400">{user.email}</p>
+                                        </td>
+                                        <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">{user.product_count}</td>
+                                        <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
+                                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                                                user.suspended_at ? 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200'
+                                                    : user.role === 'admin' ? 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+                                                        : 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+                                            }`}>
+                                                {user.suspended_at ? 'Suspended' : user.role === 'admin' ? 'Admin' : 'Active'}
+                                            </span>
+                                        </td>
+                                        <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
+                                            {user.role !== 'admin' && (user.suspended_at ? (
+                                                <button
+                                                    onClick={() => runAction(`/admin/users/${user.id}/unsuspend`)}
+                                                    className="bg-green-500 text-white font-medium px-2 py-1 rounded-md border border-green-500 hover:bg-green-600 text-xs sm:text-sm transition duration-200"
+                                                >
+                                                    Reinstate
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    onClick={() => suspendUser(user.id)}
+                                                    className="text-red-600 hover:text-red-800 dark:hover:text-red-400 font-medium px-2 py-1 rounded-md border border-red-600 dark:border-red-500 text-xs sm:text-sm transition duration-200"
+                                                >
+                                                    Suspend
+                                                </button>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )
+            )}
+        </div>
+    );
+};
+
+export default AdminPanel;
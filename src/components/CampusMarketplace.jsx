@@ -1,867 +1,2080 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Plus, User, LogOut, Edit, Trash2, Check, X, MapPin, Sun, Moon } from 'lucide-react';
-import UserDashboard from './UserDashboard'; // Ensure this path is correct
-import { useDarkMode } from '../contexts/DarkModeContext.jsx'; // Corrected path and extension
-
-const API_BASE_URL = 'https://chuka-black-market.onrender.com/api'; // Define your backend API base URL
-
-const CampusMarketplace = () => {
-    const [currentUser, setCurrentUser] = useState(null);
-    const [showAuth, setShowAuth] = useState(false);
-    const [authMode, setAuthMode] = useState('login');
-    const [showAddItem, setShowAddItem] = useState(false);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [selectedCategory, setSelectedCategory] = useState('all');
-    const [editingItem, setEditingItem] = useState(null);
-    const [items, setItems] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null); // Centralized error state
-
-    const { darkMode, toggleDarkMode } = useDarkMode(); // Use the dark mode hook
-
-    const categories = ['all', 'Electronics', 'Books', 'Clothing', 'Furniture', 'Other'];
-
-    // Auth form data
-    const [authData, setAuthData] = useState({
-        email: '',
-        password: '',
-        name: ''
-    });
-
-    // Add item form data - image_file for upload, location added
-    const [newItem, setNewItem] = useState({
-        title: '',
-        price: '',
-        category: 'Electronics',
-        description: '',
-        image_file: null,
-        contact_number: '',
-        location: ''
-    });
-
-    // Edit item form data - image_file for new upload, location added
-    const [editForm, setEditForm] = useState({
-        title: '',
-        price: '',
-        category: 'Electronics',
-        description: '',
-        image_file: null,
-        current_image_url: '',
-        contact_number: '',
-        location: '',
-        sold: false
-    });
-
-    // Effect to load user from localStorage on initial render
-    useEffect(() => {
-        const storedUser = localStorage.getItem('currentUser');
-        const storedToken = localStorage.getItem('token');
-        if (storedUser && storedToken) {
-            setCurrentUser(JSON.parse(storedUser));
-        }
-    }, []);
-
-    // Effect to fetch products from the backend
-    useEffect(() => {
-        const fetchProducts = async () => {
-            setLoading(true);
-            setError(null);
-            try {
-                const response = await fetch(`${API_BASE_URL}/products`);
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-                }
-                const data = await response.json();
-                setItems(data);
-            } catch (err) {
-                console.error("Failed to fetch products:", err);
-                setError("Failed to load products. Please ensure the backend server is running and accessible. Error: " + err.message);
-            } finally {
-                setLoading(false);
-            }
-        };
-
-        fetchProducts();
-    }, []);
-
-    // Helper function to format phone number for WhatsApp
-    const formatPhoneNumberForWhatsApp = (number) => {
-        if (!number) return '';
-        let cleaned = number.replace(/\D/g, '');
-
-        if (cleaned.startsWith('07') && cleaned.length === 10) {
-            cleaned = '254' + cleaned.substring(1);
-        } else if (cleaned.length === 9 && !cleaned.startsWith('254')) {
-            cleaned = '254' + cleaned;
-        } else if (cleaned.length === 12 && cleaned.startsWith('254')) {
-            // Already good
-        } else if (cleaned.startsWith('254')) {
-            // Already good
-        }
-
-        if (cleaned.length < 9 || cleaned.length > 12) {
-             return null;
-        }
-
-        return cleaned;
-    };
-
-    // Filter items based on search term and selected category
-    const filteredItems = items.filter(item => {
-        const matchesSearch = item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            item.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            (item.location && item.location.toLowerCase().includes(searchTerm.toLowerCase()));
-        const matchesCategory = selectedCategory === 'all' || item.category === selectedCategory;
-        return matchesSearch && matchesCategory;
-    });
-
-    // Get user's items
-    const userItems = currentUser
-        ? items.filter(item => item.seller_id === currentUser.id)
-        : [];
-
-    // Helper function to get auth headers (only for non-multipart/form-data requests)
-    const getAuthHeaders = () => {
-        const token = localStorage.getItem('token');
-        return {
-            'Content-Type': 'application/json',
-            'Authorization': token ? `Bearer ${token}` : ''
-        };
-    };
-
-    // Handle authentication (login/signup)
-    const handleAuth = async (e) => {
-        e.preventDefault();
-        setError(null);
-        const endpoint = authMode === 'login' ? 'login' : 'signup';
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(authData)
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || `Failed to ${endpoint}`);
-            }
-
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('currentUser', JSON.stringify(data.user));
-            setCurrentUser(data.user);
-            setShowAuth(false);
-            setAuthData({ email: '', password: '', name: '' });
-
-            const productsResponse = await fetch(`${API_BASE_URL}/products`);
-            const productsData = await productsResponse.json();
-            setItems(productsData);
-
-        } catch (err) {
-            console.error(`Error during ${endpoint}:`, err);
-            setError(err.message || `An error occurred during ${endpoint}.`);
-        }
-    };
-
-    // Handle user logout
-    const handleLogout = () => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('currentUser');
-        setCurrentUser(null);
-    };
-
-    // Handle adding a new item
-    const handleAddItem = async (e) => {
-        e.preventDefault();
-        setError(null);
-        if (!currentUser) {
-            setError("You must be logged in to add an item.");
-            return;
-        }
-
-        if (!newItem.title || !newItem.price || !newItem.description || !newItem.contact_number || !newItem.location) {
-            setError("Please fill in all required fields (Title, Price, Description, Contact Number, Location).");
-            return;
-        }
-
-        const formattedContactNumber = formatPhoneNumberForWhatsApp(newItem.contact_number);
-        if (!formattedContactNumber) {
-            setError("Please enter a valid WhatsApp number (e.g., 0712345678 or 254712345678).");
-            return;
-        }
-
-        const formData = new FormData();
-        formData.append('title', newItem.title);
-        formData.append('price', newItem.price);
-        formData.append('category', newItem.category);
-        formData.append('description', newItem.description);
-        formData.append('contact_number', formattedContactNumber);
-        formData.append('location', newItem.location);
-        if (newItem.image_file) {
-            formData.append('image_file', newItem.image_file);
-        }
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/products`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                },
-                body: formData
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || 'Failed to add item.');
-            }
-
-            const productsResponse = await fetch(`${API_BASE_URL}/products`);
-            const productsData = await productsResponse.json();
-            setItems(productsData);
-
-            setNewItem({ title: '', price: '', category: 'Electronics', description: '', image_file: null, contact_number: '', location: '' });
-            setShowAddItem(false);
-        } catch (err) {
-            console.error('Error adding product:', err);
-            setError(err.message || 'An error occurred while adding the product.');
-        }
-    };
-
-    // When opening the edit modal, populate the editForm state with the current item's data
-    const startEditingItem = (item) => {
-        setEditingItem(item);
-        setEditForm({
-            title: item.title,
-            price: item.price,
-            category: item.category,
-            description: item.description,
-            image_file: null,
-            current_image_url: item.image_url,
-            contact_number: item.contact_number,
-            location: item.location,
-            sold: item.sold
-        });
-    };
-
-    // Handle editing an existing item
-    const handleEditItem = async (e) => {
-        e.preventDefault();
-        setError(null);
-
-        if (!editForm.title || !editForm.price || !editForm.description || !editForm.contact_number || !editForm.location) {
-            setError("Please fill in all required fields (Title, Price, Description, Contact Number, Location).");
-            return;
-        }
-
-        const formattedContactNumber = formatPhoneNumberForWhatsApp(editForm.contact_number);
-        if (!formattedContactNumber) {
-            setError("Please enter a valid WhatsApp number (e.g., 0712345678 or 254712345678).");
-            return;
-        }
-
-        const formData = new FormData();
-        formData.append('title', editForm.title);
-        formData.append('price', editForm.price);
-        formData.append('category', editForm.category);
-        formData.append('description', editForm.description);
-        formData.append('contact_number', formattedContactNumber);
-        formData.append('location', editForm.location);
-        formData.append('sold', editForm.sold);
-        if (editForm.image_file) {
-            formData.append('image_file', editForm.image_file);
-        }
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/products/${editingItem.id}`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                },
-                body: formData
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || 'Failed to update item.');
-            }
-
-            const productsResponse = await fetch(`${API_BASE_URL}/products`);
-            const productsData = await productsResponse.json();
-            setItems(productsData);
-
-            setEditingItem(null);
-        } catch (err) {
-            console.error('Error updating product:', err);
-            setError(err.message || 'An error occurred while updating the product.');
-        }
-    };
-
-    // Handle deleting an item
-    const handleDeleteItem = async (id) => {
-        setError(null);
-        if (!window.confirm("Are you sure you want to delete this item?")) {
-            return;
-        }
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/products/${id}`, {
-                method: 'DELETE',
-                headers: getAuthHeaders()
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || 'Failed to delete item.');
-            }
-
-            const productsResponse = await fetch(`${API_BASE_URL}/products`);
-            const productsData = await productsResponse.json();
-            setItems(productsData);
-
-        } catch (err) {
-            console.error('Error deleting product:', err);
-            setError(err.message || 'An error occurred while deleting the product.');
-        }
-    };
-
-    // Handle marking an item as sold/available
-    const handleMarkSold = async (id) => {
-        setError(null);
-        const itemToToggle = items.find(item => item.id === id);
-        if (!itemToToggle) return;
-
-        // Prepare a JSON payload with the updated 'sold' status
-        // IMPORTANT: Include all fields that your backend's PUT/update endpoint expects as required,
-        // even if they are not changing, as many APIs require a full object for updates.
-        const payload = {
-            title: itemToToggle.title,
-            price: itemToToggle.price,
-            category: itemToToggle.category,
-            description: itemToToggle.description,
-            contact_number: itemToToggle.contact_number,
-            location: itemToToggle.location,
-            sold: !itemToToggle.sold, // This is the only field we're logically changing
-            image_url: itemToToggle.image_url // Make sure this property exists on itemToToggle if your backend expects it
-        };
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/products/${id}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json', // Crucial: Set Content-Type for JSON
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
-                },
-                body: JSON.stringify(payload) // Send JSON string
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                console.error("Server error response data:", data); // Log for debugging
-                throw new Error(data.message || `Failed to update item status. Server responded with: ${response.status}`);
-            }
-
-            // After successful update, re-fetch all products to get the latest state
-            const productsResponse = await fetch(`${API_BASE_URL}/products`);
-            const productsData = await productsResponse.json();
-            setItems(productsData);
-
-        } catch (err) {
-            console.error('Error marking product sold/available:', err);
-            setError(err.message || 'An error occurred while updating the product status.');
-        }
-    };
-
-    // Function to open WhatsApp chat with seller
-    const handleContactSeller = (itemTitle, sellerContact) => {
-        const cleanContact = sellerContact.replace(/\D/g, '');
-        const message = encodeURIComponent(`Hey, is the "${itemTitle}" you're selling still available? I saw it on Chuka Black Market.`);
-        const whatsappUrl = `https://wa.me/${cleanContact}?text=${message}`;
-        window.open(whatsappUrl, '_blank');
-    };
-
-    return (
-        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 font-sans text-gray-900 dark:text-gray-100 transition-colors duration-300">
-            {/* Header section */}
-            <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
-                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                    {/* Main header row - Always flex-row to keep logo and actions on same line */}
-                    <div className="flex justify-between items-center h-16 py-3"> {/* Adjusted classes here */}
-                        {/* Logo/Title */}
-                        <div className="flex items-center">
-                            <h1 className="text-xl sm:text-2xl font-bold text-blue-600 dark:text-blue-400">Chuka Black Market</h1>
-                        </div>
-
-                        {/* User actions / Auth & Dark Mode Toggle - Always flex-row */}
-                        <div className="flex items-center space-x-2 sm:space-x-4"> {/* Adjusted classes here */}
-                            {/* Dark Mode Toggle */}
-                            <button
-                                onClick={toggleDarkMode}
-                                className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200 ease-in-out"
-                                title={darkMode ? "Switch to Light Mode" : "Switch to Dark Mode"}
-                            >
-                                {darkMode ? (
-                                    <Sun size={20} className="text-yellow-400" />
-                                ) : (
-                                    <Moon size={20} className="text-gray-600" />
-                                )}
-                            </button>
-
-                            {currentUser ? (
-                                <>
-                                    <button
-                                        onClick={() => setShowAddItem(true)}
-                                        className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 w-auto"
-                                        title="Sell a New Item"
-                                    >
-                                        <Plus size={18}  /> {/* Adjusted icon sizing */}
-                                        <span className="hidden sm:inline">Sell Item</span> {/* Hide text on smallest screens */}
-                                    </button>
-                                    <div className="flex items-center space-x-2 w-auto justify-center">
-                                        <User size={18} className="text-gray-600 dark:text-gray-300 " />
-                                        <span className="text-gray-700 dark:text-gray-200 font-medium text-sm sm:text-base truncate max-w-[70px] sm:max-w-[120px]">{currentUser.name}</span> {/* Smaller max-w for name */}
-                                        <button
-                                            onClick={handleLogout}
-                                            className="text-red-600 hover:text-red-700 dark:hover:text-red-500 transition duration-200 ease-in-out transform hover:scale-105 p-1"
-                                            title="Logout"
-                                        >
-                                            <LogOut size={18}  />
-                                        </button>
-                                    </div>
-                                </>
-                            ) : (
-                                <div className="flex items-center space-x-2">
-                                    <button
-                                        onClick={() => setShowAuth(true)}
-                                        className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105"
-                                        title="Login or Sign Up"
-                                    >
-                                        Login / Sign Up
-                                    </button>
-                                    {/* The info text is now hidden on all but large screens to save space */}
-                                    <p className="text-gray-600 dark:text-gray-400 text-xs hidden lg:block">
-                                        (Sign up or Login to list your items!)
-                                    </p>
-                                </div>
-                            )}
-                        </div>
-                    </div>
-                </div>
-            </header>
-
-            {/* Main content area */}
-            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
-                {/* Error message display */}
-                {error && (
-                    <div className="bg-red-100 dark:bg-red-900 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg relative mb-6 text-sm sm:text-base" role="alert">
-                        <strong className="font-bold">Error!</strong>
-                        <span className="block sm:inline"> {error}</span>
-                        <span className="absolute top-0 bottom-0 right-0 px-4 py-3">
-                            <X size={10} className="cursor-pointer" onClick={() => setError(null)} />
-                        </span>
-                    </div>
-                )}
-
-                {/* Search and Filter section */}
-                <div className="mb-6 sm:mb-8">
-                    <div className="flex flex-col md:flex-row gap-3 sm:gap-4 mb-4 sm:mb-6">
-                        <div className="flex-1 relative">
-                            <Search className="absolute left-3 top-2.5 h-5 w-5 text-gray-400 dark:text-gray-500" />
-                            <input
-                                type="text"
-                                placeholder="Search items by title, description, or location..."
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
-                                className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm sm:text-base dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
-                            />
-                        </div>
-                        <select
-                            value={selectedCategory}
-                            onChange={(e) => setSelectedCategory(e.target.value)}
-                            className="w-full md:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm sm:text-base dark:text-gray-100"
-                        >
-                            {categories.map(category => (
-                                <option key={category} value={category} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
-                                    {category === 'all' ? 'All Categories' : category}
-                                </option>
-                            ))}
-                        </select>
-                    </div>
-                </div>
-
-                {/* User Dashboard - Only rendered if currentUser exists */}
-                {currentUser && (
-                    <UserDashboard
-                        currentUser={currentUser}
-                        userItems={userItems}
-                        setEditingItem={startEditingItem}
-                        handleDeleteItem={handleDeleteItem}
-                        handleMarkSold={handleMarkSold}
-                        setShowAddItem={setShowAddItem}
-                    />
-                )}
-
-                {/* All Available Items Grid */}
-                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100 mb-4 sm:mb-6">Available Items</h2>
-                {loading ? (
-                    <div className="text-center py-6 sm:py-12 col-span-full">
-                        <p className="text-gray-500 dark:text-gray-400 text-base sm:text-lg">Loading items...</p>
-                    </div>
-                ) : filteredItems.length > 0 ? (
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 sm:gap-6">
-                        {filteredItems.map(item => (
-                            <div key={item.id} className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden hover:shadow-lg transition-shadow duration-300">
-                                <div className="relative">
-                                    <img
-                                        src={item.image_url || `https://placehold.co/300x200/cccccc/333333/ffffff/ffffff?text=No+Image`}
-                                        alt={item.title}
-                                        className="w-full h-40 sm:h-48 object-cover"
-                                        onError={(e) => { e.target.onerror = null; e.target.src = `https://placehold.co/300x200/cccccc/333333/ffffff/ffffff?text=No+Image`; }}
-                                    />
-                                    {item.sold && (
-                                        <div className="absolute top-2 right-2 bg-red-500 text-white px-2 py-0.5 rounded-md text-xs font-semibold">
-                                            SOLD
-                                        </div>
-                                    )}
-                                </div>
-                                <div className="p-3 sm:p-4">
-                                    <h3 className="font-semibold text-base sm:text-lg mb-1 text-gray-900 dark:text-gray-100 truncate">{item.title}</h3>
-                                    <p className="text-xl sm:text-2xl font-bold text-blue-600 dark:text-blue-400 mb-2">KSh {item.price}</p>
-                                    <p className="text-gray-600 dark:text-gray-300 text-xs sm:text-sm mb-2 line-clamp-3">{item.description}</p>
-                                    <div className="flex items-center text-xs sm:text-sm text-gray-500 dark:text-gray-400 mb-2">
-                                        <MapPin size={14} className="mr-1 text-gray-400 dark:text-gray-500" />
-                                        <span>{item.location}</span>
-                                    </div>
-                                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-3 space-y-1 sm:space-y-0">
-                                        <span className="bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 px-2 py-0.5 rounded-full text-xs font-medium">{item.category}</span>
-                                        <span>by <span className="font-medium text-gray-700 dark:text-gray-200">{item.seller_name}</span></span>
-                                    </div>
-                                    {!item.sold && item.contact_number ? (
-                                        <button
-                                            onClick={() => handleContactSeller(item.title, item.contact_number)}
-                                            className="w-full mt-3 sm:mt-4 bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 transition duration-200 ease-in-out transform hover:scale-105 flex items-center justify-center space-x-2 text-sm sm:text-base"
-                                        >
-                                            <img src="https://upload.wikimedia.org/wikipedia/commons/6/6b/WhatsApp.svg" alt="WhatsApp" className="w-4 h-4 sm:w-5 sm:h-5" />
-                                            <span>Contact Seller</span>
-                                        </button>
-                                    ) : (
-                                        !item.sold && !item.contact_number && (
-                                            <p className="w-full mt-3 sm:mt-4 text-center text-gray-500 dark:text-gray-400 text-xs sm:text-sm">Seller contact not available.</p>
-                                        )
-                                    )}
-                                </div>
-                            </div>
-                        ))}
-                    </div>
-                ) : (
-                    <div className="text-center py-6 sm:py-12 col-span-full">
-                        <p className="text-gray-500 dark:text-gray-400 text-base sm:text-lg">No items found matching your search or filters.</p>
-                    </div>
-                )}
-            </main>
-
-            {/* Authentication Modal (Login/Sign Up) */}
-            {showAuth && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
-                        <div className="flex justify-between items-center mb-4">
-                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">
-                                {authMode === 'login' ? 'Login' : 'Sign Up'}
-                            </h2>
-                            <button
-                                onClick={() => setShowAuth(false)}
-                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
-                                title="Close"
-                            >
-                                <X size={18}/>
-                            </button>
-                        </div>
-                        <form onSubmit={handleAuth}>
-                            {authMode === 'signup' && (
-                                <div className="mb-4">
-                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
-                                    <input
-                                        type="text"
-                                        required
-                                        value={authData.name}
-                                        onChange={(e) => setAuthData({ ...authData, name: e.target.value })}
-                                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                    />
-                                </div>
-                            )}
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
-                                <input
-                                    type="email"
-                                    required
-                                    value={authData.email}
-                                    onChange={(e) => setAuthData({ ...authData, email: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-6">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Password</label>
-                                <input
-                                    type="password"
-                                    required
-                                    value={authData.password}
-                                    onChange={(e) => setAuthData({ ...authData, password: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <button
-                                type="submit"
-                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm mb-4"
-                            >
-                                {authMode === 'login' ? 'Login' : 'Sign Up'}
-                            </button>
-                            <p className="text-center text-xs sm:text-sm text-gray-600 dark:text-gray-400">
-                                {authMode === 'login' ? "Don't have an account? " : "Already have an account? "}
-                                <button
-                                    type="button"
-                                    onClick={() => {
-                                        setAuthMode(authMode === 'login' ? 'signup' : 'login');
-                                        setError(null);
-                                    }}
-                                    className="text-blue-600 hover:text-blue-700 dark:hover:text-blue-400 font-medium"
-                                >
-                                    {authMode === 'login' ? 'Sign up' : 'Login'}
-                                </button>
-                            </p>
-                        </form>
-                    </div>
-                </div>
-            )}
-
-            {/* Add Item Modal */}
-            {showAddItem && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
-                        <div className="flex justify-between items-center mb-4">
-                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Add New Item</h2>
-                            <button
-                                onClick={() => setShowAddItem(false)}
-                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
-                                title="Close"
-                            >
-                                <X size={10} className="sm:size-24" />
-                            </button>
-                        </div>
-                        <form onSubmit={handleAddItem}>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
-                                <input
-                                    type="text"
-                                    required
-                                    value={newItem.title}
-                                    onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Price (KSh)</label>
-                                <input
-                                    type="number"
-                                    required
-                                    min="0"
-                                    step="0.01"
-                                    value={newItem.price}
-                                    onChange={(e) => setNewItem({ ...newItem, price: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Category</label>
-                                <select
-                                    required
-                                    value={newItem.category}
-                                    onChange={(e) => setNewItem({ ...newItem, category: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                >
-                                    {categories.filter(c => c !== 'all').map(cat => (
-                                        <option key={cat} value={cat} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">{cat}</option>
-                                    ))}
-                                </select>
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
-                                <textarea
-                                    required
-                                    value={newItem.description}
-                                    onChange={(e) => setNewItem({ ...newItem, description: e.target.value })}
-                                    rows="3"
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none resize-y bg-white dark:bg-gray-700 text-sm"
-                                ></textarea>
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Upload Image</label>
-                                <input
-                                    type="file"
-                                    accept="image/*"
-                                    required
-                                    onChange={(e) => setNewItem({ ...newItem, image_file: e.target.files[0] })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-xs file:font-semibold file:bg-blue-50 file:text-blue-700 file:dark:bg-blue-800 file:dark:text-blue-100 hover:file:bg-blue-100 hover:file:dark:bg-blue-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Location</label>
-                                <input
-                                    type="text"
-                                    required
-                                    value={newItem.location}
-                                    onChange={(e) => setNewItem({ ...newItem, location: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                    placeholder="e.g., Main Campus, Hostel Block B"
-                                />
-                            </div>
-                            <div className="mb-6">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Contact Number (WhatsApp)</label>
-                                <input
-                                    type="tel"
-                                    required
-                                    value={newItem.contact_number}
-                                    onChange={(e) => setNewItem({ ...newItem, contact_number: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                    placeholder="e.g., 0712345678 or 254712345678"
-                                />
-                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Please include country code if not starting with 07.</p>
-                            </div>
-                            <button
-                                type="submit"
-                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm"
-                            >
-                                Add Item
-                            </button>
-                        </form>
-                    </div>
-                </div>
-            )}
-
-            {/* Edit Item Modal */}
-            {editingItem && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
-                        <div className="flex justify-between items-center mb-4">
-                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Edit Item</h2>
-                            <button
-                                onClick={() => setEditingItem(null)}
-                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
-                                title="Close"
-                            >
-                                <X size={10} className="sm:size-24" />
-                            </button>
-                        </div>
-                        <form onSubmit={handleEditItem}>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
-                                <input
-                                    type="text"
-                                    required
-                                    value={editForm.title}
-                                    onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Price (KSh)</label>
-                                <input
-                                    type="number"
-                                    required
-                                    min="0"
-                                    step="0.01"
-                                    value={editForm.price}
-                                    onChange={(e) => setEditForm({ ...editForm, price: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Category</label>
-                                <select
-                                    required
-                                    value={editForm.category}
-                                    onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                >
-                                    {categories.filter(c => c !== 'all').map(cat => (
-                                        <option key={cat} value={cat} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">{cat}</option>
-                                    ))}
-                                </select>
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
-                                <textarea
-                                    required
-                                    value={editForm.description}
-                                    onChange={(e) => setEditForm({ ...editForm, description: e.target.value })}
-                                    rows="3"
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none resize-y bg-white dark:bg-gray-700 text-sm"
-                                ></textarea>
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Current Image</label>
-                                {editForm.current_image_url && (
-                                    <img src={editForm.current_image_url} alt="Current Product" className="w-24 h-24 sm:w-32 sm:h-32 object-cover rounded-md mb-2" />
-                                )}
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Replace Image (Optional)</label>
-                                <input
-                                    type="file"
-                                    accept="image/*"
-                                    onChange={(e) => setEditForm({ ...editForm, image_file: e.target.files[0] })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-xs file:font-semibold file:bg-blue-50 file:text-blue-700 file:dark:bg-blue-800 file:dark:text-blue-100 hover:file:bg-blue-100 hover:file:dark:bg-blue-700 text-sm"
-                                />
-                            </div>
-                            <div className="mb-4">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Location</label>
-                                <input
-                                    type="text"
-                                    required
-                                    value={editForm.location}
-                                    onChange={(e) => setEditForm({ ...editForm, location: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                    placeholder="e.g., Main Campus, Hostel Block B"
-                                />
-                            </div>
-                            <div className="mb-6">
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Contact Number (WhatsApp)</label>
-                                <input
-                                    type="tel"
-                                    required
-                                    value={editForm.contact_number}
-                                    onChange={(e) => setEditForm({ ...editForm, contact_number: e.target.value })}
-                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
-                                    placeholder="e.g., 0712345678 or 254712345678"
-                                />
-                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Please include country code if not starting with 07.</p>
-                            </div>
-                            <div className="mb-6 flex items-center">
-                                <input
-                                    type="checkbox"
-                                    id="soldCheckbox"
-                                    checked={editForm.sold}
-                                    onChange={(e) => setEditForm({ ...editForm, sold: e.target.checked })}
-                                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                                />
-                                <label htmlFor="soldCheckbox" className="ml-2 block text-sm text-gray-900 dark:text-gray-100">Mark as Sold</label>
-                            </div>
-                            <button
-                                type="submit"
-                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm"
-                            >
-                                Update Item
-                            </button>
-                        </form>
-                    </div>
-                </div>
-            )}
-        </div>
-    );
-};
-
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Search, Plus, User, LogOut, Edit, Trash2, Check, X, MapPin, Sun, Moon, ChevronLeft, ChevronRight, Star, Shield, Flag, MessageCircle, Bell, Bookmark, Heart, HandCoins, TrendingDown } from 'lucide-react';
+import UserDashboard from './UserDashboard'; // Ensure this path is correct
+import ImageGallery from './ImageGallery';
+import ImagePicker from './ImagePicker';
+import AdminPanel from './AdminPanel';
+import Inbox from './Inbox';
+import SavedSearches from './SavedSearches';
+import SavedItems from './SavedItems';
+import SellerProfile from './SellerProfile';
+import PendingReviews from './PendingReviews';
+import OfferThread from './OfferThread';
+import ListingImport from './ListingImport';
+import RateLimitNotice from './RateLimitNotice';
+import { useDarkMode } from '../contexts/DarkModeContext.jsx'; // Corrected path and extension
+import { API_BASE_URL, SESSION_EXPIRED_EVENT, authFetch, saveSession, logout, apiError } from '../utils/api';
+import { subscribeToEvents } from '../utils/realtime';
+import { observeListingView, trackContact } from '../utils/analytics';
+import { LISTING_CATEGORIES, MIN_PASSWORD_LENGTH, listingRules, signupRules, validate, hasErrors } from '../../backend/validation/index.mjs';
+const PAGE_SIZE = 24; // Items per page in the "Available Items" grid
+const SEARCH_DEBOUNCE_MS = 400; // Wait for the user to stop typing before querying the API
+const MAX_IMAGES_PER_ITEM = 8; // Matches MAX_IMAGES_PER_PRODUCT on the backend
+const PRICE_DROP_BADGE_DAYS = 14; // Matches PRICE_DROP_WINDOW_DAYS on the backend
+const USER_ITEMS_PAGE_SIZE = 100; // MAX_PAGE_SIZE on the backend; the dashboard loads every page of the user's listings
+
+// Whether a listing's price was cut recently enough to show the "price dropped" badge
+const hasRecentPriceDrop = (item) => Boolean(
+    item.previous_price !== null && item.previous_price !== undefined &&
+    Number(item.previous_price) > Number(item.price) &&
+    item.price_changed_at &&
+    Date.now() - new Date(item.price_changed_at).getTime() < PRICE_DROP_BADGE_DAYS * 24 * 60 * 60 * 1000
+);
+
+// Inline message under a form field, from validate() or the errors of a 400 response
+const FieldError = ({ message }) => (message ? <p className="text-xs text-red-600 dark:text-red-400 mt-1">{message}</p> : null);
+
+// Heading and submit button text for each screen of the auth modal
+const authTitles = { login: 'Login', signup: 'Sign Up', forgot: 'Forgot Password', reset: 'Choose a New Password' };
+const authSubmitLabels = { login: 'Login', signup: 'Sign Up', forgot: 'Send Reset Link', reset: 'Update Password' };
+
+const CampusMarketplace = () => {
+    const [currentUser, setCurrentUser] = useState(null);
+    const [showAuth, setShowAuth] = useState(false);
+    const [authMode, setAuthMode] = useState('login'); // 'login' | 'signup' | 'forgot' | 'reset'
+    const [authNotice, setAuthNotice] = useState(null); // Success message shown inside the auth modal
+    const [resetToken, setResetToken] = useState(null); // From the ?reset_token= link in the reset email
+    const [showAddItem, setShowAddItem] = useState(false);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+    const [selectedCategory, setSelectedCategory] = useState('all');
+    const [minPrice, setMinPrice] = useState('');
+    const [maxPrice, setMaxPrice] = useState('');
+    const [locationFilter, setLocationFilter] = useState('');
+    const [debouncedMinPrice, setDebouncedMinPrice] = useState('');
+    const [debouncedMaxPrice, setDebouncedMaxPrice] = useState('');
+    const [debouncedLocation, setDebouncedLocation] = useState('');
+    const [sortOrder, setSortOrder] = useState('newest');
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ page: 1, total: 0, total_pages: 0 });
+    const [editingItem, setEditingItem] = useState(null);
+    const [items, setItems] = useState([]);
+    const [userItems, setUserItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null); // Centralized error state
+    const [notice, setNotice] = useState(null); // Centralized success/info message
+    const [showAdmin, setShowAdmin] = useState(false); // Moderation panel, admins only
+    const [showInbox, setShowInbox] = useState(false);
+    const [inboxConversationId, setInboxConversationId] = useState(null); // Thread to open when the inbox is shown
+    const [unreadMessages, setUnreadMessages] = useState(0);
+    const [lastNotification, setLastNotification] = useState(null); // Latest personal event from the live stream
+    const [showSavedSearches, setShowSavedSearches] = useState(false);
+    const [unreadAlerts, setUnreadAlerts] = useState(0); // New listings matching the user's saved searches
+    const [dashboardTab, setDashboardTab] = useState('listings'); // 'listings' | 'saved'
+    const [favoriteIds, setFavoriteIds] = useState([]); // Products on the user's watchlist, for the heart toggles
+    const [favoritesVersion, setFavoritesVersion] = useState(0); // Bumped to make the Saved Items tab reload
+    const [profileSellerId, setProfileSellerId] = useState(null); // Seller whose public profile is open
+    const [saleDialog, setSaleDialog] = useState(null); // { item, candidates, buyerId } while choosing who bought an item
+    const [pendingOffers, setPendingOffers] = useState([]); // Offers waiting for the user's answer
+    const [listingStats, setListingStats] = useState(null); // The user's views and contacts as a seller (GET /api/analytics/listings)
+    const [offerThread, setOfferThread] = useState(null); // { product, buyerId } of the negotiation being shown
+    const [showImport, setShowImport] = useState(false); // CSV import of listings
+    const [rateLimits, setRateLimits] = useState({}); // 'auth' | 'listing' -> { message, until } after a 429 response
+    const [authErrors, setAuthErrors] = useState({}); // Field -> message for the sign-up form
+    const [newItemErrors, setNewItemErrors] = useState({}); // Field -> message for the Add Item form
+    const [editErrors, setEditErrors] = useState({}); // Field -> message for the Edit Item form
+
+    const { darkMode, toggleDarkMode } = useDarkMode(); // Use the dark mode hook
+
+    const categories = ['all', ...LISTING_CATEGORIES];
+    const sortOptions = [
+        { value: 'newest', label: 'Newest First' },
+        { value: 'price_asc', label: 'Price: Low to High' },
+        { value: 'price_desc', label: 'Price: High to Low' },
+        { value: 'price_drop', label: 'Recent Price Drops' }
+    ];
+
+    // Auth form data
+    const [authData, setAuthData] = useState({
+        email: '',
+        password: '',
+        confirmPassword: '',
+        name: ''
+    });
+
+    // Add item form data - image_files for upload (the first is the cover), location added
+    const [newItem, setNewItem] = useState({
+        title: '',
+        price: '',
+        category: 'Electronics',
+        description: '',
+        image_files: [],
+        contact_number: '',
+        location: ''
+    });
+
+    // Edit item form data - images are the saved photos, image_files are new uploads, location added
+    const [editForm, setEditForm] = useState({
+        title: '',
+        price: '',
+        category: 'Electronics',
+        description: '',
+        images: [],
+        image_files: [],
+        contact_number: '',
+        location: '',
+        sold: false
+    });
+
+    // Effect to load user from localStorage on initial render
+    useEffect(() => {
+        const storedUser = localStorage.getItem('currentUser');
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedUser && storedRefreshToken) {
+            setCurrentUser(JSON.parse(storedUser));
+        }
+    }, []);
+
+    // Effect to open the "choose a new password" screen when arriving from a reset email link
+    useEffect(() => {
+        const token = new URLSearchParams(window.location.search).get('reset_token');
+        if (token) {
+            setResetToken(token);
+            setAuthMode('reset');
+            setShowAuth(true);
+        }
+    }, []);
+
+    // Effect to confirm the user's email when arriving from a verification email link
+    useEffect(() => {
+        const token = new URLSearchParams(window.location.search).get('verify_token');
+        if (!token) return;
+
+        const verifyEmail = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/email/verify`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token })
+                });
+
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw apiError(response, data, 'Failed to verify email.');
+                }
+
+                window.history.replaceState(null, '', window.location.pathname);
+                setNotice(data.message);
+                setCurrentUser(user => {
+                    if (!user) return user;
+                    const verifiedUser = { ...user, email_verified: true };
+                    localStorage.setItem('currentUser', JSON.stringify(verifiedUser));
+                    return verifiedUser;
+                });
+            } catch (err) {
+                console.error('Error verifying email:', err);
+                setError(err.message || 'An error occurred while verifying your email.');
+            }
+        };
+
+        verifyEmail();
+    }, []);
+
+    // Effects and fetches keyed on the user's id, so they don't re-run whenever the user object is replaced
+    const currentUserId = currentUser ? currentUser.id : null;
+
+    // Effect to refresh the stored user's details (e.g. verification status) from the backend
+    useEffect(() => {
+        if (!currentUserId) return;
+
+        const fetchAccount = async () => {
+            try {
+                const response = await authFetch('/me');
+                if (!response.ok) return;
+                const user = await response.json();
+                localStorage.setItem('currentUser', JSON.stringify(user));
+                setCurrentUser(user);
+            } catch (err) {
+                console.error('Failed to refresh account details:', err);
+            }
+        };
+
+        fetchAccount();
+    }, [currentUserId]);
+
+    // Effect to load the unread message count for the header badge
+    useEffect(() => {
+        if (!currentUserId) {
+            setUnreadMessages(0);
+            return;
+        }
+
+        const fetchUnreadCount = async () => {
+            try {
+                const response = await authFetch('/conversations/unread');
+                if (!response.ok) return;
+                const data = await response.json();
+                setUnreadMessages(data.unread);
+            } catch (err) {
+                console.error('Failed to fetch unread message count:', err);
+            }
+        };
+
+        fetchUnreadCount();
+    }, [currentUserId]);
+
+    // Fetch the offers waiting for the user's answer, shown against their listings in the dashboard
+    const fetchPendingOffers = useCallback(async () => {
+        if (!currentUserId) {
+            setPendingOffers([]);
+            return;
+        }
+        try {
+            const response = await authFetch('/offers/pending');
+            if (!response.ok) return;
+            setPendingOffers(await response.json());
+        } catch (err) {
+            console.error('Failed to fetch pending offers:', err);
+        }
+    }, [currentUserId]);
+
+    // Effect to load pending offers on login
+    useEffect(() => {
+        fetchPendingOffers();
+    }, [fetchPendingOffers]);
+
+    // Effect to load which products the user has saved, so the cards can show filled hearts
+    useEffect(() => {
+        if (!currentUserId) {
+            setFavoriteIds([]);
+            return;
+        }
+
+        const fetchFavoriteIds = async () => {
+            try {
+                const response = await authFetch('/favorites/ids');
+                if (!response.ok) return;
+                setFavoriteIds(await response.json());
+            } catch (err) {
+                console.error('Failed to fetch saved items:', err);
+            }
+        };
+
+        fetchFavoriteIds();
+    }, [currentUserId]);
+
+    // Effect to load the number of unread saved search alerts for the header badge
+    useEffect(() => {
+        if (!currentUserId) {
+            setUnreadAlerts(0);
+            return;
+        }
+
+        const fetchUnreadAlerts = async () => {
+            try {
+                const response = await authFetch('/saved-searches/alerts');
+                if (!response.ok) return;
+                const data = await response.json();
+                setUnreadAlerts(data.unread);
+            } catch (err) {
+                console.error('Failed to fetch saved search alerts:', err);
+            }
+        };
+
+        fetchUnreadAlerts();
+    }, [currentUserId]);
+
+    // Effect to log the user out locally once their session can no longer be renewed
+    useEffect(() => {
+        const handleSessionExpired = () => {
+            setCurrentUser(null);
+            setError("Your session has expired. Please log in again.");
+        };
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    }, []);
+
+    // Effect to debounce the search box and the price/location filters so we don't hit the API on every keystroke
+    useEffect(() => {
+        const timeout = setTimeout(() => {
+            setDebouncedSearchTerm(searchTerm.trim());
+            setDebouncedMinPrice(minPrice.trim());
+            setDebouncedMaxPrice(maxPrice.trim());
+            setDebouncedLocation(locationFilter.trim());
+            setPage(1);
+        }, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timeout);
+    }, [searchTerm, minPrice, maxPrice, locationFilter]);
+
+    // Fetch the current page of products; search, filtering and sorting happen on the backend
+    const fetchProducts = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({ sort: sortOrder, page, limit: PAGE_SIZE });
+            if (debouncedSearchTerm) params.set('q', debouncedSearchTerm);
+            if (selectedCategory !== 'all') params.set('category', selectedCategory);
+            if (debouncedMinPrice) params.set('min_price', debouncedMinPrice);
+            if (debouncedMaxPrice) params.set('max_price', debouncedMaxPrice);
+            if (debouncedLocation) params.set('location', debouncedLocation);
+
+            const response = await fetch(`${API_BASE_URL}/products?${params}`);
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw apiError(response, errorData, `HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            setItems(data.products);
+            setPagination(data.pagination);
+        } catch (err) {
+            console.error("Failed to fetch products:", err);
+            setError("Failed to load products. Please ensure the backend server is running and accessible. Error: " + err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [debouncedSearchTerm, selectedCategory, debouncedMinPrice, debouncedMaxPrice, debouncedLocation, sortOrder, page]);
+
+    // Fetch the logged-in user's own listings for the dashboard, independent of the grid's filters.
+    // Authenticated so listings hidden by a moderator still show up for their seller.
+    const fetchUserItems = useCallback(async () => {
+        if (!currentUserId) {
+            setUserItems([]);
+            return;
+        }
+        try {
+            // Every page, so the table and the stats cover all of the user's listings
+            const items = [];
+            for (let nextPage = 1, totalPages = 1; nextPage <= totalPages; nextPage += 1) {
+                const response = await authFetch(`/products?seller_id=${currentUserId}&limit=${USER_ITEMS_PAGE_SIZE}&page=${nextPage}`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw apiError(response, data, `HTTP error! status: ${response.status}`);
+                }
+                items.push(...data.products);
+                totalPages = data.pagination.total_pages;
+            }
+            setUserItems(items);
+        } catch (err) {
+            console.error("Failed to fetch your listings:", err);
+            setError("Failed to load your listings. Error: " + err.message);
+        }
+    }, [currentUserId]);
+
+    // Function to fetch the views, contacts and days listed shown in the dashboard
+    const fetchListingStats = useCallback(async () => {
+        if (!currentUserId) {
+            setListingStats(null);
+            return;
+        }
+        try {
+            const response = await authFetch('/analytics/listings');
+            if (!response.ok) return;
+            setListingStats(await response.json());
+        } catch (err) {
+            console.error('Failed to fetch listing stats:', err);
+        }
+    }, [currentUserId]);
+
+    // Refresh both the grid and the dashboard after a mutation
+    const refreshProducts = () => {
+        fetchProducts();
+        fetchUserItems();
+        fetchListingStats();
+    };
+
+    // Effect to fetch products from the backend
+    useEffect(() => {
+        fetchProducts();
+    }, [fetchProducts]);
+
+    // Effect to fetch the user's listings whenever the logged-in user changes
+    useEffect(() => {
+        fetchUserItems();
+    }, [fetchUserItems]);
+
+    // Effect to load the user's listing stats on login
+    useEffect(() => {
+        fetchListingStats();
+    }, [fetchListingStats]);
+
+    // Whether a newly created listing belongs on the page currently shown in the grid
+    const belongsOnCurrentPage = (product) => {
+        if (page !== 1 || sortOrder !== 'newest') return false;
+        if (selectedCategory !== 'all' && product.category !== selectedCategory) return false;
+        if (debouncedMinPrice && Number(product.price) < Number(debouncedMinPrice)) return false;
+        if (debouncedMaxPrice && Number(product.price) > Number(debouncedMaxPrice)) return false;
+        if (debouncedLocation && !(product.location || '').toLowerCase().includes(debouncedLocation.toLowerCase())) return false;
+        if (!debouncedSearchTerm) return true;
+        const term = debouncedSearchTerm.toLowerCase();
+        return [product.title, product.description, product.location].some(field => (field || '').toLowerCase().includes(term));
+    };
+
+    // Apply an event from the live stream to the grid, the dashboard and the notification state
+    const handleRealtimeEvent = (type, data) => {
+        if (type === 'product.created') {
+            if (belongsOnCurrentPage(data.product) && !items.some(item => item.id === data.product.id)) {
+                setItems([data.product, ...items].slice(0, PAGE_SIZE));
+                setPagination({ ...pagination, total: pagination.total + 1 });
+            }
+        } else if (type === 'product.updated' || type === 'product.sold') {
+            const replace = (list) => list.map(item => (item.id === data.product.id ? { ...item, ...data.product } : item));
+            setItems(replace);
+            setUserItems(replace);
+            if (favoriteIds.includes(data.product.id)) setFavoritesVersion(version => version + 1);
+        } else if (type === 'product.deleted') {
+            if (items.some(item => item.id === data.id)) {
+                setItems(items.filter(item => item.id !== data.id));
+                setPagination({ ...pagination, total: Math.max(pagination.total - 1, 0) });
+            }
+            if (favoriteIds.includes(data.id)) setFavoritesVersion(version => version + 1);
+        } else if (type === 'notification') {
+            setLastNotification(data);
+            if (data.type === 'message' && !showInbox) {
+                setUnreadMessages(count => count + 1);
+                setNotice(`New message from ${data.sender_name} about "${data.product_title}".`);
+            } else if (data.type === 'saved_search_match') {
+                if (!showSavedSearches) setUnreadAlerts(count => count + 1);
+                setNotice(`New listing for your saved search "${data.saved_search_name}": ${data.product.title} (KSh ${data.product.price}).`);
+            } else if (data.type === 'offer') {
+                const offerNotices = {
+                    pending: data.buyer_id === currentUserId
+                        ? `${data.sender_name} countered with KSh ${data.amount} for "${data.product_title}".`
+                        : `${data.sender_name} offered KSh ${data.amount} for "${data.product_title}".`,
+                    accepted: `${data.sender_name} accepted the offer of KSh ${data.amount} for "${data.product_title}".`,
+                    rejected: `${data.sender_name} rejected the offer of KSh ${data.amount} for "${data.product_title}".`
+                };
+                setNotice(offerNotices[data.status]);
+                fetchPendingOffers();
+            } else if (data.type === 'listing_expired') {
+                setNotice(`Your listing "${data.title}" expired after a long time without updates. Renew it from Your Listings if it is still for sale.`);
+                fetchUserItems();
+            } else if (data.type === 'review_requested') {
+                setNotice(`${data.seller_name} marked "${data.title}" as sold to you. You can now rate them under Rate Your Purchases.`);
+            } else if (data.type === 'review_received') {
+                setNotice(`${data.reviewer_name} gave you ${data.rating} ${data.rating === 1 ? 'star' : 'stars'} for "${data.title}".`);
+            } else if (data.type === 'listing_hidden') {
+                setNotice(`Your listing "${data.title}" was hidden by a moderator${data.reason ? `: ${data.reason}` : '.'}`);
+                fetchUserItems();
+            }
+        }
+    };
+
+    // The stream lives across renders, so it calls whichever handler is current through these refs
+    const realtimeHandlerRef = useRef(handleRealtimeEvent);
+    const reconnectHandlerRef = useRef(refreshProducts);
+    useEffect(() => {
+        realtimeHandlerRef.current = handleRealtimeEvent;
+        reconnectHandlerRef.current = refreshProducts;
+    });
+
+    // Effect to subscribe to live marketplace events; re-subscribes on login/logout to (stop) receive personal notifications
+    useEffect(() => subscribeToEvents({
+        authenticated: Boolean(currentUserId),
+        onEvent: (type, data) => realtimeHandlerRef.current(type, data),
+        onReconnect: () => reconnectHandlerRef.current()
+    }), [currentUserId]);
+
+    // Headers for JSON requests (authFetch adds the Authorization header; multipart requests need none)
+    const jsonHeaders = { 'Content-Type': 'application/json' };
+
+    // Remember a 429 Too Many Requests answer so the form it came from can show it and wait out Retry-After
+    const noteRateLimit = (action, response, data) => {
+        const retryAfter = data.retry_after || parseInt(response.headers.get('Retry-After'), 10) || 60;
+        setRateLimits(limits => ({ ...limits, [action]: { message: data.message, until: Date.now() + retryAfter * 1000 } }));
+    };
+    const clearAuthRateLimit = useCallback(() => setRateLimits(limits => ({ ...limits, auth: null })), []);
+    const clearListingRateLimit = useCallback(() => setRateLimits(limits => ({ ...limits, listing: null })), []);
+
+    // Handle authentication (login/signup)
+    const handleAuth = async (e) => {
+        e.preventDefault();
+        setError(null);
+        const endpoint = authMode === 'login' ? 'login' : 'signup';
+
+        if (endpoint === 'signup') {
+            const { errors } = validate(signupRules, authData);
+            setAuthErrors(errors);
+            if (hasErrors(errors)) return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(authData)
+            });
+
+            const data = await response.json();
+
+            if (response.status === 429) {
+                noteRateLimit('auth', response, data);
+                return;
+            }
+            if (data.errors) {
+                setAuthErrors(data.errors);
+                return;
+            }
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to ${endpoint}`);
+            }
+
+            saveSession(data);
+            setCurrentUser(data.user);
+            if (endpoint === 'signup') {
+                setNotice(data.message);
+            }
+            setShowAuth(false);
+            setAuthData({ email: '', password: '', confirmPassword: '', name: '' });
+            setAuthErrors({});
+        } catch (err) {
+            console.error(`Error during ${endpoint}:`, err);
+            setError(err.message || `An error occurred during ${endpoint}.`);
+        }
+    };
+
+    // Ask the backend to email a fresh verification link
+    const handleResendVerification = async () => {
+        setError(null);
+        try {
+            const response = await authFetch('/email/verify/resend', { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to resend verification email.');
+            }
+
+            setNotice(data.message);
+        } catch (err) {
+            console.error('Error resending verification email:', err);
+            setError(err.message || 'An error occurred while resending the verification email.');
+        }
+    };
+
+    // Move between the screens of the auth modal, clearing any leftover messages
+    const switchAuthMode = (mode) => {
+        setAuthMode(mode);
+        setAuthNotice(null);
+        setAuthErrors({});
+        setError(null);
+    };
+
+    // Handle "forgot password": ask the backend to email a reset link
+    const handleForgotPassword = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setAuthNotice(null);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/password/forgot`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ email: authData.email })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to request a password reset.');
+            }
+
+            setAuthNotice(data.message);
+        } catch (err) {
+            console.error('Error requesting password reset:', err);
+            setError(err.message || 'An error occurred while requesting a password reset.');
+        }
+    };
+
+    // Handle choosing a new password with the token from the reset email
+    const handleResetPassword = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (authData.password !== authData.confirmPassword) {
+            setError("The passwords don't match.");
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/password/reset`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ token: resetToken, password: authData.password })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to reset password.');
+            }
+
+            // The token is spent: drop it from the address bar and send the user to the login screen
+            window.history.replaceState(null, '', window.location.pathname);
+            setResetToken(null);
+            setAuthData({ email: '', password: '', confirmPassword: '', name: '' });
+            setAuthMode('login');
+            setAuthNotice(data.message);
+        } catch (err) {
+            console.error('Error resetting password:', err);
+            setError(err.message || 'An error occurred while resetting your password.');
+        }
+    };
+
+    // Handle user logout - revokes the session on the server so its tokens stop working
+    const handleLogout = async () => {
+        setCurrentUser(null);
+        setShowInbox(false);
+        setShowSavedSearches(false);
+        setSaleDialog(null);
+        setOfferThread(null);
+        await logout();
+    };
+
+    // Handle adding a new item
+    const handleAddItem = async (e) => {
+        e.preventDefault();
+        setError(null);
+        if (!currentUser) {
+            setError("You must be logged in to add an item.");
+            return;
+        }
+
+        if (currentUser.email_verified === false) {
+            setError("Please verify your email address before listing items.");
+            return;
+        }
+
+        // The WhatsApp number is optional - buyers can always use in-app messages
+        const { values, errors } = validate(listingRules, newItem);
+        if (newItem.image_files.length === 0) {
+            errors.images = 'Please add at least one photo of your item.';
+        }
+        setNewItemErrors(errors);
+        if (hasErrors(errors)) return;
+
+        const formData = new FormData();
+        formData.append('title', values.title);
+        formData.append('price', values.price);
+        formData.append('category', values.category);
+        formData.append('description', values.description);
+        formData.append('contact_number', values.contact_number || '');
+        formData.append('location', values.location);
+        newItem.image_files.forEach(file => formData.append('images', file));
+
+        // "Save as Draft" keeps the listing private until it is published from the dashboard
+        const saveAsDraft = e.nativeEvent.submitter && e.nativeEvent.submitter.value === 'draft';
+        formData.append('status', saveAsDraft ? 'draft' : 'active');
+
+        try {
+            const response = await authFetch('/products', {
+                method: 'POST',
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (response.status === 429) {
+                noteRateLimit('listing', response, data);
+                return;
+            }
+            if (data.errors) {
+                setNewItemErrors(data.errors);
+                return;
+            }
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to add item.');
+            }
+
+            refreshProducts();
+            if (saveAsDraft) setNotice('Draft saved. Publish it from Your Listings when you are ready.');
+
+            setNewItem({ title: '', price: '', category: 'Electronics', description: '', image_files: [], contact_number: '', location: '' });
+            setNewItemErrors({});
+            setShowAddItem(false);
+        } catch (err) {
+            console.error('Error adding product:', err);
+            setError(err.message || 'An error occurred while adding the product.');
+        }
+    };
+
+    // When opening the edit modal, populate the editForm state with the current item's data
+    const startEditingItem = (item) => {
+        setEditingItem(item);
+        setEditErrors({});
+        setEditForm({
+            title: item.title,
+            price: item.price,
+            category: item.category,
+            description: item.description,
+            images: item.images || [],
+            image_files: [],
+            contact_number: item.contact_number || '',
+            location: item.location,
+            sold: item.sold
+        });
+    };
+
+    // Handle editing an existing item
+    const handleEditItem = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        const { values, errors } = validate(listingRules, editForm);
+        setEditErrors(errors);
+        if (hasErrors(errors)) return;
+
+        // PATCH only what was changed, so an edit can't overwrite anything else that changed in the meantime
+        const formData = new FormData();
+        Object.entries(values).forEach(([field, value]) => {
+            const saved = editingItem[field] === undefined ? null : editingItem[field];
+            const changed = field === 'price' ? Number(saved) !== value : (saved || null) !== value;
+            if (changed) formData.append(field, value === null ? '' : value);
+        });
+        if (Boolean(editForm.sold) !== Boolean(editingItem.sold)) formData.append('sold', Boolean(editForm.sold));
+        editForm.image_files.forEach(file => formData.append('images', file));
+
+        if ([...formData.keys()].length === 0) {
+            setEditingItem(null);
+            return;
+        }
+
+        try {
+            const response = await authFetch(`/products/${editingItem.id}`, {
+                method: 'PATCH',
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (data.errors) {
+                setEditErrors(data.errors);
+                return;
+            }
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to update item.');
+            }
+
+            refreshProducts();
+
+            setEditingItem(null);
+        } catch (err) {
+            console.error('Error updating product:', err);
+            setError(err.message || 'An error occurred while updating the product.');
+        }
+    };
+
+    // Send a change to one of the saved photos of the item being edited and show the resulting order
+    const updateEditingImages = async (path, method, body) => {
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${editingItem.id}/images${path}`, {
+                method,
+                headers: jsonHeaders,
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to update photos.');
+            }
+
+            setEditForm(form => ({ ...form, images: data.images }));
+            refreshProducts();
+        } catch (err) {
+            console.error('Error updating product photos:', err);
+            setError(err.message || 'An error occurred while updating the photos.');
+        }
+    };
+
+    const handleRemoveImage = (imageId) => {
+        if (!window.confirm("Remove this photo from the listing?")) return;
+        updateEditingImages(`/${imageId}`, 'DELETE');
+    };
+
+    const handleSetCoverImage = (imageId) => updateEditingImages(`/${imageId}/cover`, 'PUT');
+
+    // Swap a saved photo with its left-hand neighbour
+    const handleMoveImageLeft = (index) => {
+        const ids = editForm.images.map(image => image.id);
+        [ids[index - 1], ids[index]] = [ids[index], ids[index - 1]];
+        updateEditingImages('/order', 'PUT', { image_ids: ids });
+    };
+
+    // Handle deleting an item
+    const handleDeleteItem = async (id) => {
+        setError(null);
+        if (!window.confirm("Are you sure you want to delete this item?")) {
+            return;
+        }
+
+        try {
+            const response = await authFetch(`/products/${id}`, {
+                method: 'DELETE',
+                headers: jsonHeaders
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to delete item.');
+            }
+
+            refreshProducts();
+
+        } catch (err) {
+            console.error('Error deleting product:', err);
+            setError(err.message || 'An error occurred while deleting the product.');
+        }
+    };
+
+    // Record a sale, optionally to one of the users who messaged about the item so they can review the seller
+    const recordSale = async (id, buyerId) => {
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${id}/sale`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ buyer_id: buyerId })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to mark item as sold. Server responded with: ${response.status}`);
+            }
+
+            setSaleDialog(null);
+            refreshProducts();
+        } catch (err) {
+            console.error('Error recording sale:', err);
+            setError(err.message || 'An error occurred while marking the item as sold.');
+        }
+    };
+
+    // Open the offers on an item: the user's own negotiation as a buyer, or one buyer's negotiation as its seller
+    const handleOpenOffers = (item, buyerId = null) => {
+        if (!currentUser) {
+            setShowAuth(true);
+            return;
+        }
+        setOfferThread({ product: item, buyerId });
+    };
+
+    // Move one of the user's listings to another status (publish a draft, take it down, relist it)
+    const handleChangeStatus = async (id, status) => {
+        if (status === 'removed' && !window.confirm('Take this listing down? You can relist it later from Your Listings.')) return;
+
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${id}/status`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ status })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to update the listing. Server responded with: ${response.status}`);
+            }
+
+            refreshProducts();
+        } catch (err) {
+            console.error('Error changing listing status:', err);
+            setError(err.message || 'An error occurred while updating the listing.');
+        }
+    };
+
+    // One-click renewal: brings an expired listing back or keeps an active one from expiring
+    const handleRenew = async (id) => {
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${id}/renew`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to renew the listing. Server responded with: ${response.status}`);
+            }
+
+            setNotice(data.message);
+            refreshProducts();
+        } catch (err) {
+            console.error('Error renewing listing:', err);
+            setError(err.message || 'An error occurred while renewing the listing.');
+        }
+    };
+
+    // Release a reservation so the item is available to every buyer again
+    const handleReleaseReservation = async (id) => {
+        if (!window.confirm('Release the reservation? Any buyer will be able to make offers on the item again.')) return;
+
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${id}/reservation`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to release the reservation. Server responded with: ${response.status}`);
+            }
+
+            setNotice(data.message);
+            refreshProducts();
+        } catch (err) {
+            console.error('Error releasing reservation:', err);
+            setError(err.message || 'An error occurred while releasing the reservation.');
+        }
+    };
+
+    // Mark an item as sold. When anyone has messaged about it or made an offer, ask which of them bought it
+    // (recordSale); otherwise it is a plain status change. Making it available again is one too (handleChangeStatus).
+    const handleMarkSold = async (id) => {
+        setError(null);
+        const itemToSell = userItems.find(item => item.id === id);
+        if (!itemToSell) return;
+
+        try {
+            const response = await authFetch(`/products/${id}/sale/candidates`);
+            const candidates = await response.json();
+            if (!response.ok) {
+                throw apiError(response, candidates, `Failed to load buyers. Server responded with: ${response.status}`);
+            }
+
+            if (candidates.length > 0) {
+                setSaleDialog({ item: itemToSell, candidates, buyerId: String(candidates[0].id) });
+            } else {
+                handleChangeStatus(id, 'sold'); // Nobody to record as the buyer
+            }
+        } catch (err) {
+            console.error('Error loading buyers:', err);
+            setError(err.message || 'An error occurred while marking the item as sold.');
+        }
+    };
+
+    // Apply a bulk action to several of the user's listings at once: 'status', 'category', 'price' or 'delete' (see
+    // POST /api/products/bulk/* for the options each takes). It is all or nothing. Resolves with the results of the
+    // listings that failed ([] when it went through), or null when the request didn't get that far or was cancelled.
+    const handleBulkAction = async (action, ids, options = {}) => {
+        if (action === 'delete' && !window.confirm(`Delete ${ids.length === 1 ? 'this listing' : `these ${ids.length} listings`}? This cannot be undone.`)) {
+            return null;
+        }
+
+        setError(null);
+        try {
+            const response = await authFetch(`/products/bulk/${action}`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ ids, ...options })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                if (!data.results) throw apiError(response, data, `Failed to update the listings. Server responded with: ${response.status}`);
+                setError(data.message);
+                return data.results.filter(result => !result.ok);
+            }
+
+            setNotice(data.message);
+            refreshProducts();
+            return [];
+        } catch (err) {
+            console.error('Error in bulk action:', err);
+            setError(err.message || 'An error occurred while updating the listings.');
+            return null;
+        }
+    };
+
+    // Download the user's listings as a CSV spreadsheet (GET /api/products/export)
+    const handleExportListings = async () => {
+        setError(null);
+        try {
+            const response = await authFetch('/products/export');
+            if (!response.ok) {
+                const data = await response.json();
+                throw apiError(response, data, `Failed to export listings. Server responded with: ${response.status}`);
+            }
+
+            // Save the file under the name the server picked
+            const [, filename = 'my-listings.csv'] = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/) || [];
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting listings:', err);
+            setError(err.message || 'An error occurred while exporting your listings.');
+        }
+    };
+
+    // Save the grid's current search and filters so the user is alerted about new matching listings
+    const handleSaveSearch = async () => {
+        const criteria = {
+            query: searchTerm.trim(),
+            category: selectedCategory,
+            min_price: minPrice.trim(),
+            max_price: maxPrice.trim(),
+            location: locationFilter.trim()
+        };
+        if (!criteria.query && criteria.category === 'all' && !criteria.min_price && !criteria.max_price && !criteria.location) {
+            setError("Type a search or pick some filters first, then save the search.");
+            return;
+        }
+
+        const suggestedName = criteria.query || (criteria.category !== 'all' ? criteria.category : criteria.location) || 'My search';
+        const name = window.prompt("Name this search (we'll alert you when matching items are listed)", suggestedName);
+        if (name === null) return;
+
+        setError(null);
+        try {
+            const response = await authFetch('/saved-searches', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ ...criteria, name })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to save search. Server responded with: ${response.status}`);
+            }
+
+            setNotice(`Search saved. We'll let you know when new items match "${data.saved_search.name}".`);
+        } catch (err) {
+            console.error('Error saving search:', err);
+            setError(err.message || 'An error occurred while saving the search.');
+        }
+    };
+
+    // Load a saved search into the grid's search box and filters
+    const applySavedSearch = (search) => {
+        setSearchTerm(search.query || '');
+        setSelectedCategory(search.category || 'all');
+        setMinPrice(search.min_price !== null ? String(Number(search.min_price)) : '');
+        setMaxPrice(search.max_price !== null ? String(Number(search.max_price)) : '');
+        setLocationFilter(search.location || '');
+        setSortOrder('newest');
+        setPage(1);
+    };
+
+    // Save an item to, or remove it from, the user's watchlist
+    const handleToggleFavorite = async (productId) => {
+        if (!currentUser) {
+            setShowAuth(true);
+            return;
+        }
+
+        const isFavorite = favoriteIds.includes(productId);
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${productId}/favorite`, { method: isFavorite ? 'DELETE' : 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to update saved items. Server responded with: ${response.status}`);
+            }
+
+            setFavoriteIds(isFavorite ? favoriteIds.filter(id => id !== productId) : [...favoriteIds, productId]);
+            setFavoritesVersion(version => version + 1);
+        } catch (err) {
+            console.error('Error updating saved items:', err);
+            setError(err.message || 'An error occurred while updating your saved items.');
+        }
+    };
+
+    // Function to report a listing to the moderators
+    const handleReportItem = async (itemId) => {
+        const reason = window.prompt("Why are you reporting this listing? (e.g. scam, prohibited item, offensive content)");
+        if (reason === null) return;
+        if (!reason.trim()) {
+            setError("Please give a reason for the report.");
+            return;
+        }
+
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${itemId}/report`, {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ reason: reason.trim() })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to report listing. Server responded with: ${response.status}`);
+            }
+
+            setNotice(data.message);
+        } catch (err) {
+            console.error('Error reporting listing:', err);
+            setError(err.message || 'An error occurred while reporting the listing.');
+        }
+    };
+
+    // Function to open (or resume) an in-app conversation with the seller of an item
+    const handleMessageSeller = async (item) => {
+        if (!currentUser) {
+            setShowAuth(true);
+            return;
+        }
+
+        setError(null);
+        try {
+            const response = await authFetch('/conversations', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ product_id: item.id })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to start a conversation. Server responded with: ${response.status}`);
+            }
+
+            setInboxConversationId(data.conversation.id);
+            setShowInbox(true);
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        } catch (err) {
+            console.error('Error starting conversation:', err);
+            setError(err.message || 'An error occurred while contacting the seller.');
+        }
+    };
+
+    // Function to open WhatsApp chat with seller; the click counts as a contact in the seller's analytics
+    const handleContactSeller = (item) => {
+        trackContact(item.id);
+        const cleanContact = item.contact_number.replace(/\D/g, '');
+        const message = encodeURIComponent(`Hey, is the "${item.title}" you're selling still available? I saw it on Chuka Black Market.`);
+        const whatsappUrl = `https://wa.me/${cleanContact}?text=${message}`;
+        window.open(whatsappUrl, '_blank');
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 font-sans text-gray-900 dark:text-gray-100 transition-colors duration-300">
+            {/* Header section */}
+            <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    {/* Main header row - Always flex-row to keep logo and actions on same line */}
+                    <div className="flex justify-between items-center h-16 py-3"> {/* Adjusted classes here */}
+                        {/* Logo/Title */}
+                        <div className="flex items-center">
+                            <h1 className="text-xl sm:text-2xl font-bold text-blue-600 dark:text-blue-400">Chuka Black Market</h1>
+                        </div>
+
+                        {/* User actions / Auth & Dark Mode Toggle - Always flex-row */}
+                        <div className="flex items-center space-x-2 sm:space-x-4"> {/* Adjusted classes here */}
+                            {/* Dark Mode Toggle */}
+                            <button
+                                onClick={toggleDarkMode}
+                                className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200 ease-in-out"
+                                title={darkMode ? "Switch to Light Mode" : "Switch to Dark Mode"}
+                            >
+                                {darkMode ? (
+                                    <Sun size={20} className="text-yellow-400" />
+                                ) : (
+                                    <Moon size={20} className="text-gray-600" />
+                                )}
+                            </button>
+
+                            {currentUser ? (
+                                <>
+                                    {currentUser.role === 'admin' && (
+                                        <button
+                                            onClick={() => setShowAdmin(!showAdmin)}
+                                            className={`p-2 rounded-full transition duration-200 ease-in-out ${showAdmin ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-200' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                                            title={showAdmin ? "Close Admin Panel" : "Open Admin Panel"}
+                                        >
+                                            <Shield size={20} />
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => setShowSavedSearches(!showSavedSearches)}
+                                        className="relative p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200 ease-in-out"
+                                        title="Saved Searches"
+                                    >
+                                        <Bell size={20} />
+                                        {unreadAlerts > 0 && (
+                                            <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white rounded-full min-w-[18px] h-[18px] px-1 text-[10px] font-semibold flex items-center justify-center">
+                                                {unreadAlerts > 99 ? '99+' : unreadAlerts}
+                                            </span>
+                                        )}
+                                    </button>
+                                    <button
+                                        onClick={() => {
+                                            setInboxConversationId(null);
+                                            setShowInbox(!showInbox);
+                                        }}
+                                        className="relative p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200 ease-in-out"
+                                        title="Messages"
+                                    >
+                                        <MessageCircle size={20} />
+                                        {unreadMessages > 0 && (
+                                            <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white rounded-full min-w-[18px] h-[18px] px-1 text-[10px] font-semibold flex items-center justify-center">
+                                                {unreadMessages > 99 ? '99+' : unreadMessages}
+                                            </span>
+                                        )}
+                                    </button>
+                                    <button
+                                        onClick={() => setShowAddItem(true)}
+                                        className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 w-auto"
+                                        title="Sell a New Item"
+                                    >
+                                        <Plus size={18}  /> {/* Adjusted icon sizing */}
+                                        <span className="hidden sm:inline">Sell Item</span> {/* Hide text on smallest screens */}
+                                    </button>
+                                    <div className="flex items-center space-x-2 w-auto justify-center">
+                                        <User size={18} className="text-gray-600 dark:text-gray-300 " />
+                                        <span className="text-gray-700 dark:text-gray-200 font-medium text-sm sm:text-base truncate max-w-[70px] sm:max-w-[120px]">{currentUser.name}</span> {/* Smaller max-w for name */}
+                                        <button
+                                            onClick={handleLogout}
+                                            className="text-red-600 hover:text-red-700 dark:hover:text-red-500 transition duration-200 ease-in-out transform hover:scale-105 p-1"
+                                            title="Logout"
+                                        >
+                                            <LogOut size={18}  />
+                                        </button>
+                                    </div>
+                                </>
+                            ) : (
+                                <div className="flex items-center space-x-2">
+                                    <button
+                                        onClick={() => setShowAuth(true)}
+                                        className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105"
+                                        title="Login or Sign Up"
+                                    >
+                                        Login / Sign Up
+                                    </button>
+                                    {/* The info text is now hidden on all but large screens to save space */}
+                                    <p className="text-gray-600 dark:text-gray-400 text-xs hidden lg:block">
+                                        (Sign up or Login to list your items!)
+                                    </p>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            {/* Main content area */}
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+                {/* Error message display */}
+                {error && (
+                    <div className="bg-red-100 dark:bg-red-900 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-200 px-4 py-3 rounded-lg relative mb-6 text-sm sm:text-base" role="alert">
+                        <strong className="font-bold">Error!</strong>
+                        <span className="block sm:inline"> {error}</span>
+                        <span className="absolute top-0 bottom-0 right-0 px-4 py-3">
+                            <X size={10} className="cursor-pointer" onClick={() => setError(null)} />
+                        </span>
+                    </div>
+                )}
+
+                {/* Success/info message display */}
+                {notice && (
+                    <div className="bg-green-100 dark:bg-green-900 border border-green-400 dark:border-green-700 text-green-700 dark:text-green-200 px-4 py-3 rounded-lg relative mb-6 text-sm sm:text-base" role="status">
+                        <span className="block sm:inline">{notice}</span>
+                        <span className="absolute top-0 bottom-0 right-0 px-4 py-3">
+                            <X size={10} className="cursor-pointer" onClick={() => setNotice(null)} />
+                        </span>
+                    </div>
+                )}
+
+                {/* Unverified account banner */}
+                {currentUser && currentUser.email_verified === false && (
+                    <div className="bg-yellow-100 dark:bg-yellow-900 border border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200 px-4 py-3 rounded-lg mb-6 text-sm sm:text-base flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
+                        <span>
+                            <strong className="font-bold">Verify your email to start selling.</strong> We sent a link to {currentUser.email}.
+                        </span>
+                        <button
+                            onClick={handleResendVerification}
+                            className="text-yellow-900 dark:text-yellow-100 font-medium underline hover:no-underline text-sm"
+                        >
+                            Resend link
+                        </button>
+                    </div>
+                )}
+
+                {/* Search and Filter section */}
+                <div className="mb-6 sm:mb-8">
+                    <div className="flex flex-col md:flex-row gap-3 sm:gap-4 mb-4 sm:mb-6">
+                        <div className="flex-1 relative">
+                            <Search className="absolute left-3 top-2.5 h-5 w-5 text-gray-400 dark:text-gray-500" />
+                            <input
+                                type="text"
+                                placeholder="Search items by title, description, or location..."
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                                className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm sm:text-base dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                            />
+                        </div>
+                        <select
+                            value={selectedCategory}
+                            onChange={(e) => { setSelectedCategory(e.target.value); setPage(1); }}
+                            className="w-full md:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm sm:text-base dark:text-gray-100"
+                        >
+                            {categories.map(category => (
+                                <option key={category} value={category} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                    {category === 'all' ? 'All Categories' : category}
+                                </option>
+                            ))}
+                        </select>
+                        <select
+                            value={sortOrder}
+                            onChange={(e) => { setSortOrder(e.target.value); setPage(1); }}
+                            className="w-full md:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm sm:text-base dark:text-gray-100"
+                        >
+                            {sortOptions.map(option => (
+                                <option key={option.value} value={option.value} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex flex-col sm:flex-row gap-3 sm:gap-4">
+                        <div className="flex gap-3 sm:gap-4">
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder="Min KSh"
+                                value={minPrice}
+                                onChange={(e) => setMinPrice(e.target.value)}
+                                className="w-full sm:w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder="Max KSh"
+                                value={maxPrice}
+                                onChange={(e) => setMaxPrice(e.target.value)}
+                                className="w-full sm:w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                            />
+                        </div>
+                        <div className="flex-1 relative">
+                            <MapPin className="absolute left-3 top-2.5 h-4 w-4 text-gray-400 dark:text-gray-500" />
+                            <input
+                                type="text"
+                                placeholder="Location, e.g. Ndagani"
+                                value={locationFilter}
+                                onChange={(e) => setLocationFilter(e.target.value)}
+                                className="w-full pl-9 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent bg-white dark:bg-gray-700 text-sm dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                            />
+                        </div>
+                        {currentUser && (
+                            <button
+                                onClick={handleSaveSearch}
+                                className="px-4 py-2 border border-blue-600 dark:border-blue-500 text-blue-600 dark:text-blue-400 rounded-lg hover:bg-blue-50 dark:hover:bg-gray-700 transition duration-200 flex items-center justify-center space-x-2 text-sm"
+                                title="Get alerts when new items match this search"
+                            >
+                                <Bookmark size={16} />
+                                <span>Save Search</span>
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {/* Saved Searches - manage searches and see new matches */}
+                {currentUser && showSavedSearches && (
+                    <SavedSearches
+                        onApply={applySavedSearch}
+                        lastNotification={lastNotification}
+                        onUnreadChange={setUnreadAlerts}
+                        setError={setError}
+                        setNotice={setNotice}
+                        onClose={() => setShowSavedSearches(false)}
+                    />
+                )}
+
+                {/* Admin Panel - Only rendered for admins who opened it */}
+                {currentUser && currentUser.role === 'admin' && showAdmin && (
+                    <AdminPanel
+                        onListingsChanged={refreshProducts}
+                        setError={setError}
+                        setNotice={setNotice}
+                    />
+                )}
+
+                {/* Inbox - in-app conversations with buyers and sellers */}
+                {currentUser && showInbox && (
+                    <Inbox
+                        currentUser={currentUser}
+                        initialConversationId={inboxConversationId}
+                        onUnreadChange={setUnreadMessages}
+                        lastNotification={lastNotification}
+                        setError={setError}
+                        onClose={() => setShowInbox(false)}
+                    />
+                )}
+
+                {/* Review prompts for items sold to the user - renders nothing when there are none */}
+                {currentUser && (
+                    <PendingReviews
+                        lastNotification={lastNotification}
+                        setError={setError}
+                        setNotice={setNotice}
+                    />
+                )}
+
+                {/* User Dashboard and Saved Items tabs - Only rendered if currentUser exists */}
+                {currentUser && (
+                    <>
+                        <div className="flex space-x-2 mb-3">
+                            {[{ id: 'listings', label: 'Your Listings' }, { id: 'saved', label: `Saved Items (${favoriteIds.length})` }].map(tab => (
+                                <button
+                                    key={tab.id}
+                                    onClick={() => setDashboardTab(tab.id)}
+                                    className={`px-3 py-1.5 text-sm rounded-lg transition duration-200 ${
+                                        dashboardTab === tab.id
+                                            ? 'bg-blue-600 text-white'
+                                            : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                    }`}
+                                >
+                                    {tab.label}
+                                </button>
+                            ))}
+                        </div>
+                        {dashboardTab === 'listings' ? (
+                            <UserDashboard
+                                currentUser={currentUser}
+                                userItems={userItems}
+                                pendingOffers={pendingOffers}
+                                listingStats={listingStats}
+                                setEditingItem={startEditingItem}
+                                handleDeleteItem={handleDeleteItem}
+                                handleMarkSold={handleMarkSold}
+                                onOpenOffers={handleOpenOffers}
+                                handleReleaseReservation={handleReleaseReservation}
+                                handleChangeStatus={handleChangeStatus}
+                                handleRenew={handleRenew}
+                                handleBulkAction={handleBulkAction}
+                                handleExportListings={handleExportListings}
+                                onImportListings={() => setShowImport(true)}
+                                setShowAddItem={setShowAddItem}
+                            />
+                        ) : (
+                            <SavedItems
+                                favoritesVersion={favoritesVersion}
+                                onToggleFavorite={handleToggleFavorite}
+                                handleMessageSeller={handleMessageSeller}
+                                setError={setError}
+                            />
+                        )}
+                    </>
+                )}
+
+                {/* All Available Items Grid */}
+                <div className="flex justify-between items-baseline mb-4 sm:mb-6">
+                    <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Available Items</h2>
+                    {!loading && (
+                        <span className="text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                            {pagination.total} {pagination.total === 1 ? 'item' : 'items'} found
+                        </span>
+                    )}
+                </div>
+                {loading ? (
+                    <div className="text-center py-6 sm:py-12 col-span-full">
+                        <p className="text-gray-500 dark:text-gray-400 text-base sm:text-lg">Loading items...</p>
+                    </div>
+                ) : items.length > 0 ? (
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 sm:gap-6">
+                        {items.map(item => (
+                            <div
+                                key={item.id}
+                                ref={observeListingView}
+                                data-product-id={item.id}
+                                className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden hover:shadow-lg transition-shadow duration-300"
+                            >
+                                <div className="relative">
+                                    <ImageGallery images={item.images} coverUrl={item.image_url} title={item.title} />
+                                    {(!currentUser || currentUser.id !== item.seller_id) && (
+                                        <button
+                                            onClick={() => handleToggleFavorite(item.id)}
+                                            className={`absolute top-2 left-2 p-1.5 rounded-full bg-white/80 dark:bg-gray-900/70 hover:scale-110 transition duration-200 ${
+                                                favoriteIds.includes(item.id) ? 'text-red-500' : 'text-gray-600 dark:text-gray-300'
+                                            }`}
+                                            title={favoriteIds.includes(item.id) ? 'Remove from Saved Items' : 'Save Item'}
+                                        >
+                                            <Heart size={18} fill={favoriteIds.includes(item.id) ? 'currentColor' : 'none'} />
+                                        </button>
+                                    )}
+                                    {item.sold && (
+                                        <div className="absolute top-2 right-2 bg-red-500 text-white px-2 py-0.5 rounded-md text-xs font-semibold">
+                                            SOLD
+                                        </div>
+                                    )}
+                                    {item.status === 'reserved' && (
+                                        <div className="absolute top-2 right-2 bg-blue-500 text-white px-2 py-0.5 rounded-md text-xs font-semibold">
+                                            RESERVED
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="p-3 sm:p-4">
+                                    <h3 className="font-semibold text-base sm:text-lg mb-1 text-gray-900 dark:text-gray-100 truncate">{item.title}</h3>
+                                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                                        <p className="text-xl sm:text-2xl font-bold text-blue-600 dark:text-blue-400">KSh {item.price}</p>
+                                        {hasRecentPriceDrop(item) && (
+                                            <span
+                                                className="flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200"
+                                                title={`Price dropped on ${new Date(item.price_changed_at).toLocaleDateString()}`}
+                                            >
+                                                <TrendingDown size={12} />
+                                                <span>Price dropped · was <span className="line-through">KSh {item.previous_price}</span></span>
+                                            </span>
+                                        )}
+                                    </div>
+                                    <p className="text-gray-600 dark:text-gray-300 text-xs sm:text-sm mb-2 line-clamp-3">{item.description}</p>
+                                    <div className="flex items-center text-xs sm:text-sm text-gray-500 dark:text-gray-400 mb-2">
+                                        <MapPin size={14} className="mr-1 text-gray-400 dark:text-gray-500" />
+                                        <span>{item.location}</span>
+                                    </div>
+                                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center text-xs sm:text-sm text-gray-500 dark:text-gray-400 mt-3 space-y-1 sm:space-y-0">
+                                        <span className="bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 px-2 py-0.5 rounded-full text-xs font-medium">{item.category}</span>
+                                        <span>by <button
+                                            onClick={() => setProfileSellerId(item.seller_id)}
+                                            className="font-medium text-gray-700 dark:text-gray-200 hover:underline"
+                                            title="View Seller Profile"
+                                        >{item.seller_name}</button></span>
+                                    </div>
+                                    {!item.sold && (!currentUser || currentUser.id !== item.seller_id) && (
+                                        <button
+                                            onClick={() => handleMessageSeller(item)}
+                                            className="w-full mt-3 sm:mt-4 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 flex items-center justify-center space-x-2 text-sm sm:text-base"
+                                        >
+                                            <MessageCircle size={18} />
+                                            <span>Message Seller</span>
+                                        </button>
+                                    )}
+                                    {!item.sold && (!currentUser || currentUser.id !== item.seller_id) && (
+                                        <button
+                                            onClick={() => handleOpenOffers(item)}
+                                            className="w-full mt-2 border border-blue-600 text-blue-600 dark:text-blue-400 py-2 rounded-lg hover:bg-blue-50 dark:hover:bg-gray-700 transition duration-200 flex items-center justify-center space-x-2 text-sm sm:text-base"
+                                        >
+                                            <HandCoins size={18} />
+                                            <span>{item.status === 'reserved' ? 'Reserved · View Offers' : 'Make Offer'}</span>
+                                        </button>
+                                    )}
+                                    {!item.sold && item.contact_number && (
+                                        <button
+                                            onClick={() => handleContactSeller(item)}
+                                            className="w-full mt-2 bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 transition duration-200 ease-in-out transform hover:scale-105 flex items-center justify-center space-x-2 text-sm sm:text-base"
+                                        >
+                                            <img src="https://upload.wikimedia.org/wikipedia/commons/6/6b/WhatsApp.svg" alt="WhatsApp" className="w-4 h-4 sm:w-5 sm:h-5" />
+                                            <span>WhatsApp Seller</span>
+                                        </button>
+                                    )}
+                                    {currentUser && currentUser.id !== item.seller_id && (
+                                        <button
+                                            onClick={() => handleReportItem(item.id)}
+                                            className="mt-2 text-xs text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400 flex items-center space-x-1 transition duration-200"
+                                            title="Report this listing"
+                                        >
+                                            <Flag size={12} />
+                                            <span>Report</span>
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="text-center py-6 sm:py-12 col-span-full">
+                        <p className="text-gray-500 dark:text-gray-400 text-base sm:text-lg">No items found matching your search or filters.</p>
+                    </div>
+                )}
+
+                {/* Pagination controls */}
+                {!loading && pagination.total_pages > 1 && (
+                    <div className="flex justify-center items-center space-x-4 mt-6 sm:mt-8">
+                        <button
+                            onClick={() => setPage(page - 1)}
+                            disabled={page <= 1}
+                            className="p-2 rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-200"
+                            title="Previous Page"
+                        >
+                            <ChevronLeft size={18} />
+                        </button>
+                        <span className="text-sm text-gray-600 dark:text-gray-300">
+                            Page {pagination.page} of {pagination.total_pages}
+                        </span>
+                        <button
+                            onClick={() => setPage(page + 1)}
+                            disabled={page >= pagination.total_pages}
+                            className="p-2 rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-200"
+                            title="Next Page"
+                        >
+                            <ChevronRight size={18} />
+                        </button>
+                    </div>
+                )}
+            </main>
+
+            {/* Authentication Modal (Login/Sign Up/Password Reset) */}
+            {/* Seller Profile Modal */}
+            {profileSellerId && (
+                <SellerProfile
+                    sellerId={profileSellerId}
+                    currentUser={currentUser}
+                    lastNotification={lastNotification}
+                    setError={setError}
+                    setNotice={setNotice}
+                    onClose={() => setProfileSellerId(null)}
+                />
+            )}
+
+            {/* Offers Modal - negotiation history and actions for one buyer and item */}
+            {currentUser && offerThread && (
+                <OfferThread
+                    product={offerThread.product}
+                    buyerId={offerThread.buyerId}
+                    currentUser={currentUser}
+                    lastNotification={lastNotification}
+                    onChanged={() => {
+                        fetchPendingOffers();
+                        refreshProducts();
+                    }}
+                    setNotice={setNotice}
+                    onClose={() => setOfferThread(null)}
+                />
+            )}
+
+            {/* Import Modal - check a CSV of listings, then create them all at once */}
+            {currentUser && showImport && (
+                <ListingImport
+                    onImported={refreshProducts}
+                    setNotice={setNotice}
+                    onClose={() => setShowImport(false)}
+                />
+            )}
+
+            {/* Mark Sold Modal - choose which of the interested users bought the item */}
+            {saleDialog && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Who bought it?</h2>
+                            <button
+                                onClick={() => setSaleDialog(null)}
+                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                title="Close"
+                            >
+                                <X size={18}/>
+                            </button>
+                        </div>
+                        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+                            Marking &quot;{saleDialog.item.title}&quot; as sold. The buyer you pick will be asked to rate you.
+                        </p>
+                        <div className="space-y-2 mb-4">
+                            {[...saleDialog.candidates, { id: '', name: 'Someone else' }].map(candidate => (
+                                <label key={candidate.id} className="flex items-center space-x-2 text-sm">
+                                    <input
+                                        type="radio"
+                                        name="sale-buyer"
+                                        checked={saleDialog.buyerId === String(candidate.id)}
+                                        onChange={() => setSaleDialog({ ...saleDialog, buyerId: String(candidate.id) })}
+                                        className="text-blue-600 focus:ring-blue-500"
+                                    />
+                                    <span>{candidate.name}</span>
+                                </label>
+                            ))}
+                        </div>
+                        <button
+                            onClick={() => recordSale(saleDialog.item.id, saleDialog.buyerId || null)}
+                            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200"
+                        >
+                            Mark as Sold
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {showAuth && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">
+                                {authTitles[authMode]}
+                            </h2>
+                            <button
+                                onClick={() => { setShowAuth(false); setAuthErrors({}); }}
+                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                title="Close"
+                            >
+                                <X size={18}/>
+                            </button>
+                        </div>
+                        {authNotice && (
+                            <div className="bg-green-100 dark:bg-green-900 border border-green-400 dark:border-green-700 text-green-700 dark:text-green-200 px-3 py-2 rounded-lg mb-4 text-sm" role="status">
+                                {authNotice}
+                            </div>
+                        )}
+                        {rateLimits.auth && (authMode === 'login' || authMode === 'signup') && (
+                            <RateLimitNotice limit={rateLimits.auth} onExpire={clearAuthRateLimit} />
+                        )}
+                        <form onSubmit={authMode === 'forgot' ? handleForgotPassword : authMode === 'reset' ? handleResetPassword : handleAuth}>
+                            {authMode === 'signup' && (
+                                <div className="mb-4">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                                    <input
+                                        type="text"
+                                        required
+                                        value={authData.name}
+                                        onChange={(e) => setAuthData({ ...authData, name: e.target.value })}
+                                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    />
+                                    <FieldError message={authErrors.name} />
+                                </div>
+                            )}
+                            {authMode !== 'reset' && (
+                                <div className={authMode === 'forgot' ? 'mb-6' : 'mb-4'}>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
+                                    <input
+                                        type="email"
+                                        required
+                                        value={authData.email}
+                                        onChange={(e) => setAuthData({ ...authData, email: e.target.value })}
+                                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    />
+                                    <FieldError message={authErrors.email} />
+                                    {authMode === 'forgot' && (
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">We&apos;ll email you a link to choose a new password.</p>
+                                    )}
+                                </div>
+                            )}
+                            {authMode !== 'forgot' && (
+                                <div className={authMode === 'reset' ? 'mb-4' : 'mb-6'}>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                        {authMode === 'reset' ? 'New Password' : 'Password'}
+                                    </label>
+                                    <input
+                                        type="password"
+                                        required
+                                        minLength={authMode === 'reset' ? MIN_PASSWORD_LENGTH : undefined}
+                                        value={authData.password}
+                                        onChange={(e) => setAuthData({ ...authData, password: e.target.value })}
+                                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    />
+                                    <FieldError message={authErrors.password} />
+                                    {authMode === 'login' && (
+                                        <button
+                                            type="button"
+                                            onClick={() => switchAuthMode('forgot')}
+                                            className="text-xs text-blue-600 hover:text-blue-700 dark:hover:text-blue-400 font-medium mt-1"
+                                        >
+                                            Forgot password?
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                            {authMode === 'reset' && (
+                                <div className="mb-6">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Confirm New Password</label>
+                                    <input
+                                        type="password"
+                                        required
+                                        value={authData.confirmPassword}
+                                        onChange={(e) => setAuthData({ ...authData, confirmPassword: e.target.value })}
+                                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    />
+                                </div>
+                            )}
+                            <button
+                                type="submit"
+                                disabled={Boolean(rateLimits.auth) && (authMode === 'login' || authMode === 'signup')}
+                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm mb-4 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                            >
+                                {authSubmitLabels[authMode]}
+                            </button>
+                            <p className="text-center text-xs sm:text-sm text-gray-600 dark:text-gray-400">
+                                {authMode === 'login' ? "Don't have an account? " : authMode === 'signup' ? "Already have an account? " : "Remembered your password? "}
+                                <button
+                                    type="button"
+                                    onClick={() => switchAuthMode(authMode === 'login' ? 'signup' : 'login')}
+                                    className="text-blue-600 hover:text-blue-700 dark:hover:text-blue-400 font-medium"
+                                >
+                                    {authMode === 'login' ? 'Sign up' : 'Login'}
+                                </button>
+                            </p>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Add Item Modal */}
+            {showAddItem && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Add New Item</h2>
+                            <button
+                                onClick={() => { setShowAddItem(false); setNewItemErrors({}); }}
+                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                title="Close"
+                            >
+                                <X size={10} className="sm:size-24" />
+                            </button>
+                        </div>
+                        {rateLimits.listing && <RateLimitNotice limit={rateLimits.listing} onExpire={clearListingRateLimit} />}
+                        <form onSubmit={handleAddItem}>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={newItem.title}
+                                    onChange={(e) => setNewItem({ ...newItem, title: e.target.value })}
+                                    maxLength={listingRules.title.maxLength}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                />
+                                <FieldError message={newItemErrors.title} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Price (KSh)</label>
+                                <input
+                                    type="number"
+                                    required
+                                    min="0"
+                                    step="0.01"
+                                    value={newItem.price}
+                                    onChange={(e) => setNewItem({ ...newItem, price: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                />
+                                <FieldError message={newItemErrors.price} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Category</label>
+                                <select
+                                    required
+                                    value={newItem.category}
+                                    onChange={(e) => setNewItem({ ...newItem, category: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                >
+                                    {categories.filter(c => c !== 'all').map(cat => (
+                                        <option key={cat} value={cat} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">{cat}</option>
+                                    ))}
+                                </select>
+                                <FieldError message={newItemErrors.category} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
+                                <textarea
+                                    required
+                                    value={newItem.description}
+                                    onChange={(e) => setNewItem({ ...newItem, description: e.target.value })}
+                                    maxLength={listingRules.description.maxLength}
+                                    rows="3"
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none resize-y bg-white dark:bg-gray-700 text-sm"
+                                ></textarea>
+                                <FieldError message={newItemErrors.description} />
+                            </div>
+                            <div className="mb-4">
+                                <ImagePicker
+                                    files={newItem.image_files}
+                                    onChange={(files) => setNewItem({ ...newItem, image_files: files })}
+                                    maxFiles={MAX_IMAGES_PER_ITEM}
+                                />
+                                <FieldError message={newItemErrors.images} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Location</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={newItem.location}
+                                    onChange={(e) => setNewItem({ ...newItem, location: e.target.value })}
+                                    maxLength={listingRules.location.maxLength}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    placeholder="e.g., Main Campus, Hostel Block B"
+                                />
+                                <FieldError message={newItemErrors.location} />
+                            </div>
+                            <div className="mb-6">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Contact Number (WhatsApp, optional)</label>
+                                <input
+                                    type="tel"
+                                    value={newItem.contact_number}
+                                    onChange={(e) => setNewItem({ ...newItem, contact_number: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    placeholder="e.g., 0712345678 or 254712345678"
+                                />
+                                <FieldError message={newItemErrors.contact_number} />
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Kenyan mobile numbers only. Leave empty to only be contacted through in-app messages.</p>
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={Boolean(rateLimits.listing)}
+                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                            >
+                                Add Item
+                            </button>
+                            <button
+                                type="submit"
+                                value="draft"
+                                disabled={Boolean(rateLimits.listing)}
+                                className="w-full mt-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Save as Draft
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Edit Item Modal */}
+            {editingItem && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Edit Item</h2>
+                            <button
+                                onClick={() => setEditingItem(null)}
+                                className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                title="Close"
+                            >
+                                <X size={10} className="sm:size-24" />
+                            </button>
+                        </div>
+                        <form onSubmit={handleEditItem}>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={editForm.title}
+                                    onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                                    maxLength={listingRules.title.maxLength}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                />
+                                <FieldError message={editErrors.title} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Price (KSh)</label>
+                                <input
+                                    type="number"
+                                    required
+                                    min="0"
+                                    step="0.01"
+                                    value={editForm.price}
+                                    onChange={(e) => setEditForm({ ...editForm, price: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                />
+                                <FieldError message={editErrors.price} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Category</label>
+                                <select
+                                    required
+                                    value={editForm.category}
+                                    onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                >
+                                    {categories.filter(c => c !== 'all').map(cat => (
+                                        <option key={cat} value={cat} className="bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">{cat}</option>
+                                    ))}
+                                </select>
+                                <FieldError message={editErrors.category} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
+                                <textarea
+                                    required
+                                    value={editForm.description}
+                                    onChange={(e) => setEditForm({ ...editForm, description: e.target.value })}
+                                    maxLength={listingRules.description.maxLength}
+                                    rows="3"
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none resize-y bg-white dark:bg-gray-700 text-sm"
+                                ></textarea>
+                                <FieldError message={editErrors.description} />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Current Photos</label>
+                                {editForm.images.length > 0 ? (
+                                    <div className="grid grid-cols-4 gap-2 mb-3">
+                                        {editForm.images.map((image, index) => (
+                                            <div key={image.id} className="relative">
+                                                <img src={image.url} alt={`${editForm.title} photo ${index + 1}`} className="w-full h-16 object-cover rounded-md" />
+                                                {index === 0 ? (
+                                                    <span className="absolute bottom-0.5 left-0.5 bg-blue-600 text-white px-1 rounded text-[10px] font-semibold">Cover</span>
+                                                ) : (
+                                                    <div className="absolute bottom-0.5 left-0.5 flex space-x-0.5">
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleSetCoverImage(image.id)}
+                                                            className="bg-black bg-opacity-50 text-white p-0.5 rounded hover:bg-opacity-70"
+                                                            title="Make Cover"
+                                                        >
+                                                            <Star size={12} />
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleMoveImageLeft(index)}
+                                                            className="bg-black bg-opacity-50 text-white p-0.5 rounded hover:bg-opacity-70"
+                                                            title="Move Left"
+                                                        >
+                                                            <ChevronLeft size={12} />
+                                                        </button>
+                                                    </div>
+                                                )}
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleRemoveImage(image.id)}
+                                                    className="absolute top-0.5 right-0.5 bg-black bg-opacity-50 text-white p-0.5 rounded-full hover:bg-opacity-70"
+                                                    title="Remove Photo"
+                                                >
+                                                    <X size={12} />
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">This listing has no photos yet.</p>
+                                )}
+                                <ImagePicker
+                                    label="Add Photos (Optional)"
+                                    files={editForm.image_files}
+                                    onChange={(files) => setEditForm({ ...editForm, image_files: files })}
+                                    maxFiles={MAX_IMAGES_PER_ITEM - editForm.images.length}
+                                    markCover={false}
+                                />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Location</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={editForm.location}
+                                    onChange={(e) => setEditForm({ ...editForm, location: e.target.value })}
+                                    maxLength={listingRules.location.maxLength}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    placeholder="e.g., Main Campus, Hostel Block B"
+                                />
+                                <FieldError message={editErrors.location} />
+                            </div>
+                            <div className="mb-6">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Contact Number (WhatsApp, optional)</label>
+                                <input
+                                    type="tel"
+                                    value={editForm.contact_number}
+                                    onChange={(e) => setEditForm({ ...editForm, contact_number: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm"
+                                    placeholder="e.g., 0712345678 or 254712345678"
+                                />
+                                <FieldError message={editErrors.contact_number} />
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Kenyan mobile numbers only. Leave empty to only be contacted through in-app messages.</p>
+                            </div>
+                            <div className="mb-6 flex items-center">
+                                <input
+                                    type="checkbox"
+                                    id="soldCheckbox"
+                                    checked={editForm.sold}
+                                    onChange={(e) => setEditForm({ ...editForm, sold: e.target.checked })}
+                                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                                />
+                                <label htmlFor="soldCheckbox" className="ml-2 block text-sm text-gray-900 dark:text-gray-100">Mark as Sold</label>
+                            </div>
+                            <button
+                                type="submit"
+                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 text-sm"
+                            >
+                                Update Item
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
 export default CampusMarketplace;
\ No newline at end of file
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const PLACEHOLDER_IMAGE = `https://placehold.co/300x200/cccccc/333333/ffffff/ffffff?text=No+Image`;
+
+// Photo carousel for an item card. Falls back to the single cover image_url for items without an images array.
+const ImageGallery = ({ images, coverUrl, title }) => {
+    const [index, setIndex] = useState(0);
+
+    const urls = images && images.length > 0
+        ? images.map(image => image.url)
+        : [coverUrl || PLACEHOLDER_IMAGE];
+    const currentIndex = Math.min(index, urls.length - 1);
+
+    const showPrevious = (e) => {
+        e.stopPropagation();
+        setIndex((currentIndex - 1 + urls.length) % urls.length);
+    };
+
+    const showNext = (e) => {
+        e.stopPropagation();
+        setIndex((currentIndex + 1) % urls.length);
+    };
+
+    return (
+        <div className="relative group">
+            <img
+                src={urls[currentIndex]}
+                alt={title}
+                className="w-full h-40 sm:h-48 object-cover"
+                onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE; }}
+            />
+            {urls.length > 1 && (
+                <>
+                    <button
+                        type="button"
+                        onClick={showPrevious}
+                        className="absolute left-1 top-1/2 -translate-y-1/2 bg-black bg-opacity-40 text-white p-1 rounded-full hover:bg-opacity-60 transition duration-200"
+                        title="Previous Photo"
+                    >
+                        <ChevronLeft size={16} />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={showNext}
+                        className="absolute right-1 top-1/2 -translate-y-1/2 bg-black bg-opacity-40 text-white p-1 rounded-full hover:bg-opacity-60 transition duration-200"
+                        title="Next Photo"
+                    >
+                        <ChevronRight size={16} />
+                    </button>
+                    <div className="absolute bottom-2 left-0 right-0 flex justify-center space-x-1">
+                        {urls.map((url, dotIndex) => (
+                            <span
+                                key={url}
+                                className={`w-1.5 h-1.5 rounded-full ${dotIndex === currentIndex ? 'bg-white' : 'bg-white bg-opacity-50'}`}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ImageGallery;
@@ -0,0 +1,73 @@
+import React, { useEffect, useMemo } from 'react';
+import { Star, X } from 'lucide-react';
+
+// Multi-image picker used by the Add/Edit Item modals.
+// `files` is the list of selected File objects; the first one is uploaded first (and becomes the cover of a new listing).
+const ImagePicker = ({ files, onChange, maxFiles, label = 'Upload Photos', markCover = true }) => {
+    // Object URLs for the previews, released when the selection changes or the modal closes
+    const previews = useMemo(() => files.map(file => URL.createObjectURL(file)), [files]);
+    useEffect(() => () => previews.forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+    const handleSelect = (e) => {
+        const selected = Array.from(e.target.files);
+        onChange([...files, ...selected].slice(0, maxFiles));
+        e.target.value = ''; // Allow picking the same file again after removing it
+    };
+
+    const removeFile = (index) => onChange(files.filter((_, fileIndex) => fileIndex !== index));
+
+    const makeFirst = (index) => onChange([files[index], ...files.filter((_, fileIndex) => fileIndex !== index)]);
+
+    const remaining = maxFiles - files.length;
+
+    return (
+        <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{label}</label>
+            {files.length > 0 && (
+                <div className="grid grid-cols-4 gap-2 mb-2">
+                    {files.map((file, index) => (
+                        <div key={previews[index]} className="relative">
+                            <img src={previews[index]} alt={file.name} className="w-full h-16 object-cover rounded-md" />
+                            {markCover && index === 0 ? (
+                                <span className="absolute bottom-0.5 left-0.5 bg-blue-600 text-white px-1 rounded text-[10px] font-semibold">Cover</span>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={() => makeFirst(index)}
+                                    className="absolute bottom-0.5 left-0.5 bg-black bg-opacity-50 text-white p-0.5 rounded hover:bg-opacity-70"
+                                    title={markCover ? 'Make Cover' : 'Move to Front'}
+                                >
+                                    <Star size={12} />
+                                </button>
+                            )}
+                            <button
+                                type="button"
+                                onClick={() => removeFile(index)}
+                                className="absolute top-0.5 right-0.5 bg-black bg-opacity-50 text-white p-0.5 rounded-full hover:bg-opacity-70"
+                                title="Remove Photo"
+                            >
+                                <X size={12} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {remaining > 0 ? (
+                <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/gif"
+                    multiple
+                    onChange={handleSelect}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-xs file:font-semibold file:bg-blue-50 file:text-blue-700 file:dark:bg-blue-800 file:dark:text-blue-100 hover:file:bg-blue-100 hover:file:dark:bg-blue-700 text-sm"
+                />
+            ) : (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Photo limit reached.</p>
+            )}
+            {remaining > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">You can add {remaining} more photo{remaining === 1 ? '' : 's'} (JPEG, PNG or GIF, 5 MB each).</p>
+            )}
+        </div>
+    );
+};
+
+export default ImagePicker;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ArrowLeft, Send, X } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// In-app conversations between buyers and sellers: the conversation list on the left, the open thread on the right.
+// `initialConversationId` opens a thread straight away (e.g. after "Message Seller").
+// `lastNotification` is the latest personal event from the live stream; new messages and read receipts show up as they arrive.
+const Inbox = ({ currentUser, initialConversationId, lastNotification, onUnreadChange, setError, onClose }) => {
+    const [conversations, setConversations] = useState([]);
+    const [activeConversationId, setActiveConversationId] = useState(initialConversationId || null);
+    const [thread, setThread] = useState(null); // { conversation, messages, has_more }
+    const [draft, setDraft] = useState('');
+    const [sending, setSending] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const messagesEndRef = useRef(null);
+    const handledNotificationRef = useRef(null);
+
+    const loadConversations = useCallback(async () => {
+        try {
+            const response = await authFetch('/conversations');
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to load your messages.');
+            }
+            setConversations(data.conversations);
+            onUnreadChange(data.unread_total);
+        } catch (err) {
+            console.error('Error loading conversations:', err);
+            setError(err.message || 'An error occurred while loading your messages.');
+        } finally {
+            setLoading(false);
+        }
+    }, [onUnreadChange, setError]);
+
+    useEffect(() => {
+        loadConversations();
+    }, [loadConversations]);
+
+    useEffect(() => {
+        if (initialConversationId) setActiveConversationId(initialConversationId);
+    }, [initialConversationId]);
+
+    // Load the open thread and mark it read, then refresh the unread counts
+    useEffect(() => {
+        if (!activeConversationId) {
+            setThread(null);
+            return;
+        }
+
+        const openConversation = async () => {
+            setThread(null);
+            try {
+                const response = await authFetch(`/conversations/${activeConversationId}/messages`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw apiError(response, data, 'Failed to load the conversation.');
+                }
+                setThread(data);
+
+                await authFetch(`/conversations/${activeConversationId}/read`, { method: 'POST' });
+                loadConversations();
+            } catch (err) {
+                console.error('Error opening conversation:', err);
+                setError(err.message || 'An error occurred while opening the conversation.');
+            }
+        };
+        openConversation();
+    }, [activeConversationId, loadConversations, setError]);
+
+    // Apply live notifications: append incoming messages to the open thread and mark sent ones as read
+    useEffect(() => {
+        // Each notification is applied once, not again when the user switches threads
+        if (!lastNotification || lastNotification === handledNotificationRef.current) return;
+        handledNotificationRef.current = lastNotification;
+
+        const inOpenThread = lastNotification.conversation_id === activeConversationId;
+        if (lastNotification.type === 'message') {
+            if (inOpenThread) {
+                const { message } = lastNotification;
+                setThread(current => (current && !current.messages.some(existing => existing.id === message.id)
+                    ? { ...current, messages: [...current.messages, message] }
+                    : current));
+                authFetch(`/conversations/${activeConversationId}/read`, { method: 'POST' })
+                    .then(loadConversations)
+                    .catch(err => console.error('Error marking conversation read:', err));
+            } else {
+                loadConversations();
+            }
+        } else if (lastNotification.type === 'messages_read' && inOpenThread) {
+            const readAt = new Date().toISOString();
+            setThread(current => current && {
+                ...current,
+                messages: current.messages.map(message => (
+                    message.sender_id === currentUser.id && !message.read_at ? { ...message, read_at: readAt } : message
+                ))
+            });
+        }
+    }, [lastNotification, activeConversationId, currentUser.id, loadConversations]);
+
+    // Keep the newest message in view
+    const lastMessageId = thread && thread.messages.length ? thread.messages[thread.messages.length - 1].id : null;
+    useEffect(() => {
+        if (messagesEndRef.current) messagesEndRef.current.scrollIntoView({ block: 'end' });
+    }, [lastMessageId]);
+
+    const loadOlderMessages = async () => {
+        try {
+            const response = await authFetch(`/conversations/${activeConversationId}/messages?before=${thread.messages[0].id}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to load older messages.');
+            }
+            setThread({ ...thread, messages: [...data.messages, ...thread.messages], has_more: data.has_more });
+        } catch (err) {
+            console.error('Error loading older messages:', err);
+            setError(err.message || 'An error occurred while loading older messages.');
+        }
+    };
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body) return;
+
+        setSending(true);
+        try {
+            const response = await authFetch(`/conversations/${activeConversationId}/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to send your message.');
+            }
+
+            setThread({ ...thread, messages: [...thread.messages, data.sent] });
+            setDraft('');
+            loadConversations();
+        } catch (err) {
+            console.error('Error sending message:', err);
+            setError(err.message || 'An error occurred while sending your message.');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Messages</h2>
+                <button
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 p-1"
+                    title="Close Messages"
+                >
+                    <X size={20} />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {/* Conversation list - hidden on small screens while a thread is open */}
+                <ul className={`${activeConversationId ? 'hidden md:block' : ''} md:col-span-1 space-y-2 max-h-[28rem] overflow-y-auto`}>
+                    {loading ? (
+                        <li className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm">Loading...</li>
+                    ) : conversations.length === 0 ? (
+                        <li className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm">No messages yet. Use &quot;Message Seller&quot; on a listing to start a conversation.</li>
+                    ) : conversations.map(conversation => (
+                        <li key={conversation.id}>
+                            <button
+                                onClick={() => setActiveConversationId(conversation.id)}
+                                className={`w-full text-left p-3 rounded-lg border transition duration-200 ${
+                                    conversation.id === activeConversationId
+                                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/40'
+                                        : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+                                }`}
+                            >
+                                <div className="flex justify-between items-center">
+                                    <span className="font-semibold text-sm text-gray-900 dark:text-gray-100 truncate">{conversation.other_user_name}</span>
+                                    {conversation.unread_count > 0 && (
+                                        <span className="ml-2 bg-blue-600 text-white rounded-full px-2 text-xs font-semibold">{conversation.unread_count}</span>
+                                    )}
+                                </div>
+                                <p className="text-xs text-blue-600 dark:text-blue-400 truncate">
+                                    {conversation.product_title}{conversation.product_sold ? ' (sold)' : ''}
+                                </p>
+                                <p className={`text-xs truncate ${conversation.unread_count > 0 ? 'text-gray-900 dark:text-gray-100 font-medium' : 'text-gray-500 dark:text-gray-400'}`}>
+                                    {conversation.last_message || 'No messages yet'}
+                                </p>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                {/* Open thread */}
+                <div className={`${activeConversationId ? '' : 'hidden md:flex'} md:col-span-2 flex flex-col border border-gray-200 dark:border-gray-700 rounded-lg min-h-[20rem]`}>
+                    {!thread ? (
+                        <p className="m-auto text-gray-500 dark:text-gray-400 text-sm">
+                            {activeConversationId ? 'Loading conversation...' : 'Select a conversation to read it.'}
+                        </p>
+                    ) : (
+                        <>
+                            <div className="flex items-center space-x-2 p-3 border-b border-gray-200 dark:border-gray-700">
+                                <button
+                                    onClick={() => setActiveConversationId(null)}
+                                    className="md:hidden text-gray-500 dark:text-gray-400 p-1"
+                                    title="Back to Conversations"
+                                >
+                                    <ArrowLeft size={18} />
+                                </button>
+                                {thread.conversation.product_image_url && (
+                                    <img src={thread.conversation.product_image_url} alt={thread.conversation.product_title} className="w-10 h-10 object-cover rounded-md" />
+                                )}
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-sm text-gray-900 dark:text-gray-100 truncate">{thread.conversation.other_user_name}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                                        {thread.conversation.product_title} &middot; KSh {thread.conversation.product_price}
+                                    </p>
+                                </div>
+                            </div>
+
+                            <div className="flex-1 overflow-y-auto p-3 space-y-2 max-h-[22rem]">
+                                {thread.has_more && (
+                                    <button
+                                        onClick={loadOlderMessages}
+                                        className="block mx-auto text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                                    >
+                                        Load older messages
+                                    </button>
+                                )}
+                                {thread.messages.length === 0 && (
+                                    <p className="text-center text-gray-500 dark:text-gray-400 text-sm py-6">Say hello! Ask the seller anything about this item.</p>
+                                )}
+                                {thread.messages.map(message => {
+                                    const mine = message.sender_id === currentUser.id;
+                                    return (
+                                        <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                                            <div className={`max-w-[80%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap break-words ${
+                                                mine ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+                                            }`}>
+                                                {message.body}
+                                                <span className={`block text-[10px] mt-1 ${mine ? 'text-blue-100' : 'text-gray-500 dark:text-gray-400'}`}>
+                                                    {formatTime(message.created_at)}{mine && message.read_at ? ' · Read' : ''}
+                                                </span>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                                <div ref={messagesEndRef} />
+                            </div>
+
+                            <form onSubmit={handleSend} className="flex items-end space-x-2 p-3 border-t border-gray-200 dark:border-gray-700">
+                                <textarea
+                                    value={draft}
+                                    onChange={(e) => setDraft(e.target.value)}
+                                    maxLength={MAX_MESSAGE_LENGTH}
+                                    rows="2"
+                                    placeholder="Write a message..."
+                                    className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 outline-none bg-white dark:bg-gray-700 text-sm resize-none"
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={sending || !draft.trim()}
+                                    className="bg-blue-600 text-white p-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-200"
+                                    title="Send Message"
+                                >
+                                    <Send size={18} />
+                                </button>
+                            </form>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Inbox;
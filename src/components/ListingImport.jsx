@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+// Import listings from a CSV spreadsheet (POST /api/products/import). The chosen file is checked with a dry run
+// first, which shows every row with its errors and how many rows go over today's listing quota; only a file
+// without errors that fits the quota can then be imported, all at once.
+// `onImported` runs after a successful import.
+const ListingImport = ({ onImported, setNotice, onClose }) => {
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null); // Dry-run answer for `file`: { valid, invalid, quota, rows }
+    const [busy, setBusy] = useState(false);
+    const [formError, setFormError] = useState(null); // Shown inside the modal; the page banner is behind it
+
+    const upload = async (dryRun) => {
+        setFormError(null);
+        setBusy(true);
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            if (dryRun) formData.append('dry_run', 'true');
+
+            const response = await authFetch('/products/import', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) {
+                if (data.rows) setPreview({ rows: data.rows, invalid: data.rows.filter(row => Object.keys(row.errors).length > 0).length });
+                throw apiError(response, data, `Import failed with status ${response.status}`);
+            }
+
+            if (dryRun) {
+                setPreview(data);
+            } else {
+                setNotice(data.message);
+                onImported();
+                onClose();
+            }
+        } catch (err) {
+            console.error('Error importing listings:', err);
+            setFormError(err.message || 'An error occurred while importing the listings.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const overQuota = preview && preview.quota ? preview.quota.over : 0;
+
+    const chooseFile = (e) => {
+        setFile(e.target.files[0] || null);
+        setPreview(null);
+        setFormError(null);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Import Listings</h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            A CSV file with the columns title, price, category, description, location, contact_number (optional)
+                            and status (active or draft; sold, reserved, expired and removed listings come in as drafts). Export your
+                            listings to get a file in the right shape.
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                        title="Close"
+                    >
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-4">
+                    <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        onChange={chooseFile}
+                        className="flex-1 text-sm text-gray-700 dark:text-gray-200"
+                    />
+                    <button
+                        onClick={() => upload(true)}
+                        disabled={!file || busy}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition duration-200 text-sm disabled:opacity-50"
+                    >
+                        Check File
+                    </button>
+                </div>
+
+                {formError && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{formError}</p>}
+
+                {preview && (
+                    <>
+                        <p className="text-sm mb-2">
+                            {preview.rows.length} {preview.rows.length === 1 ? 'listing' : 'listings'} found
+                            {preview.invalid > 0 ? `, ${preview.invalid} with errors to fix in the file before importing.` : ''}
+                            {preview.invalid === 0 && overQuota === 0 ? ', all ready to import.' : ''}
+                        </p>
+                        {overQuota > 0 && (
+                            <p className="text-sm text-red-600 dark:text-red-400 mb-2">
+                                You can list {preview.quota.remaining} more {preview.quota.remaining === 1 ? 'item' : 'items'} today,
+                                so {overQuota} {overQuota === 1 ? 'row goes' : 'rows go'} over the daily limit
+                                of {preview.quota.limit}. Remove them from the file or import them later.
+                            </p>
+                        )}
+                        <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700 mb-4">
+                            <table className="min-w-full text-xs sm:text-sm">
+                                <thead>
+                                    <tr className="bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-left">
+                                        <th className="py-2 px-3">Row</th>
+                                        <th className="py-2 px-3">Title</th>
+                                        <th className="py-2 px-3">Price</th>
+                                        <th className="py-2 px-3">Category</th>
+                                        <th className="py-2 px-3">Status</th>
+                                        <th className="py-2 px-3">Problems</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.map(({ row, values, errors }) => (
+                                        <tr key={row} className="border-t border-gray-200 dark:border-gray-700 align-top">
+                                            <td className="py-2 px-3">{row}</td>
+                                            <td className="py-2 px-3">{values.title}</td>
+                                            <td className="py-2 px-3 whitespace-nowrap">{values.price !== undefined ? `KSh ${values.price}` : ''}</td>
+                                            <td className="py-2 px-3">{values.category}</td>
+                                            <td className="py-2 px-3 capitalize">{values.status}</td>
+                                            <td className="py-2 px-3 text-red-600 dark:text-red-400">
+                                                {Object.values(errors).map(message => <p key={message}>{message}</p>)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <button
+                            onClick={() => upload(false)}
+                            disabled={busy || preview.invalid > 0 || overQuota > 0}
+                            className="w-full bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 transition duration-200 disabled:opacity-50"
+                        >
+                            Import {preview.rows.length} {preview.rows.length === 1 ? 'Listing' : 'Listings'}
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ListingImport;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+const WIDTH = 300;
+const HEIGHT = 80;
+
+// Line chart of daily views and contacts ({ date, views, contacts } per day, oldest first, as returned by
+// GET /api/analytics/listings). Both lines share one scale, so contacts sit low next to views.
+const ListingTrendChart = ({ daily }) => {
+    if (daily.length === 0) return null;
+
+    const peak = Math.max(1, ...daily.map(day => Math.max(day.views, day.contacts)));
+    const step = daily.length > 1 ? WIDTH / (daily.length - 1) : 0;
+    const points = (field) => daily
+        .map((day, index) => `${(index * step).toFixed(1)},${(HEIGHT - (day[field] / peak) * (HEIGHT - 4) - 2).toFixed(1)}`)
+        .join(' ');
+    const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return (
+        <div>
+            <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                preserveAspectRatio="none"
+                className="w-full h-20"
+                role="img"
+                aria-label={`Daily views and contacts, at most ${peak} a day`}
+            >
+                <line x1="0" y1={HEIGHT - 1} x2={WIDTH} y2={HEIGHT - 1} className="stroke-gray-200 dark:stroke-gray-700" strokeWidth="1" />
+                <polyline points={points('views')} fill="none" className="stroke-blue-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                <polyline points={points('contacts')} fill="none" className="stroke-green-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+                <span>{formatDate(daily[0].date)}</span>
+                <span className="space-x-3">
+                    <span className="text-blue-600 dark:text-blue-400">&#9644; Views</span>
+                    <span className="text-green-600 dark:text-green-400">&#9644; Contacts</span>
+                    <span>(peak {peak} a day)</span>
+                </span>
+                <span>{formatDate(daily[daily.length - 1].date)}</span>
+            </div>
+        </div>
+    );
+};
+
+export default ListingTrendChart;
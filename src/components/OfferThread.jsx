@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+const statusStyles = {
+    pending: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
+    accepted: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200',
+    rejected: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200',
+    countered: 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100'
+};
+
+// The offer history between one buyer and the seller of a product, with the actions open to the viewer:
+// answering a pending offer made to them (accept, reject or counter) or, for the buyer, making a new offer.
+// `buyerId` picks the negotiation when the seller opens it; `onChanged` runs after every successful action.
+const OfferThread = ({ product, buyerId, currentUser, lastNotification, onChanged, setNotice, onClose }) => {
+    const [offers, setOffers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [amount, setAmount] = useState('');
+    const [reserve, setReserve] = useState(false);
+    const [formError, setFormError] = useState(null); // Shown inside the modal; the page banner is behind it
+
+    const isSeller = currentUser.id === product.seller_id;
+
+    const loadOffers = useCallback(async () => {
+        try {
+            const response = await authFetch(`/products/${product.id}/offers${isSeller ? `?buyer_id=${buyerId}` : ''}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to load offers.');
+            }
+            setOffers(data);
+        } catch (err) {
+            console.error('Error loading offers:', err);
+            setFormError(err.message || 'An error occurred while loading offers.');
+        } finally {
+            setLoading(false);
+        }
+    }, [product.id, isSeller, buyerId]);
+
+    useEffect(() => {
+        loadOffers();
+    }, [loadOffers]);
+
+    useEffect(() => {
+        if (lastNotification && lastNotification.type === 'offer' && lastNotification.product_id === product.id) loadOffers();
+    }, [lastNotification, product.id, loadOffers]);
+
+    const sendJson = async (path, body) => {
+        setFormError(null);
+        try {
+            const response = await authFetch(path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Request failed with status ${response.status}`);
+            }
+
+            setNotice(data.message);
+            setAmount('');
+            setReserve(false);
+            loadOffers();
+            onChanged();
+        } catch (err) {
+            console.error('Error updating offer:', err);
+            setFormError(err.message || 'An error occurred while updating the offer.');
+        }
+    };
+
+    const latest = offers[offers.length - 1];
+    const awaitingMe = latest && latest.status === 'pending' && latest.sender_id !== currentUser.id;
+    const awaitingThem = latest && latest.status === 'pending' && latest.sender_id === currentUser.id;
+    const canMakeOffer = !isSeller && !(latest && ['pending', 'accepted'].includes(latest.status)) && !product.sold && product.status !== 'reserved';
+
+    const validAmount = () => {
+        if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+            setFormError('Please enter a valid amount.');
+            return false;
+        }
+        return true;
+    };
+
+    const inputClass = 'flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                <div className="flex justify-between items-start mb-4">
+                    <div className="min-w-0">
+                        <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Offers</h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                            {product.title} &middot; listed at KSh {product.price}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                        title="Close"
+                    >
+                        <X size={18} />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <p className="text-center py-4 text-gray-500 dark:text-gray-400 text-sm">Loading...</p>
+                ) : offers.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">No offers yet.</p>
+                ) : (
+                    <ul className="space-y-2 mb-4">
+                        {offers.map(offer => (
+                            <li
+                                key={offer.id}
+                                className={`flex justify-between items-center p-2 rounded-lg border border-gray-200 dark:border-gray-700 ${
+                                    offer.sender_id === currentUser.id ? 'ml-6' : 'mr-6'
+                                }`}
+                            >
+                                <div>
+                                    <p className="font-semibold">KSh {offer.amount}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                                        {offer.sender_id === currentUser.id ? 'You' : offer.sender_id === offer.buyer_id ? offer.buyer_name : 'Seller'}
+                                        {' '}&middot; {new Date(offer.created_at).toLocaleString()}
+                                        {offer.reserve_on_accept ? ' · reserves the item if accepted' : ''}
+                                    </p>
+                                </div>
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${statusStyles[offer.status]}`}>{offer.status}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {formError && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{formError}</p>}
+
+                {awaitingThem && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Waiting for {isSeller ? 'the buyer' : 'the seller'} to answer your offer.</p>
+                )}
+
+                {awaitingMe && (
+                    <div className="space-y-3">
+                        {isSeller && (
+                            <label className="flex items-center space-x-2 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={reserve}
+                                    onChange={(e) => setReserve(e.target.checked)}
+                                    className="rounded text-blue-600 focus:ring-blue-500"
+                                />
+                                <span>Reserve the item for {latest.buyer_name} once we agree</span>
+                            </label>
+                        )}
+                        <div className="flex space-x-2">
+                            <button
+                                onClick={() => sendJson(`/offers/${latest.id}/respond`, { action: 'accept', reserve })}
+                                className="flex-1 bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 transition duration-200 text-sm"
+                            >
+                                Accept KSh {latest.amount}
+                            </button>
+                            <button
+                                onClick={() => sendJson(`/offers/${latest.id}/respond`, { action: 'reject' })}
+                                className="flex-1 bg-red-500 text-white py-2 rounded-lg hover:bg-red-600 transition duration-200 text-sm"
+                            >
+                                Reject
+                            </button>
+                        </div>
+                        <div className="flex space-x-2">
+                            <input
+                                type="number"
+                                min="1"
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                                placeholder="Counter-offer (KSh)"
+                                className={inputClass}
+                            />
+                            <button
+                                onClick={() => validAmount() && sendJson(`/offers/${latest.id}/respond`, { action: 'counter', amount, reserve })}
+                                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition duration-200 text-sm"
+                            >
+                                Counter
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {canMakeOffer && (
+                    <div className="flex space-x-2">
+                        <input
+                            type="number"
+                            min="1"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            placeholder="Your offer (KSh)"
+                            className={inputClass}
+                        />
+                        <button
+                            onClick={() => validAmount() && sendJson(`/products/${product.id}/offers`, { amount })}
+                            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition duration-200 text-sm"
+                        >
+                            {latest ? 'New Offer' : 'Make Offer'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OfferThread;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+// Prompts the user to review sellers they bought from. Renders nothing when there is nothing to review;
+// `lastNotification` reloads the list when a seller records a sale to this user.
+const PendingReviews = ({ lastNotification, setError, setNotice }) => {
+    const [pending, setPending] = useState([]);
+    const [drafts, setDrafts] = useState({}); // sale id -> { rating, comment }
+
+    const loadPending = useCallback(async () => {
+        try {
+            const response = await authFetch('/reviews/pending');
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, 'Failed to load your purchases to review.');
+            }
+            setPending(data);
+        } catch (err) {
+            console.error('Error loading pending reviews:', err);
+            setError(err.message || 'An error occurred while loading your purchases to review.');
+        }
+    }, [setError]);
+
+    useEffect(() => {
+        loadPending();
+    }, [loadPending]);
+
+    useEffect(() => {
+        if (lastNotification && lastNotification.type === 'review_requested') loadPending();
+    }, [lastNotification, loadPending]);
+
+    const updateDraft = (saleId, changes) => {
+        setDrafts({ ...drafts, [saleId]: { rating: 0, comment: '', ...drafts[saleId], ...changes } });
+    };
+
+    const submitReview = async (item) => {
+        const draft = drafts[item.sale_id] || {};
+        if (!draft.rating) {
+            setError('Please choose a star rating.');
+            return;
+        }
+
+        setError(null);
+        try {
+            const response = await authFetch(`/products/${item.id}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rating: draft.rating, comment: draft.comment, sale_id: item.sale_id })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to submit review. Server responded with: ${response.status}`);
+            }
+
+            setNotice(data.message);
+            loadPending();
+        } catch (err) {
+            console.error('Error submitting review:', err);
+            setError(err.message || 'An error occurred while submitting your review.');
+        }
+    };
+
+    if (pending.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100 mb-1">Rate Your Purchases</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Your review helps other students know who they are buying from.</p>
+
+            <ul className="space-y-4">
+                {pending.map(item => {
+                    const draft = drafts[item.sale_id] || { rating: 0, comment: '' };
+                    return (
+                        <li key={item.sale_id} className="flex flex-col sm:flex-row sm:items-start gap-3 border-b border-gray-200 dark:border-gray-700 pb-4 last:border-b-0 last:pb-0">
+                            {item.image_url && (
+                                <img src={item.image_url} alt={item.title} className="w-16 h-16 object-cover rounded-md shrink-0" />
+                            )}
+                            <div className="flex-1 min-w-0">
+                                <p className="font-semibold text-gray-900 dark:text-gray-100 truncate">{item.title}</p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">Sold to you by {item.seller_name} for KSh {item.price}</p>
+                                <div className="flex items-center space-x-1 my-2">
+                                    {[1, 2, 3, 4, 5].map(star => (
+                                        <button
+                                            key={star}
+                                            type="button"
+                                            onClick={() => updateDraft(item.sale_id, { rating: star })}
+                                            className="text-yellow-500 hover:scale-110 transition duration-200"
+                                            title={`${star} star${star === 1 ? '' : 's'}`}
+                                        >
+                                            <Star size={22} fill={star <= draft.rating ? 'currentColor' : 'none'} />
+                                        </button>
+                                    ))}
+                                </div>
+                                <textarea
+                                    value={draft.comment}
+                                    onChange={(e) => updateDraft(item.sale_id, { comment: e.target.value })}
+                                    placeholder="How did it go? (optional)"
+                                    maxLength={1000}
+                                    rows={2}
+                                    className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                />
+                                <button
+                                    onClick={() => submitReview(item)}
+                                    className="mt-2 bg-blue-600 text-white px-4 py-1.5 text-sm rounded-lg hover:bg-blue-700 transition duration-200"
+                                >
+                                    Submit Review
+                                </button>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default PendingReviews;
@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+
+// Shown inside a form after the server answered 429 Too Many Requests: the server's message and a live
+// countdown until the form can be sent again. `limit` is { message, until } (until in ms since the epoch);
+// `onExpire` runs when the wait is over so the parent can re-enable the form.
+const RateLimitNotice = ({ limit, onExpire }) => {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const secondsLeft = Math.max(0, Math.ceil((limit.until - now) / 1000));
+
+    useEffect(() => {
+        if (secondsLeft === 0) onExpire();
+    }, [secondsLeft, onExpire]);
+
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+    return (
+        <div className="flex items-start space-x-2 bg-yellow-100 dark:bg-yellow-900 border border-yellow-400 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200 px-3 py-2 rounded-lg mb-4 text-sm" role="alert">
+            <Clock size={16} className="mt-0.5 shrink-0" />
+            <div>
+                <p>{limit.message}</p>
+                <p className="font-semibold mt-0.5">You can try again in {minutes}:{seconds}.</p>
+            </div>
+        </div>
+    );
+};
+
+export default RateLimitNotice;
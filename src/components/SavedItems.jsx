@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { Heart, MapPin, MessageCircle, TrendingDown, TrendingUp } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+// The user's watchlist ("Saved items"), shown as a tab next to the dashboard.
+// Items that were sold or repriced since they were saved are flagged. `favoritesVersion` changes whenever
+// the list may be out of date (an item was (un)saved, or a saved item changed).
+const SavedItems = ({ favoritesVersion, onToggleFavorite, handleMessageSeller, setError }) => {
+    const [favorites, setFavorites] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchFavorites = async () => {
+            try {
+                const response = await authFetch('/favorites');
+                const data = await response.json();
+                if (!response.ok) {
+                    throw apiError(response, data, 'Failed to load your saved items.');
+                }
+                setFavorites(data);
+            } catch (err) {
+                console.error('Error loading saved items:', err);
+                setError(err.message || 'An error occurred while loading your saved items.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchFavorites();
+    }, [favoritesVersion, setError]);
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100 mb-4 sm:mb-6">Saved Items</h2>
+
+            {loading ? (
+                <p className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm sm:text-base">Loading...</p>
+            ) : favorites.length === 0 ? (
+                <p className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm sm:text-base">
+                    Nothing saved yet. Tap the heart on an item to keep an eye on it while you compare options.
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {favorites.map(item => {
+                        const priceDropped = item.price_changed && Number(item.price) < Number(item.price_at_save);
+                        return (
+                            <li key={item.id} className="flex items-center space-x-3 sm:space-x-4 py-3">
+                                {item.image_url ? (
+                                    <img src={item.image_url} alt={item.title} className="w-16 h-16 sm:w-20 sm:h-20 object-cover rounded-md shrink-0" />
+                                ) : (
+                                    <div className="w-16 h-16 sm:w-20 sm:h-20 rounded-md bg-gray-100 dark:bg-gray-700 shrink-0" />
+                                )}
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-semibold text-sm sm:text-base text-gray-900 dark:text-gray-100 truncate">{item.title}</p>
+                                    <div className="flex flex-wrap items-center gap-2 mt-0.5">
+                                        <span className="font-bold text-blue-600 dark:text-blue-400">KSh {item.price}</span>
+                                        {item.price_changed && (
+                                            <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-semibold ${
+                                                priceDropped
+                                                    ? 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+                                                    : 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200'
+                                            }`}>
+                                                {priceDropped ? <TrendingDown size={12} /> : <TrendingUp size={12} />}
+                                                <span>was KSh {item.price_at_save}</span>
+                                            </span>
+                                        )}
+                                        {item.sold ? (
+                                            <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200">Sold</span>
+                                        ) : null}
+                                    </div>
+                                    <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate">
+                                        <MapPin size={12} className="mr-1 shrink-0" />
+                                        {item.location} &middot; by {item.seller_name}
+                                    </p>
+                                </div>
+                                <div className="flex items-center space-x-1 shrink-0">
+                                    {!item.sold && (
+                                        <button
+                                            onClick={() => handleMessageSeller(item)}
+                                            className="p-2 rounded-full text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                            title="Message Seller"
+                                        >
+                                            <MessageCircle size={18} />
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => onToggleFavorite(item.id)}
+                                        className="p-2 rounded-full text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                                        title="Remove from Saved Items"
+                                    >
+                                        <Heart size={18} fill="currentColor" />
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SavedItems;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, BellOff, Search, Trash2, X } from 'lucide-react';
+import { authFetch, apiError } from '../utils/api';
+
+// Human-readable summary of a saved search's criteria, e.g. "mattress · Furniture · KSh 1000–3000 · near Ndagani"
+const describeSearch = (search) => {
+    const parts = [];
+    if (search.query) parts.push(`"${search.query}"`);
+    if (search.category) parts.push(search.category);
+    if (search.min_price !== null && search.max_price !== null) parts.push(`KSh ${Number(search.min_price)}–${Number(search.max_price)}`);
+    else if (search.min_price !== null) parts.push(`from KSh ${Number(search.min_price)}`);
+    else if (search.max_price !== null) parts.push(`up to KSh ${Number(search.max_price)}`);
+    if (search.location) parts.push(`near ${search.location}`);
+    return parts.join(' · ');
+};
+
+// Manage saved searches and see the new listings that matched them.
+// `onApply` loads a saved search into the grid's filters; `lastNotification` refreshes the panel when a new alert arrives.
+const SavedSearches = ({ onApply, lastNotification, onUnreadChange, setError, setNotice, onClose }) => {
+    const [searches, setSearches] = useState([]);
+    const [alerts, setAlerts] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    const loadSavedSearches = useCallback(async () => {
+        try {
+            const [searchesResponse, alertsResponse] = await Promise.all([
+                authFetch('/saved-searches'),
+                authFetch('/saved-searches/alerts')
+            ]);
+            const searchesData = await searchesResponse.json();
+            const alertsData = await alertsResponse.json();
+            if (!searchesResponse.ok) throw apiError(searchesResponse, searchesData, 'Failed to load your saved searches.');
+            if (!alertsResponse.ok) throw apiError(alertsResponse, alertsData, 'Failed to load your saved searches.');
+
+            setSearches(searchesData);
+            setAlerts(alertsData.alerts);
+            onUnreadChange(alertsData.unread);
+        } catch (err) {
+            console.error('Error loading saved searches:', err);
+            setError(err.message || 'An error occurred while loading your saved searches.');
+        } finally {
+            setLoading(false);
+        }
+    }, [onUnreadChange, setError]);
+
+    useEffect(() => {
+        loadSavedSearches();
+    }, [loadSavedSearches]);
+
+    useEffect(() => {
+        if (lastNotification && lastNotification.type === 'saved_search_match') loadSavedSearches();
+    }, [lastNotification, loadSavedSearches]);
+
+    const sendJson = async (path, method, body) => {
+        const response = await authFetch(path, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(response, data, `Request failed with status ${response.status}`);
+        }
+        return data;
+    };
+
+    const toggleEmailAlerts = async (search) => {
+        setError(null);
+        try {
+            await sendJson(`/saved-searches/${search.id}`, 'PUT', { ...search, email_alerts: !search.email_alerts });
+            loadSavedSearches();
+        } catch (err) {
+            console.error('Error updating saved search:', err);
+            setError(err.message || 'An error occurred while updating the saved search.');
+        }
+    };
+
+    const renameSearch = async (search) => {
+        const name = window.prompt('Name this search', search.name);
+        if (name === null || !name.trim()) return;
+
+        setError(null);
+        try {
+            await sendJson(`/saved-searches/${search.id}`, 'PUT', { ...search, name });
+            loadSavedSearches();
+        } catch (err) {
+            console.error('Error renaming saved search:', err);
+            setError(err.message || 'An error occurred while renaming the saved search.');
+        }
+    };
+
+    const deleteSearch = async (search) => {
+        if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+
+        setError(null);
+        try {
+            const data = await sendJson(`/saved-searches/${search.id}`, 'DELETE');
+            setNotice(data.message);
+            loadSavedSearches();
+        } catch (err) {
+            console.error('Error deleting saved search:', err);
+            setError(err.message || 'An error occurred while deleting the saved search.');
+        }
+    };
+
+    // Applying a search shows its matches in the grid, so its alerts count as seen
+    const applySearch = async (search) => {
+        onApply(search);
+        if (search.unread_alerts > 0) {
+            try {
+                await sendJson('/saved-searches/alerts/read', 'POST', { saved_search_id: search.id });
+                loadSavedSearches();
+            } catch (err) {
+                console.error('Error marking alerts read:', err);
+            }
+        }
+    };
+
+    const markAllRead = async () => {
+        try {
+            await sendJson('/saved-searches/alerts/read', 'POST', {});
+            loadSavedSearches();
+        } catch (err) {
+            console.error('Error marking alerts read:', err);
+            setError(err.message || 'An error occurred while marking alerts as read.');
+        }
+    };
+
+    const hasUnread = alerts.some(alert => !alert.read_at);
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Saved Searches</h2>
+                <button
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 p-1"
+                    title="Close Saved Searches"
+                >
+                    <X size={20} />
+                </button>
+            </div>
+
+            {loading ? (
+                <p className="text-center py-6 text-gray-500 dark:text-gray-400 text-sm">Loading...</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                        <h3 className="font-semibold text-gray-800 dark:text-gray-100 mb-2">Your searches</h3>
+                        {searches.length === 0 ? (
+                            <p className="text-gray-500 dark:text-gray-400 text-sm">
+                                No saved searches yet. Set up the search and filters above, then use Save Search to get alerted when a matching item is listed.
+                            </p>
+                        ) : (
+                            <ul className="space-y-2">
+                                {searches.map(search => (
+                                    <li key={search.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                                        <div className="flex justify-between items-start">
+                                            <button onClick={() => renameSearch(search)} className="text-left min-w-0" title="Rename">
+                                                <p className="font-medium text-gray-900 dark:text-gray-100 truncate">
+                                                    {search.name}
+                                                    {search.unread_alerts > 0 && (
+                                                        <span className="ml-2 bg-blue-600 text-white rounded-full px-2 text-xs font-semibold">{search.unread_alerts} new</span>
+                                                    )}
+                                                </p>
+                                                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{describeSearch(search)}</p>
+                                            </button>
+                                            <div className="flex items-center space-x-1 ml-2 shrink-0">
+                                                <button
+                                                    onClick={() => applySearch(search)}
+                                                    className="p-1.5 rounded-md text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                                                    title="Show Matching Items"
+                                                >
+                                                    <Search size={16} />
+                                                </button>
+                                                <button
+                                                    onClick={() => toggleEmailAlerts(search)}
+                                                    className="p-1.5 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                                                    title={search.email_alerts ? 'Stop Email Alerts' : 'Also Alert Me by Email'}
+                                                >
+                                                    {search.email_alerts ? <Bell size={16} /> : <BellOff size={16} />}
+                                                </button>
+                                                <button
+                                                    onClick={() => deleteSearch(search)}
+                                                    className="p-1.5 rounded-md text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                                                    title="Delete Saved Search"
+                                                >
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div>
+                        <div className="flex justify-between items-baseline mb-2">
+                            <h3 className="font-semibold text-gray-800 dark:text-gray-100">Recent matches</h3>
+                            {hasUnread && (
+                                <button onClick={markAllRead} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                                    Mark all as read
+                                </button>
+                            )}
+                        </div>
+                        {alerts.length === 0 ? (
+                            <p className="text-gray-500 dark:text-gray-400 text-sm">New listings that match your saved searches will show up here.</p>
+                        ) : (
+                            <ul className="space-y-2 max-h-80 overflow-y-auto">
+                                {alerts.map(alert => (
+                                    <li
+                                        key={alert.id}
+                                        className={`flex items-center space-x-3 p-2 rounded-lg border ${
+                                            alert.read_at ? 'border-gray-200 dark:border-gray-700' : 'border-blue-400 bg-blue-50 dark:bg-blue-900/30'
+                                        }`}
+                                    >
+                                        {alert.image_url && (
+                                            <img src={alert.image_url} alt={alert.title} className="w-12 h-12 object-cover rounded-md shrink-0" />
+                                        )}
+                                        <div className="min-w-0">
+                                            <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                                                {alert.title}{alert.sold ? ' (sold)' : ''}
+                                            </p>
+                                            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                                                KSh {alert.price} &middot; {alert.location} &middot; matched &quot;{alert.saved_search_name}&quot;
+                                            </p>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedSearches;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star, X, MapPin, CalendarDays } from 'lucide-react';
+import { API_BASE_URL, authFetch, apiError } from '../utils/api';
+
+// Five stars, filled up to `rating` (rounded to the nearest whole star)
+const Stars = ({ rating, size = 16 }) => (
+    <span className="inline-flex items-center text-yellow-500">
+        {[1, 2, 3, 4, 5].map(star => (
+            <Star key={star} size={size} fill={star <= Math.round(rating) ? 'currentColor' : 'none'} />
+        ))}
+    </span>
+);
+
+// A seller's public profile, opened from the seller name on a listing: join date, rating, their
+// active and sold listings, and reviews from buyers. The seller themselves can reply to each review.
+const SellerProfile = ({ sellerId, currentUser, lastNotification, setError, setNotice, onClose }) => {
+    const [profile, setProfile] = useState(null);
+    const [reviews, setReviews] = useState([]);
+    const [listingsTab, setListingsTab] = useState('active'); // 'active' | 'sold'
+    const [replyDrafts, setReplyDrafts] = useState({}); // review id -> reply being written
+    const [loadError, setLoadError] = useState(null); // Shown in place of the profile; the page banner is behind the modal
+
+    const isOwnProfile = currentUser && currentUser.id === sellerId;
+
+    const loadProfile = useCallback(async () => {
+        try {
+            const [profileResponse, reviewsResponse] = await Promise.all([
+                fetch(`${API_BASE_URL}/users/${sellerId}/profile`),
+                fetch(`${API_BASE_URL}/users/${sellerId}/reviews`)
+            ]);
+            const profileData = await profileResponse.json();
+            const reviewsData = await reviewsResponse.json();
+            if (!profileResponse.ok) throw apiError(profileResponse, profileData, 'Failed to load the seller profile.');
+            if (!reviewsResponse.ok) throw apiError(reviewsResponse, reviewsData, 'Failed to load the seller profile.');
+
+            setProfile(profileData);
+            setReviews(reviewsData);
+        } catch (err) {
+            console.error('Error loading seller profile:', err);
+            setLoadError(err.message || 'An error occurred while loading the seller profile.');
+        }
+    }, [sellerId]);
+
+    useEffect(() => {
+        loadProfile();
+    }, [loadProfile]);
+
+    useEffect(() => {
+        if (isOwnProfile && lastNotification && lastNotification.type === 'review_received') loadProfile();
+    }, [isOwnProfile, lastNotification, loadProfile]);
+
+    const submitReply = async (reviewId) => {
+        const reply = (replyDrafts[reviewId] || '').trim();
+        if (!reply) return;
+
+        setError(null);
+        try {
+            const response = await authFetch(`/reviews/${reviewId}/reply`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reply })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(response, data, `Failed to post reply. Server responded with: ${response.status}`);
+            }
+
+            setNotice(data.message);
+            setReplyDrafts({ ...replyDrafts, [reviewId]: undefined });
+            loadProfile();
+        } catch (err) {
+            console.error('Error replying to review:', err);
+            setError(err.message || 'An error occurred while posting your reply.');
+        }
+    };
+
+    const listings = profile ? (listingsTab === 'active' ? profile.active_listings : profile.sold_listings) : [];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto shadow-lg text-gray-900 dark:text-gray-100">
+                <div className="flex justify-between items-start mb-4">
+                    {profile ? (
+                        <div>
+                            <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">{profile.name}</h2>
+                            <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1 text-sm text-gray-500 dark:text-gray-400">
+                                <span className="flex items-center">
+                                    <CalendarDays size={14} className="mr-1" />
+                                    Member since {new Date(profile.joined_at).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+                                </span>
+                                {profile.review_count > 0 ? (
+                                    <span className="flex items-center space-x-1">
+                                        <Stars rating={profile.rating_average} size={14} />
+                                        <span>{profile.rating_average.toFixed(1)} ({profile.review_count} {profile.review_count === 1 ? 'review' : 'reviews'})</span>
+                                    </span>
+                                ) : (
+                                    <span>No reviews yet</span>
+                                )}
+                            </div>
+                        </div>
+                    ) : (
+                        <p className={loadError ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}>{loadError || 'Loading...'}</p>
+                    )}
+                    <button
+                        onClick={onClose}
+                        className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+                        title="Close"
+                    >
+                        <X size={18} />
+                    </button>
+                </div>
+
+                {profile && (
+                    <>
+                        <div className="flex space-x-2 mb-3">
+                            {[
+                                { id: 'active', label: `Active (${profile.active_count})` },
+                                { id: 'sold', label: `Sold (${profile.sold_count})` }
+                            ].map(tab => (
+                                <button
+                                    key={tab.id}
+                                    onClick={() => setListingsTab(tab.id)}
+                                    className={`px-3 py-1.5 text-sm rounded-lg transition duration-200 ${
+                                        listingsTab === tab.id
+                                            ? 'bg-blue-600 text-white'
+                                            : 'border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                    }`}
+                                >
+                                    {tab.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {listings.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+                                {listingsTab === 'active' ? 'No items for sale right now.' : 'No sold items yet.'}
+                            </p>
+                        ) : (
+                            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3 mb-6">
+                                {listings.map(item => (
+                                    <div key={item.id} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+                                        {item.image_url ? (
+                                            <img src={item.image_url} alt={item.title} className="w-full h-24 object-cover" />
+                                        ) : (
+                                            <div className="w-full h-24 bg-gray-100 dark:bg-gray-700" />
+                                        )}
+                                        <div className="p-2">
+                                            <p className="text-sm font-medium truncate">{item.title}</p>
+                                            <p className="text-sm font-bold text-blue-600 dark:text-blue-400">KSh {item.price}</p>
+                                            <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 truncate">
+                                                <MapPin size={12} className="mr-1 shrink-0" />
+                                                {item.location}
+                                            </p>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <h3 className="font-semibold text-gray-800 dark:text-gray-100 mb-2">Reviews</h3>
+                        {reviews.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                Buyers can review {isOwnProfile ? 'you' : 'this seller'} once a sale to them has been recorded.
+                            </p>
+                        ) : (
+                            <ul className="space-y-3">
+                                {reviews.map(review => (
+                                    <li key={review.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                                        <div className="flex flex-wrap justify-between items-center gap-2">
+                                            <Stars rating={review.rating} size={14} />
+                                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                                                {review.reviewer_name} &middot; {review.product_title} &middot; {new Date(review.created_at).toLocaleDateString()}
+                                            </span>
+                                        </div>
+                                        {review.comment && <p className="text-sm mt-1 whitespace-pre-line">{review.comment}</p>}
+
+                                        {review.seller_reply ? (
+                                            <div className="mt-2 ml-3 pl-3 border-l-2 border-blue-400">
+                                                <p className="text-xs font-semibold text-gray-600 dark:text-gray-300">Reply from {profile.name}</p>
+                                                <p className="text-sm whitespace-pre-line">{review.seller_reply}</p>
+                                            </div>
+                                        ) : isOwnProfile && (
+                                            <div className="mt-2 flex space-x-2">
+                                                <input
+                                                    type="text"
+                                                    value={replyDrafts[review.id] || ''}
+                                                    onChange={(e) => setReplyDrafts({ ...replyDrafts, [review.id]: e.target.value })}
+                                                    placeholder="Reply publicly to this review"
+                                                    maxLength={1000}
+                                                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                />
+                                                <button
+                                                    onClick={() => submitReply(review.id)}
+                                                    className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg hover:bg-blue-700 transition duration-200"
+                                                >
+                                                    Reply
+                                                </button>
+                                            </div>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SellerProfile;
@@ -1,107 +1,367 @@
-import React from 'react';
-import { Plus } from 'lucide-react';
-import { useDarkMode } from "../contexts/DarkModeContext"; // <--- Add two dots and a slash // Import useDarkMode hook (if needed, otherwise can be removed if not used directly)
-
-const UserDashboard = ({ currentUser, userItems, setEditingItem, handleDeleteItem, handleMarkSold, setShowAddItem }) => {
-    // const { darkMode } = useDarkMode(); // Uncomment if you need direct dark mode state in this component
-
-    if (!currentUser) {
-        return null;
-    }
-
-    return (
-        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
-            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 sm:mb-6 space-y-3 sm:space-y-0">
-                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Your Listings</h2>
-                <button
-                    onClick={() => setShowAddItem(true)}
-                    className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 w-full sm:w-auto"
-                >
-                    <Plus size={18} />
-                    <span>List New Item</span>
-                </button>
-            </div>
-
-            {userItems.length === 0 ? (
-                <div className="text-center py-6 sm:py-8 text-gray-500 dark:text-gray-400">
-                    <p className="text-base sm:text-lg mb-3 sm:mb-4">You haven't listed any items yet.</p>
-                    <button
-                        onClick={() => setShowAddItem(true)}
-                        className="bg-green-500 text-white px-5 py-2.5 text-sm rounded-lg hover:bg-green-600 transition duration-200 ease-in-out transform hover:scale-105"
-                    >
-                        Start Selling Now!
-                    </button>
-                </div>
-            ) : (
-                <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
-                    <table className="min-w-full bg-white dark:bg-gray-800">
-                        <thead>
-                            <tr className="bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 uppercase text-xs sm:text-sm leading-normal">
-                                <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Item</th>
-                                <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Price</th>
-                                <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Status</th>
-                                <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody className="text-gray-700 dark:text-gray-200 text-xs sm:text-sm font-light">
-                            {userItems.map(item => (
-                                <tr key={item.id} className="border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
-                                    <td className="py-2 px-3 sm:py-3 sm:px-6 text-left whitespace-nowrap">
-                                        <div className="flex items-center">
-                                            <img
-                                                src={item.image_url || `https://placehold.co/32x32/cccccc/333333/ffffff/ffffff?text=No+Image`}
-                                                alt={item.title}
-                                                className="w-8 h-8 sm:w-10 sm:h-10 rounded-md mr-2 sm:mr-3 object-cover"
-                                                onError={(e) => { e.target.onerror = null; e.target.src = `https://placehold.co/32x32/cccccc/333333/ffffff/ffffff?text=No+Image`; }}
-                                            />
-                                            <span className="font-medium truncate max-w-[100px] sm:max-w-[150px]">{item.title}</span>
-                                        </div>
-                                    </td>
-                                    <td className="py-2 px-3 sm:py-3 sm:px-6 text-left whitespace-nowrap">KSh {item.price}</td>
-                                    <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
-                                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
-                                            item.sold ? 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' : 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
-                                        }`}>
-                                            {item.sold ? 'Sold' : 'Available'}
-                                        </span>
-                                    </td>
-                                    <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
-                                        <div className="flex flex-col sm:flex-row item-center justify-center space-y-1 sm:space-y-0 sm:space-x-2">
-                                            <button
-                                                onClick={() => setEditingItem(item)}
-                                                className="text-blue-600 hover:text-blue-800 dark:hover:text-blue-400 font-medium px-2 py-1 rounded-md border border-blue-600 dark:border-blue-500 hover:border-blue-800 dark:hover:border-blue-400 transition duration-200 text-xs sm:text-sm"
-                                                title="Edit Item"
-                                            >
-                                                Edit
-                                            </button>
-                                            <button
-                                                onClick={() => handleMarkSold(item.id)}
-                                                className={`font-medium px-2 py-1 rounded-md border transition duration-200 text-xs sm:text-sm ${
-                                                    item.sold
-                                                        ? 'bg-green-500 text-white border-green-500 hover:bg-green-600'
-                                                        : 'bg-yellow-500 text-white border-yellow-500 hover:bg-yellow-600'
-                                                }`}
-                                                title={item.sold ? "Mark as Available" : "Mark as Sold"}
-                                            >
-                                                {item.sold ? 'Mark Available' : 'Mark Sold'}
-                                            </button>
-                                            <button
-                                                onClick={() => handleDeleteItem(item.id)}
-                                                className="text-red-600 hover:text-red-800 dark:hover:text-red-400 font-medium px-2 py-1 rounded-md border border-red-600 dark:border-red-500 hover:border-red-800 dark:hover:border-red-400 transition duration-200 text-xs sm:text-sm"
-                                                title="Delete Item"
-                                            >
-                                                Delete
-                                            </button>
-                                        </div>
-                                    </td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                </div>
-            )}
-        </div>
-    );
-};
-
+import React, { useState } from 'react';
+import { Plus, Download, Upload } from 'lucide-react';
+import { useDarkMode } from "../contexts/DarkModeContext"; // <--- Add two dots and a slash // Import useDarkMode hook (if needed, otherwise can be removed if not used directly)
+import { LISTING_CATEGORIES, MAX_BULK_ITEMS } from '../../backend/validation/index.mjs';
+import ListingTrendChart from './ListingTrendChart';
+
+// Badge colours and labels for each listing status
+const statusBadges = {
+    draft: { label: 'Draft', className: 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100' },
+    active: { label: 'Available', className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' },
+    reserved: { label: 'Reserved', className: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200' },
+    sold: { label: 'Sold', className: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' },
+    expired: { label: 'Expired', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200' },
+    removed: { label: 'Taken Down', className: 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100' }
+};
+
+// The main action for a listing in each status, next to Edit and Delete
+const primaryActions = {
+    draft: { label: 'Publish', status: 'active', className: 'bg-green-500 text-white border-green-500 hover:bg-green-600' },
+    active: { label: 'Mark Sold', markSold: true, className: 'bg-yellow-500 text-white border-yellow-500 hover:bg-yellow-600' },
+    reserved: { label: 'Mark Sold', markSold: true, className: 'bg-yellow-500 text-white border-yellow-500 hover:bg-yellow-600' },
+    sold: { label: 'Mark Available', status: 'active', className: 'bg-green-500 text-white border-green-500 hover:bg-green-600' },
+    expired: { label: 'Renew', renew: true, className: 'bg-green-500 text-white border-green-500 hover:bg-green-600' },
+    removed: { label: 'Relist', status: 'active', className: 'bg-green-500 text-white border-green-500 hover:bg-green-600' }
+};
+
+// Small buttons of the bulk actions bar
+const bulkButtonClass = 'font-medium px-2 py-1 rounded-md border text-xs sm:text-sm transition duration-200 disabled:opacity-50';
+
+// pendingOffers are offers waiting for the seller's answer (GET /api/offers/pending); they are listed under the listing
+// they are for, and onOpenOffers(item, buyerId) opens that buyer's negotiation.
+// listingStats (GET /api/analytics/listings) gives each row its views, contacts and days listed, and the daily
+// numbers for the trend chart above the table.
+// Ticking listings brings up bulk actions, which go through handleBulkAction(action, ids, options); when one is
+// rolled back, the reason each listing failed is shown under it. A bulk action changes at most MAX_BULK_ITEMS
+// listings, so select-all takes the first MAX_BULK_ITEMS and no more can be ticked past that. Listings can also be exported to and imported
+// from a CSV spreadsheet.
+const UserDashboard = ({
+    currentUser, userItems, pendingOffers, listingStats, setEditingItem, handleDeleteItem, handleMarkSold, handleChangeStatus, handleRenew,
+    handleBulkAction, handleExportListings, onImportListings, onOpenOffers, handleReleaseReservation, setShowAddItem
+}) => {
+    // const { darkMode } = useDarkMode(); // Uncomment if you need direct dark mode state in this component
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [bulkCategory, setBulkCategory] = useState(LISTING_CATEGORIES[0]);
+    const [bulkPercent, setBulkPercent] = useState('');
+    const [bulkFailures, setBulkFailures] = useState({}); // Listing ID -> why the last bulk action failed for it
+    const [bulkBusy, setBulkBusy] = useState(false);
+
+    if (!currentUser) {
+        return null;
+    }
+
+    const statsById = new Map((listingStats ? listingStats.products : []).map(stats => [stats.id, stats]));
+    const recent = listingStats && listingStats.daily.reduce(
+        (sum, day) => ({ views: sum.views + day.views, contacts: sum.contacts + day.contacts }),
+        { views: 0, contacts: 0 }
+    );
+
+    // Listings that were deleted or refreshed away drop out of the selection
+    const selected = selectedIds.filter(id => userItems.some(item => item.id === id));
+    const selectable = userItems.slice(0, MAX_BULK_ITEMS);
+    const allSelected = userItems.length > 0 && selected.length === selectable.length;
+    const selectionFull = selected.length >= MAX_BULK_ITEMS;
+
+    const toggleSelected = (id) => {
+        setSelectedIds(selected.includes(id) ? selected.filter(selectedId => selectedId !== id) : [...selected, id]);
+    };
+
+    const runBulkAction = async (action, options) => {
+        setBulkBusy(true);
+        const failures = await handleBulkAction(action, selected, options);
+        setBulkBusy(false);
+        if (failures === null) return;
+
+        setBulkFailures(Object.fromEntries(failures.map(failure => [failure.id, failure.error])));
+        if (failures.length === 0) {
+            setSelectedIds([]);
+            setBulkPercent('');
+        }
+    };
+
+    return (
+        <div className="mb-8 sm:mb-10 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 sm:mb-6 space-y-3 sm:space-y-0">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 dark:text-gray-100">Your Listings</h2>
+                <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+                    {userItems.length > 0 && (
+                        <button
+                            onClick={handleExportListings}
+                            className="text-blue-600 dark:text-blue-400 border border-blue-600 dark:border-blue-500 px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-50 dark:hover:bg-gray-700 transition duration-200"
+                            title="Download your listings as a CSV spreadsheet"
+                        >
+                            <Download size={18} />
+                            <span>Export CSV</span>
+                        </button>
+                    )}
+                    <button
+                        onClick={onImportListings}
+                        className="text-blue-600 dark:text-blue-400 border border-blue-600 dark:border-blue-500 px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-50 dark:hover:bg-gray-700 transition duration-200"
+                        title="Create listings from a CSV spreadsheet"
+                    >
+                        <Upload size={18} />
+                        <span>Import CSV</span>
+                    </button>
+                    <button
+                        onClick={() => setShowAddItem(true)}
+                        className="bg-blue-600 text-white px-3 py-1.5 text-sm rounded-lg flex items-center justify-center space-x-1 sm:space-x-2 hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105"
+                    >
+                        <Plus size={18} />
+                        <span>List New Item</span>
+                    </button>
+                </div>
+            </div>
+
+            {userItems.length === 0 ? (
+                <div className="text-center py-6 sm:py-8 text-gray-500 dark:text-gray-400">
+                    <p className="text-base sm:text-lg mb-3 sm:mb-4">You haven't listed any items yet.</p>
+                    <button
+                        onClick={() => setShowAddItem(true)}
+                        className="bg-green-500 text-white px-5 py-2.5 text-sm rounded-lg hover:bg-green-600 transition duration-200 ease-in-out transform hover:scale-105"
+                    >
+                        Start Selling Now!
+                    </button>
+                </div>
+            ) : (
+                <>
+                    {listingStats && (
+                        <div className="mb-4 p-3 sm:p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                            <div className="flex flex-wrap justify-between items-baseline gap-2 mb-2 text-sm">
+                                <span className="font-semibold text-gray-800 dark:text-gray-100">Last {listingStats.days} days</span>
+                                <span className="text-gray-600 dark:text-gray-300">
+                                    {recent.views} {recent.views === 1 ? 'view' : 'views'} &middot; {recent.contacts} WhatsApp {recent.contacts === 1 ? 'contact' : 'contacts'}
+                                    <span className="text-gray-400 dark:text-gray-500"> ({listingStats.totals.views} and {listingStats.totals.contacts} all time)</span>
+                                </span>
+                            </div>
+                            <ListingTrendChart daily={listingStats.daily} />
+                        </div>
+                    )}
+                    {selected.length > 0 && (
+                        <div className="mb-3 p-3 flex flex-wrap items-center gap-2 rounded-lg bg-blue-50 dark:bg-gray-700 border border-blue-200 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-200">
+                            <span className="font-semibold mr-1">{selected.length} selected</span>
+                            {userItems.length > MAX_BULK_ITEMS && (
+                                <span className="text-xs text-gray-500 dark:text-gray-400 mr-1">
+                                    (at most {MAX_BULK_ITEMS} of your {userItems.length} listings at a time)
+                                </span>
+                            )}
+                            <button
+                                onClick={() => runBulkAction('status', { status: 'sold' })}
+                                disabled={bulkBusy}
+                                className={`${bulkButtonClass} bg-yellow-500 text-white border-yellow-500 hover:bg-yellow-600`}
+                            >
+                                Mark Sold
+                            </button>
+                            <button
+                                onClick={() => runBulkAction('status', { status: 'active' })}
+                                disabled={bulkBusy}
+                                className={`${bulkButtonClass} bg-green-500 text-white border-green-500 hover:bg-green-600`}
+                            >
+                                Mark Available
+                            </button>
+                            <span className="flex items-center gap-1">
+                                <select
+                                    value={bulkCategory}
+                                    onChange={(e) => setBulkCategory(e.target.value)}
+                                    className="px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-xs sm:text-sm"
+                                    aria-label="New category"
+                                >
+                                    {LISTING_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                                </select>
+                                <button
+                                    onClick={() => runBulkAction('category', { category: bulkCategory })}
+                                    disabled={bulkBusy}
+                                    className={`${bulkButtonClass} text-blue-600 border-blue-600 dark:border-blue-500 hover:text-blue-800 dark:hover:text-blue-400`}
+                                >
+                                    Set Category
+                                </button>
+                            </span>
+                            <span className="flex items-center gap-1">
+                                <input
+                                    type="number"
+                                    value={bulkPercent}
+                                    onChange={(e) => setBulkPercent(e.target.value)}
+                                    placeholder="-10"
+                                    className="w-20 px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-xs sm:text-sm"
+                                    aria-label="Price change in percent"
+                                />
+                                <span>%</span>
+                                <button
+                                    onClick={() => runBulkAction('price', { percent: Number(bulkPercent) })}
+                                    disabled={bulkBusy || !bulkPercent || Number(bulkPercent) === 0}
+                                    className={`${bulkButtonClass} text-blue-600 border-blue-600 dark:border-blue-500 hover:text-blue-800 dark:hover:text-blue-400`}
+                                    title="Raise or cut every selected price by this percentage, e.g. -10 for 10% off"
+                                >
+                                    Change Price
+                                </button>
+                            </span>
+                            <button
+                                onClick={() => runBulkAction('delete')}
+                                disabled={bulkBusy}
+                                className={`${bulkButtonClass} text-red-600 border-red-600 dark:border-red-500 hover:text-red-800 dark:hover:text-red-400`}
+                            >
+                                Delete
+                            </button>
+                            <button
+                                onClick={() => { setSelectedIds([]); setBulkFailures({}); }}
+                                className="ml-auto text-gray-500 dark:text-gray-400 hover:underline text-xs sm:text-sm"
+                            >
+                                Clear selection
+                            </button>
+                        </div>
+                    )}
+                    <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+                        <table className="min-w-full bg-white dark:bg-gray-800">
+                            <thead>
+                                <tr className="bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 uppercase text-xs sm:text-sm leading-normal">
+                                    <th className="py-2 pl-3 sm:py-3 sm:pl-6 text-left">
+                                        <input
+                                            type="checkbox"
+                                            checked={allSelected}
+                                            onChange={() => setSelectedIds(allSelected ? [] : selectable.map(item => item.id))}
+                                            aria-label={userItems.length > MAX_BULK_ITEMS ? `Select the first ${MAX_BULK_ITEMS} listings` : 'Select all listings'}
+                                        />
+                                    </th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Item</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Price</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Activity</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Status</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-left">Offers</th>
+                                    <th className="py-2 px-3 sm:py-3 sm:px-6 text-center">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="text-gray-700 dark:text-gray-200 text-xs sm:text-sm font-light">
+                                {userItems.map(item => {
+                                    const badge = statusBadges[item.status] || statusBadges.active;
+                                    const action = primaryActions[item.status] || primaryActions.active;
+                                    const stats = statsById.get(item.id);
+                                    return (
+                                        <tr key={item.id} className="border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                                            <td className="py-2 pl-3 sm:py-3 sm:pl-6 text-left">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selected.includes(item.id)}
+                                                    onChange={() => toggleSelected(item.id)}
+                                                    disabled={selectionFull && !selected.includes(item.id)}
+                                                    aria-label={`Select ${item.title}`}
+                                                />
+                                            </td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-left whitespace-nowrap">
+                                                <div className="flex items-center">
+                                                    <img
+                                                        src={item.image_url || `https://placehold.co/32x32/cccccc/333333/ffffff/ffffff?text=No+Image`}
+                                                        alt={item.title}
+                                                        className="w-8 h-8 sm:w-10 sm:h-10 rounded-md mr-2 sm:mr-3 object-cover"
+                                                        onError={(e) => { e.target.onerror = null; e.target.src = `https://placehold.co/32x32/cccccc/333333/ffffff/ffffff?text=No+Image`; }}
+                                                    />
+                                                    <span className="font-medium truncate max-w-[100px] sm:max-w-[150px]">{item.title}</span>
+                                                </div>
+                                                {bulkFailures[item.id] && (
+                                                    <p className="mt-1 text-xs text-red-600 dark:text-red-400 whitespace-normal">{bulkFailures[item.id]}</p>
+                                                )}
+                                            </td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-left whitespace-nowrap">KSh {item.price}</td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-left whitespace-nowrap text-xs text-gray-600 dark:text-gray-300">
+                                                {stats ? (
+                                                    <>
+                                                        <div>{stats.views} {stats.views === 1 ? 'view' : 'views'}</div>
+                                                        <div>{stats.contacts} {stats.contacts === 1 ? 'contact' : 'contacts'}</div>
+                                                        <div className="text-gray-400 dark:text-gray-500">{stats.days_listed} {stats.days_listed === 1 ? 'day' : 'days'} listed</div>
+                                                    </>
+                                                ) : '-'}
+                                            </td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${badge.className}`}>
+                                                    {item.status === 'reserved' && item.reserved_by_name ? `Reserved for ${item.reserved_by_name}` : badge.label}
+                                                </span>
+                                                {item.hidden_at && (
+                                                    <span
+                                                        className="ml-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100"
+                                                        title={item.hidden_reason ? `Hidden by a moderator: ${item.hidden_reason}` : 'Hidden by a moderator'}
+                                                    >
+                                                        Hidden
+                                                    </span>
+                                                )}
+                                                <div className="mt-1 text-xs space-x-2">
+                                                    {item.status === 'reserved' && (
+                                                        <button
+                                                            onClick={() => handleReleaseReservation(item.id)}
+                                                            className="text-blue-600 dark:text-blue-400 hover:underline"
+                                                            title="Make the item available to everyone again"
+                                                        >
+                                                            Release
+                                                        </button>
+                                                    )}
+                                                    {item.status === 'active' && (
+                                                        <button
+                                                            onClick={() => handleRenew(item.id)}
+                                                            className="text-blue-600 dark:text-blue-400 hover:underline"
+                                                            title="Keep this listing from expiring"
+                                                        >
+                                                            Renew
+                                                        </button>
+                                                    )}
+                                                    {['active', 'reserved', 'expired'].includes(item.status) && (
+                                                        <button
+                                                            onClick={() => handleChangeStatus(item.id, 'removed')}
+                                                            className="text-gray-500 dark:text-gray-400 hover:underline"
+                                                            title="Hide this listing without deleting it"
+                                                        >
+                                                            Take Down
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-left">
+                                                {pendingOffers.filter(offer => offer.product_id === item.id).map(offer => (
+                                                    <button
+                                                        key={offer.id}
+                                                        onClick={() => onOpenOffers(item, offer.buyer_id)}
+                                                        className="block whitespace-nowrap text-blue-600 dark:text-blue-400 hover:underline"
+                                                        title="View Offer"
+                                                    >
+                                                        {offer.buyer_name}: KSh {offer.amount}
+                                                    </button>
+                                                ))}
+                                            </td>
+                                            <td className="py-2 px-3 sm:py-3 sm:px-6 text-center">
+                                                <div className="flex flex-col sm:flex-row item-center justify-center space-y-1 sm:space-y-0 sm:space-x-2">
+                                                    <button
+                                                        onClick={() => setEditingItem(item)}
+                                                        className="text-blue-600 hover:text-blue-800 dark:hover:text-blue-400 font-medium px-2 py-1 rounded-md border border-blue-600 dark:border-blue-500 hover:border-blue-800 dark:hover:border-blue-400 transition duration-200 text-xs sm:text-sm"
+                                                        title="Edit Item"
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                    <button
+                                                        onClick={() => {
+                                                            if (action.markSold) handleMarkSold(item.id);
+                                                            else if (action.renew) handleRenew(item.id);
+                                                            else handleChangeStatus(item.id, action.status);
+                                                        }}
+                                                        className={`font-medium px-2 py-1 rounded-md border transition duration-200 text-xs sm:text-sm ${action.className}`}
+                                                        title={action.label}
+                                                    >
+                                                        {action.label}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDeleteItem(item.id)}
+                                                        className="text-red-600 hover:text-red-800 dark:hover:text-red-400 font-medium px-2 py-1 rounded-md border border-red-600 dark:border-red-500 hover:border-red-800 dark:hover:border-red-400 transition duration-200 text-xs sm:text-sm"
+                                                        title="Delete Item"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
 export default UserDashboard;
\ No newline at end of file
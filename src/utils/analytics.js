@@ -0,0 +1,68 @@
+// Listing analytics for sellers: reports which listings visitors saw (POST /api/analytics/views) and whose
+// WhatsApp button they tapped (POST /api/analytics/contacts). The backend counts each visitor once a day per
+// listing; logged-in users are told apart by account, everyone else by a random ID kept in localStorage.
+// Failures are only logged - analytics must never get in the way of browsing.
+
+import { API_BASE_URL, authFetch } from './api';
+
+const VIEW_BATCH_DELAY_MS = 2000;
+
+const pendingViews = new Set();
+const reportedViews = new Set(); // Already sent in this page load; the server would ignore them anyway
+let flushTimer = null;
+let viewObserver = null;
+
+const getVisitorId = () => {
+    let visitorId = localStorage.getItem('visitorId');
+    if (!visitorId) {
+        visitorId = crypto.randomUUID();
+        localStorage.setItem('visitorId', visitorId);
+    }
+    return visitorId;
+};
+
+const send = (path, body) => {
+    const options = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, visitor_id: getVisitorId() }),
+        keepalive: true // Let the request finish when the user is leaving the page
+    };
+    const request = localStorage.getItem('token') ? authFetch(path, options) : fetch(`${API_BASE_URL}${path}`, options);
+    return request.catch(err => console.error(`Failed to report ${path}:`, err));
+};
+
+const flushViews = () => {
+    flushTimer = null;
+    if (pendingViews.size === 0) return;
+    const productIds = [...pendingViews];
+    pendingViews.clear();
+    send('/analytics/views', { product_ids: productIds });
+};
+
+// Queue a listing as viewed; views go out in batches
+export const trackView = (productId) => {
+    if (reportedViews.has(productId)) return;
+    reportedViews.add(productId);
+    pendingViews.add(productId);
+    if (!flushTimer) flushTimer = setTimeout(flushViews, VIEW_BATCH_DELAY_MS);
+};
+
+export const trackContact = (productId) => {
+    send('/analytics/contacts', { product_id: productId });
+};
+
+// Ref callback for listing cards with a data-product-id attribute: the listing counts as viewed once at least
+// half of its card has been on screen
+export const observeListingView = (node) => {
+    if (!node) return;
+    if (!viewObserver) {
+        viewObserver = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                trackView(Number(entry.target.dataset.productId));
+                viewObserver.unobserve(entry.target);
+            });
+        }, { threshold: 0.5 });
+    }
+    viewObserver.observe(node);
+};
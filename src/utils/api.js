@@ -0,0 +1,110 @@
+// Shared helpers for talking to the backend: the API base URL, the stored login session,
+// and an authenticated fetch that renews expired access tokens transparently.
+
+export const API_BASE_URL = 'https://chuka-black-market.onrender.com/api'; // Define your backend API base URL
+
+// Fired on window when the session can no longer be renewed, so the UI can drop the logged-in user
+export const SESSION_EXPIRED_EVENT = 'session-expired';
+
+// Store the token pair (and user, when given) returned by login, signup or refresh
+export const saveSession = ({ token, refresh_token, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refresh_token);
+    if (user) {
+        localStorage.setItem('currentUser', JSON.stringify(user));
+    }
+};
+
+export const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('currentUser');
+};
+
+// Refresh tokens rotate on every use, so concurrent 401s must share a single refresh request, and so must
+// other tabs: they share the stored tokens, and the server treats a rotated-out token coming back as stolen
+// and ends the session. Refreshes run under a lock shared by all tabs (the Web Locks API, where available).
+let refreshPromise = null;
+
+const withRefreshLock = (work) => (navigator.locks ? navigator.locks.request('token-refresh', work) : work());
+
+// Resolves with whether a fresh access token is stored. `staleToken` is the access token that got the 401.
+const refreshAccessToken = (staleToken) => {
+    if (!refreshPromise) {
+        refreshPromise = withRefreshLock(async () => {
+            // Another tab renewed the session while this one was waiting for the lock
+            if (localStorage.getItem('token') !== staleToken) {
+                return Boolean(localStorage.getItem('token'));
+            }
+            try {
+                const response = await fetch(`${API_BASE_URL}/token/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refresh_token: localStorage.getItem('refreshToken') })
+                });
+                if (!response.ok) return false;
+                saveSession(await response.json());
+                return true;
+            } catch (err) {
+                console.error('Failed to refresh access token:', err);
+                return false;
+            }
+        }).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+// fetch() against the API with the stored access token. On a 401 the token is refreshed once and the
+// request retried; if that fails the session is cleared and SESSION_EXPIRED_EVENT is dispatched.
+export const authFetch = async (path, options = {}) => {
+    let token;
+    const send = () => {
+        token = localStorage.getItem('token');
+        return fetch(`${API_BASE_URL}${path}`, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${token}`
+            }
+        });
+    };
+
+    const response = await send();
+    if (response.status !== 401 || !localStorage.getItem('refreshToken')) {
+        return response;
+    }
+
+    if (await refreshAccessToken(token)) {
+        return send();
+    }
+
+    clearSession();
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    return response;
+};
+
+// Build the Error to throw for a failed API response. Server-side failures carry the request ID (see
+// X-Request-Id) in their message, so a user reporting the problem can quote it and it can be found in the logs.
+export const apiError = (response, data, fallback) => {
+    const message = (data && data.message) || fallback;
+    const requestId = (data && data.request_id) || response.headers.get('X-Request-Id');
+    return new Error(response.status >= 500 && requestId ? `${message} (Reference: ${requestId})` : message);
+};
+
+// Revoke the refresh token on the server, then forget the session locally
+export const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+    if (!refreshToken) return;
+    try {
+        await fetch(`${API_BASE_URL}/logout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: refreshToken })
+        });
+    } catch (err) {
+        console.error('Failed to revoke session on logout:', err);
+    }
+};
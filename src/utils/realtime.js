@@ -0,0 +1,63 @@
+// Live marketplace events from the backend's Server-Sent Events stream (GET /api/events).
+
+import { API_BASE_URL, authFetch } from './api';
+
+const PRODUCT_EVENTS = ['product.created', 'product.updated', 'product.sold', 'product.deleted'];
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Open the event stream and call onEvent(type, data) for every product event and, when authenticated,
+// every personal "notification". The stream reconnects with exponential backoff whenever it drops;
+// onReconnect is called once it is back, since events sent while disconnected are lost.
+// Returns a function that closes the stream for good.
+export const subscribeToEvents = ({ authenticated, onEvent, onReconnect }) => {
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let closed = false;
+
+    const connect = async () => {
+        let url = `${API_BASE_URL}/events`;
+
+        // EventSource can't send an Authorization header, so exchange the access token for a one-time ticket
+        if (authenticated) {
+            try {
+                const response = await authFetch('/events/ticket', { method: 'POST' });
+                if (response.ok) {
+                    const { ticket } = await response.json();
+                    url += `?ticket=${encodeURIComponent(ticket)}`;
+                }
+            } catch (err) {
+                console.error('Failed to get an event stream ticket:', err);
+            }
+        }
+        if (closed) return;
+
+        source = new EventSource(url);
+
+        source.addEventListener('ready', () => {
+            if (failures > 0 && onReconnect) onReconnect();
+            failures = 0;
+        });
+
+        [...PRODUCT_EVENTS, ...(authenticated ? ['notification'] : [])].forEach(type => {
+            source.addEventListener(type, (e) => onEvent(type, JSON.parse(e.data)));
+        });
+
+        // Tickets only work once, so rather than letting EventSource retry the same URL we reconnect ourselves
+        source.onerror = () => {
+            source.close();
+            if (closed) return;
+            const delay = Math.min(1000 * 2 ** failures, MAX_RECONNECT_DELAY_MS);
+            failures += 1;
+            retryTimer = setTimeout(connect, delay);
+        };
+    };
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (source) source.close();
+    };
+};